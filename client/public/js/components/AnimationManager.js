@@ -46,7 +46,7 @@ class AnimationManager {
         const renderStart = performance.now();
         
         // Update dimensions if needed
-        this.fractalLandscape.renderer.updateDimensions();
+        this.fractalLandscape.updateDimensions();
         
         try {
             // Update animation state based on server sync mode
@@ -87,7 +87,9 @@ class AnimationManager {
         this.fractalLandscape.colorManager.updateColorShift(deltaTime * 0.5);
         
         // Auto-evolve less frequently and with smaller values
-        if (timestamp - this.lastAutoEvolutionTime > 250) { // Even lower frequency
+        // Skipped while synced - the server signals microEvolve so all clients stay identical
+        if (!this.fractalLandscape.syncManager.isReceivingServerSync() &&
+            timestamp - this.lastAutoEvolutionTime > 250) { // Even lower frequency
             this.fractalLandscape.terrainGenerator.microEvolve(ANIMATION.evolutionRate);
             this.lastAutoEvolutionTime = timestamp;
         }
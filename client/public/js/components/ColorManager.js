@@ -1,20 +1,170 @@
 // ColorManager - handles palettes and color calculations
-import { PALETTES } from '../utils/constants.js';
+import { PALETTES, GRADIENT, PALETTE_FADE } from '../utils/constants.js';
 import { updateCyclicValue } from '../utils/AnimationUtils.js';
+import { mixColors, simulateColorVision } from '../utils/ColorUtils.js';
+import { clamp } from '../utils/MathUtils.js';
 
 class ColorManager {
-    constructor(paletteName) {
-        this.palettes = PALETTES;
-        this.currentPalette = paletteName || 'cosmic';
+    constructor(palette, colorMode = 'banded') {
+        // Palettes by name - the built-in ones plus the room's custom palettes
+        this.palettes = { ...PALETTES };
+        this.currentPalette = 'cosmic';
+        this.paletteColors = this.palettes.cosmic;
+        this.colorMode = colorMode;
         this.colorShift = 0;
+        
+        // Precomputed colors across the height range - cyclic for the animated colors so they
+        // wrap seamlessly from the last stop back to the first, clamped at the ends otherwise
+        this.gradient = null;
+        
+        // Colors in use - the gradient, or a blend while fading from the previous palette
+        this.colors = null;
+        
+        // Colors as drawn - the colors in use, or as a colour-blind viewer sees them
+        this.visionSimulation = 'off';
+        this.visibleColors = null;
+        
+        // Palette crossfade in progress: { from, startTime, duration, progress }
+        this.transition = null;
+        
+        this.setPalette(palette || 'cosmic');
+        if (!this.gradient) {
+            this.buildGradient();
+        }
+    }
+    
+    // Replace the custom palettes ({ name, colors } objects) that can be chosen by name
+    setCustomPalettes(customPalettes) {
+        this.palettes = { ...PALETTES };
+        for (const { name, colors } of customPalettes) {
+            if (!PALETTES[name]) {
+                this.palettes[name] = colors;
+            }
+        }
     }
     
-    setPalette(paletteName) {
-        if (this.palettes[paletteName]) {
-            this.currentPalette = paletteName;
+    // Switch palette - a name or a { name, colors } object - fading from the current colors
+    // when a start time is given
+    // startTime - shared (server) time the change happened, so every client fades in step
+    setPalette(palette, startTime = null) {
+        const name = typeof palette === 'string' ? palette : palette && palette.name;
+        const colors = typeof palette === 'string' ? this.palettes[palette] : palette && palette.colors;
+        if (!Array.isArray(colors) || colors.length === 0) return;
+        
+        // The same name can come back with new colors after an edit
+        const unchanged = name === this.currentPalette && colors.length === this.paletteColors.length &&
+            colors.every((color, i) => color === this.paletteColors[i]);
+        if (unchanged && this.gradient) return;
+        
+        if (startTime !== null && this.colors) {
+            this.transition = { from: this.colors, startTime, duration: PALETTE_FADE.duration, progress: 0 };
+        }
+        this.currentPalette = name;
+        this.paletteColors = [...colors];
+        this.buildGradient();
+    }
+    
+    // Switch between banded colors and smooth blending (in OKLab or linear RGB)
+    setColorMode(colorMode) {
+        if (colorMode !== this.colorMode) {
+            this.colorMode = colorMode;
+            this.buildGradient();
         }
     }
     
+    // Preview the landscape as seen with a colour-vision deficiency ('off' for normal vision)
+    setVisionSimulation(visionSimulation) {
+        if (visionSimulation !== this.visionSimulation) {
+            this.visionSimulation = visionSimulation;
+            this.applyVisionSimulation();
+        }
+    }
+    
+    // Precompute the colors for the current palette and mode
+    buildGradient() {
+        const palette = this.paletteColors;
+        this.gradient = {
+            cyclic: this.sampleColors(palette, true),
+            clamped: this.sampleColors(palette, false)
+        };
+        this.applyTransition();
+    }
+    
+    // Sample a palette across the height range in the current mode
+    // Smooth modes put each palette color in the middle of the band it fills when banded
+    sampleColors(palette, cyclic) {
+        const count = palette.length;
+        const colors = new Array(GRADIENT.steps);
+        
+        for (let i = 0; i < GRADIENT.steps; i++) {
+            const height = (i + 0.5) / GRADIENT.steps;
+            if (this.colorMode === 'banded') {
+                colors[i] = palette[Math.min(count - 1, Math.floor(height * count))];
+                continue;
+            }
+            
+            const position = height * count - 0.5;
+            const lower = Math.floor(position);
+            const amount = position - lower;
+            
+            if (cyclic) {
+                // Below the first stop blends in from the last one
+                colors[i] = mixColors(palette[(lower + count) % count], palette[(lower + 1) % count], amount, this.colorMode);
+            } else {
+                // Flat beyond the first and last stops
+                colors[i] = position <= 0 ? palette[0]
+                    : position >= count - 1 ? palette[count - 1]
+                    : mixColors(palette[lower], palette[lower + 1], amount, this.colorMode);
+            }
+        }
+        return colors;
+    }
+    
+    // Advance a palette crossfade to the shared time
+    updateTransition(time) {
+        if (!this.transition) return;
+        
+        // A start far in the future means the clocks disagree (e.g. a server restart) - just finish
+        const { startTime, duration } = this.transition;
+        const progress = clamp((time - startTime) / duration, 0, 1);
+        if (progress >= 1 || time < startTime - duration) {
+            this.transition = null;
+        } else if (Math.abs(progress - this.transition.progress) < PALETTE_FADE.minStep) {
+            return; // Not enough change to be visible yet
+        } else {
+            this.transition.progress = progress;
+        }
+        this.applyTransition();
+    }
+    
+    // Blend the previous colors into the gradient by the crossfade progress
+    applyTransition() {
+        const { transition, gradient } = this;
+        if (!transition || !transition.from) {
+            this.colors = gradient;
+        } else {
+            // Blend in OKLab so the fade passes through even-looking colors
+            const blend = (from, to) => to.map((color, i) => mixColors(from[i], color, transition.progress));
+            this.colors = {
+                cyclic: blend(transition.from.cyclic, gradient.cyclic),
+                clamped: blend(transition.from.clamped, gradient.clamped)
+            };
+        }
+        this.applyVisionSimulation();
+    }
+    
+    // Work out the colors as drawn from the colors in use
+    applyVisionSimulation() {
+        const { colors, visionSimulation } = this;
+        if (visionSimulation === 'off') {
+            this.visibleColors = colors;
+            return;
+        }
+        
+        const simulate = (list) => list.map(color => simulateColorVision(color, visionSimulation));
+        this.visibleColors = { cyclic: simulate(colors.cyclic), clamped: simulate(colors.clamped) };
+    }
+    
     // Update color shift for animation
     updateColorShift(deltaTime) {
         this.colorShift = updateCyclicValue(this.colorShift, deltaTime * 0.0002);
@@ -24,14 +174,12 @@ class ColorManager {
     getHeightColor(height, animate = true) {
         // Safety check for invalid height
         if (height === undefined || height === null || isNaN(height)) {
-            return this.palettes[this.currentPalette][0]; // Return first color as fallback
+            return this.visibleColors.clamped[0]; // Return first color as fallback
         }
         
         // Ensure height is between 0 and 1
         height = Math.max(0, Math.min(1, height));
         
-        const palette = this.palettes[this.currentPalette];
-        
         // Apply color shifting for animation
         let shiftedHeight = height;
         if (animate) {
@@ -40,10 +188,10 @@ class ColorManager {
             shiftedHeight = ((height + this.colorShift) % 1 + 1) % 1;
         }
         
-        // Map to color index with bounds checking to prevent index errors
+        // Map to a precomputed color with bounds checking to prevent index errors
         const safeShiftedHeight = Math.max(0, Math.min(0.9999, shiftedHeight));
-        const colorIndex = Math.min(palette.length - 1, Math.floor(safeShiftedHeight * palette.length));
-        return palette[colorIndex];
+        const colors = animate ? this.visibleColors.cyclic : this.visibleColors.clamped;
+        return colors[Math.floor(safeShiftedHeight * colors.length)];
     }
 }
 
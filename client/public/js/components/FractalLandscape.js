@@ -3,9 +3,15 @@ import TerrainGenerator from './TerrainGenerator.js';
 import TerrainRenderer from './TerrainRenderer.js';
 import PerformanceMonitor from './PerformanceMonitor.js';
 import SyncManager from './SyncManager.js';
+import TerrainSync from './TerrainSync.js';
 import AnimationManager from './AnimationManager.js';
 import { DEFAULT_OPTIONS } from '../utils/constants.js';
 
+// Check whether two seed point lists hold the same seeds in the same order
+function haveSameSeedIds(a, b) {
+    return a.length === b.length && a.every((seed, i) => seed.id === b[i].id);
+}
+
 // Main FractalLandscape class - orchestrates all components
 class FractalLandscape {
     constructor(canvas, options = {}) {
@@ -18,10 +24,12 @@ class FractalLandscape {
         };
         
         // Initialize components
-        this.colorManager = new ColorManager(this.options.palette);
+        this.colorManager = new ColorManager(this.options.palette, this.options.colorMode);
         this.terrainGenerator = new TerrainGenerator(
             this.options.roughness, 
-            this.options.seedPoints
+            this.options.seedPoints,
+            this.options.terrainSeed,
+            this.options.algorithm
         );
         this.renderer = new TerrainRenderer(
             this.canvas,
@@ -31,8 +39,21 @@ class FractalLandscape {
         this.performanceMonitor = new PerformanceMonitor();
         this.syncManager = new SyncManager();
         this.syncManager.setServerSyncEnabled(this.options.useServerSync);
+        this.terrainSync = new TerrainSync();
         this.animationManager = new AnimationManager(this);
         
+        // Match the grid to the canvas shape before building the terrain
+        this.terrainGenerator.setResolution(this.options.resolution, this.getGridAspect());
+        
+        // Seed currently being placed by this user (drawn as a marker)
+        this.seedPreview = null;
+        
+        // Palette being edited by this user, shown in place of the room's palette
+        this.palettePreview = null;
+        
+        // Animation time of the last evolve, for time-driven modes when offline
+        this.lastEvolveTime = null;
+        
         // Initialize the terrain
         this.terrainGenerator.initTerrain();
         
@@ -41,10 +62,76 @@ class FractalLandscape {
     }
     
     
-    // Add a seed point
-    addSeedPoint(x, y, value) {
+    // Width/height ratio of the canvas
+    getAspectRatio() {
+        return this.canvas.height > 0 ? this.canvas.width / this.canvas.height : 1;
+    }
+    
+    // Width/height ratio for the grid - the server terrain's once one has arrived, so evolving
+    // it here stays on the same grid as the server; otherwise the canvas's so cells stay square
+    getGridAspect() {
+        return this.terrainSync.getAspect() || this.getAspectRatio();
+    }
+    
+    // Follow canvas size changes, reshaping the grid to match
+    updateDimensions() {
+        if (this.renderer.updateDimensions()) {
+            this.terrainGenerator.setResolution(this.options.resolution, this.getGridAspect());
+        }
+    }
+    
+    // Add a seed point ({ x, y, value, radius, falloff, mode })
+    addSeedPoint(seedPoint) {
         // Add to terrain generator
-        this.terrainGenerator.addSeedPoint(x, y, value);
+        this.terrainGenerator.addSeedPoint(seedPoint);
+    }
+    
+    // Remove a seed point by its server id
+    removeSeedPoint(id) {
+        return this.terrainGenerator.removeSeedPoint(id);
+    }
+    
+    // Find the seed point under a screen position, or null if there is none
+    findSeedAt(clientX, clientY) {
+        const position = this.screenToTerrain(clientX, clientY);
+        return position ? this.terrainGenerator.findSeedPoint(position.x, position.y) : null;
+    }
+    
+    // Convert a screen position to terrain coordinates (0-1), or null if off the terrain
+    screenToTerrain(clientX, clientY) {
+        return this.renderer.screenToTerrain(clientX, clientY);
+    }
+    
+    // Show (or clear with null) a marker for a seed being placed
+    setSeedPreview(seed) {
+        this.seedPreview = seed ? { x: seed.x, y: seed.y, value: seed.value, radius: seed.radius } : null;
+    }
+    
+    // Show a palette being edited ({ name, colors }) in place of the room's, or stop with null
+    previewPalette(palette) {
+        this.palettePreview = palette ? { name: palette.name, colors: [...palette.colors] } : null;
+        this.colorManager.setPalette(this.palettePreview || this.options.palette);
+    }
+    
+    // Shared clock for timed transitions: estimated server time, or local seconds offline
+    getSharedTime() {
+        const serverTime = this.syncManager.getServerTime();
+        return serverTime !== null ? serverTime : performance.now() / 1000;
+    }
+    
+    // Record the server's globalTime as of now
+    noteServerTime(globalTime) {
+        this.syncManager.noteServerTime(globalTime);
+    }
+    
+    // Add a clock sync ping sample (see SyncManager.addClockSample)
+    addClockSample(sentAt, serverTime, receivedAt) {
+        this.syncManager.addClockSample(sentAt, serverTime, receivedAt);
+    }
+    
+    // Start measuring the server clock afresh
+    resetClockSync() {
+        this.syncManager.resetClock();
     }
     
     // Update options with fast transition
@@ -53,14 +140,65 @@ class FractalLandscape {
         this.options = { ...this.options, ...options };
         
         // Update components with new options
-        if (options.palette) {
-            this.colorManager.setPalette(options.palette);
+        // Custom palettes can be chosen by name, and the one shown may have been edited
+        if (options.customPalettes) {
+            this.colorManager.setCustomPalettes(options.customPalettes);
         }
         
+        // Palette changes fade in from a shared start time (the server's when it sent one)
+        if ((options.palette || options.customPalettes) && !this.palettePreview) {
+            const startTime = typeof options.paletteChangedAt === 'number' ? options.paletteChangedAt : this.getSharedTime();
+            this.colorManager.setPalette(this.options.palette, startTime);
+        }
+        if (options.colorMode) {
+            this.colorManager.setColorMode(options.colorMode);
+        }
+        if (options.visionSimulation) {
+            this.colorManager.setVisionSimulation(options.visionSimulation);
+        }
+        
+        
+        // Only regenerate terrain if the algorithm, roughness or the shared seed changed
+        let regenerate = false;
+        
+        // A new algorithm or roughness replaces an imported heightmap (the server does the same)
+        if (options.algorithm !== undefined && options.algorithm !== this.terrainGenerator.algorithmName) {
+            this.terrainGenerator.setAlgorithm(options.algorithm);
+            this.terrainGenerator.setHeightmap(null);
+            regenerate = true;
+        }
         
-        // Only regenerate terrain if roughness changed
-        if (options.roughness !== undefined) {
+        if (options.roughness !== undefined && options.roughness !== this.terrainGenerator.roughness) {
             this.terrainGenerator.setRoughness(options.roughness);
+            this.terrainGenerator.setHeightmap(null);
+            regenerate = true;
+        }
+        
+        // The room no longer has the heightmap we are showing
+        if (options.hasHeightmap === false && this.terrainGenerator.heightmap) {
+            this.terrainGenerator.setHeightmap(null);
+            regenerate = true;
+        }
+        
+        if (options.terrainSeed !== undefined && options.terrainSeed !== this.terrainGenerator.seed) {
+            this.terrainGenerator.setSeed(options.terrainSeed, options.evolveCount || 0);
+            if (options.seedPoints !== undefined) {
+                this.terrainGenerator.setSeedPoints(options.seedPoints);
+            }
+            regenerate = true;
+        } else if (options.seedPoints !== undefined &&
+                   !haveSameSeedIds(options.seedPoints, this.terrainGenerator.seedPoints)) {
+            // Restamping the seeds keeps the evolved base terrain
+            this.terrainGenerator.setSeedPoints(options.seedPoints);
+        }
+        
+        // Grid resolution is local to this device - the terrain is resampled, not regenerated
+        if (options.resolution !== undefined) {
+            this.terrainGenerator.setResolution(options.resolution, this.getGridAspect());
+        }
+        
+        // While following the server, its regenerated terrain is on the way
+        if (regenerate && !this.terrainSync.isActive()) {
             this.terrainGenerator.initTerrain();
         }
         
@@ -70,6 +208,47 @@ class FractalLandscape {
         }
     }
     
+    // Replace the base terrain with an imported heightmap ({ width, height, data } with 0-1 heights)
+    setHeightmap(heightmap) {
+        this.terrainGenerator.setHeightmap(heightmap);
+        if (!this.terrainSync.isActive()) {
+            this.terrainGenerator.initTerrain();
+        }
+    }
+    
+    // Server terrain shown ({ epoch, version }), or null if none has arrived
+    getTerrainVersion() {
+        return this.terrainSync.getHeld();
+    }
+    
+    // Show a full terrain snapshot from the server
+    // ({ epoch, version, evolveCount, width, height, values } with 16-bit heights)
+    applyTerrainSnapshot(snapshot) {
+        const data = this.terrainSync.applySnapshot(snapshot);
+        // Take on the shape of the server's grid (the room's, not this canvas's)
+        this.terrainGenerator.setResolution(this.options.resolution, this.getGridAspect());
+        this.terrainGenerator.setBaseTerrain({ width: snapshot.width, height: snapshot.height, data }, snapshot.evolveCount);
+    }
+    
+    // Apply a terrain delta from the server, returning false if it does not follow the version shown
+    applyTerrainDelta(delta) {
+        const data = this.terrainSync.applyDelta(delta);
+        if (!data) return false;
+        
+        this.terrainGenerator.setBaseTerrain({ width: delta.width, height: delta.height, data }, delta.evolveCount);
+        return true;
+    }
+    
+    // Generate terrain locally while disconnected
+    pauseTerrainSync() {
+        this.terrainSync.pause();
+    }
+    
+    // Heights as shown, for export ({ width, height, data })
+    getHeightmap() {
+        return this.terrainGenerator.getHeightmap();
+    }
+    
     // Update animation state from server
     updateAnimationState(animState) {
         const { globalTime } = this.animationManager.getAnimationState();
@@ -81,16 +260,32 @@ class FractalLandscape {
             this.colorManager
         );
         
-        // Perform microEvolve if signaled by server
-        if (animState.microEvolve) {
-            this.terrainGenerator.microEvolve(0.0003);
+        // Perform microEvolve if signaled by server, keyed to the shared seed
+        // (only alongside jitter - the structured modes would be blurred by it)
+        if (animState.microEvolve && this.options.evolveMode === 'noise') {
+            this.terrainGenerator.microEvolve(0.0003, animState.sharedSeed);
         }
     }
     
     // Evolve the landscape with dramatic effect
-    evolve(rate = 0.02) {  // Increased rate for more visible changes
+    // evolveState - optional { evolveCount, evolveMode, evolveSpeed, globalTime, previousTime } from the
+    // server so every client takes the same step
+    evolve(rate = 0.02, evolveState = {}) {  // Increased rate for more visible changes
+        // Offline, time-driven modes use local animation time since the last evolve
+        const time = typeof evolveState.globalTime === 'number'
+            ? evolveState.globalTime
+            : this.animationManager.getAnimationState().globalTime;
+        let previousTime = typeof evolveState.previousTime === 'number' ? evolveState.previousTime : this.lastEvolveTime;
+        if (typeof previousTime !== 'number') previousTime = time;
+        this.lastEvolveTime = time;
+        
         // Apply evolution to the map
-        this.terrainGenerator.evolve(rate);
+        this.terrainGenerator.evolve(rate, evolveState.evolveCount, {
+            mode: evolveState.evolveMode || this.options.evolveMode,
+            speed: evolveState.evolveSpeed || this.options.evolveSpeed,
+            time,
+            previousTime
+        });
     }
     
     // Render the terrain to the canvas
@@ -104,6 +299,9 @@ class FractalLandscape {
         // Get current animation state
         const { globalTime } = this.animationManager.getAnimationState();
         
+        // Advance any palette crossfade
+        this.colorManager.updateTransition(this.getSharedTime());
+        
         // Render terrain
         const { triangleCount, detailAreaCount } = this.renderer.renderTerrain(
             globalTime,
@@ -111,11 +309,16 @@ class FractalLandscape {
             detailLevel
         );
         
+        // Draw the seed being placed on top of the terrain
+        if (this.seedPreview) {
+            this.renderer.drawSeedPreview(this.seedPreview);
+        }
+        
         // Update performance metrics
         this.performanceMonitor.updateMetrics(triangleCount, detailAreaCount);
         
-        // Draw debug info
-        this.performanceMonitor.drawDebugInfo(this.renderer.ctx);
+        // Draw debug info, with how well the clock is synced to the server
+        this.performanceMonitor.drawDebugInfo(this.renderer.ctx, this.syncManager.getClockStatus(globalTime));
     }
 }
 
@@ -0,0 +1,136 @@
+// HeightmapTransfer class - Downloads the terrain as a heightmap file and imports heightmaps
+// from a file picker or by dropping a file on the canvas
+import { HEIGHTMAP, TERRAIN } from '../utils/constants.js';
+import { resampleGrid } from '../utils/MathUtils.js';
+import { encodePNG, encodePGM, encodeRaw16, decodeRaw16, decodeHeightmap } from '../utils/HeightmapUtils.js';
+import { isPaletteFileName } from '../utils/PaletteUtils.js';
+
+// Encoder for each export format
+const ENCODERS = {
+    png: encodePNG,
+    pgm: encodePGM,
+    raw: encodeRaw16
+};
+
+class HeightmapTransfer {
+    constructor(canvas, uiManager) {
+        this.canvas = canvas;
+        this.uiManager = uiManager;
+        this.fileInput = null;
+        
+        this.setupEventHandlers();
+    }
+    
+    // Accept heightmap files dropped on the canvas (palette files go on to PaletteTransfer)
+    setupEventHandlers() {
+        this.canvas.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+        });
+        
+        this.canvas.addEventListener('drop', (e) => {
+            e.preventDefault();
+            const file = e.dataTransfer.files[0];
+            if (file && !isPaletteFileName(file.name)) {
+                this.importFile(file);
+            }
+        });
+    }
+    
+    // Download the terrain as shown in a format from HEIGHTMAP.formats, returning the file name
+    exportHeightmap(format = HEIGHTMAP.defaultFormat) {
+        const { width, height, data } = this.uiManager.fractal.getHeightmap();
+        const bytes = ENCODERS[format](data, width, height);
+        
+        // RAW files have no header, so the size goes in the name
+        const fileName = `fractadelic-${width}x${height}.${format}`;
+        const url = URL.createObjectURL(new Blob([bytes], { type: HEIGHTMAP.mimeTypes[format] }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+        
+        console.log(`Exported heightmap ${fileName}`);
+        return fileName;
+    }
+    
+    // Ask the user for a heightmap file to import
+    openFilePicker() {
+        // Created on first use and kept for later imports
+        if (!this.fileInput) {
+            this.fileInput = document.createElement('input');
+            this.fileInput.type = 'file';
+            this.fileInput.accept = '.png,.pgm,.raw,.r16';
+            this.fileInput.style.display = 'none';
+            this.fileInput.addEventListener('change', () => {
+                const file = this.fileInput.files[0];
+                this.fileInput.value = '';
+                if (file) {
+                    this.importFile(file);
+                }
+            });
+            document.body.appendChild(this.fileInput);
+        }
+        
+        this.fileInput.click();
+    }
+    
+    // Decode a heightmap file and make it the room's base terrain
+    async importFile(file) {
+        const { keyboardManager, serverConnection, fractal } = this.uiManager;
+        
+        let heightmap;
+        try {
+            heightmap = prepareHeightmap(await decodeHeightmap(await file.arrayBuffer(), file.name));
+        } catch (err) {
+            console.warn(`Could not import heightmap ${file.name}: ${err.message}`);
+            keyboardManager.showKeyFeedback('Import', err.message);
+            return;
+        }
+        
+        // Everyone gets the same 16-bit heights, including this client
+        const { width, height } = heightmap;
+        const data = encodeRaw16(heightmap.data);
+        
+        if (serverConnection.connected) {
+            // The server broadcasts it back to the whole room
+            console.log(`Sending heightmap to server: ${width}x${height}`);
+            serverConnection.importHeightmap({ width, height, data });
+        } else {
+            fractal.setHeightmap({ width, height, data: decodeRaw16(data) });
+        }
+        
+        keyboardManager.showKeyFeedback('Import', `Heightmap ${width}x${height}`);
+    }
+}
+
+// Shrink a decoded heightmap to the size limit and stretch it into the terrain height range,
+// so low-contrast DEMs still use the whole palette
+function prepareHeightmap({ width, height, data }) {
+    const scale = Math.min(1, HEIGHTMAP.maxSize / Math.max(width, height));
+    const newWidth = Math.max(2, Math.round(width * scale));
+    const newHeight = Math.max(2, Math.round(height * scale));
+    const resampled = newWidth !== width || newHeight !== height
+        ? resampleGrid(data, width, height, newWidth, newHeight)
+        : Array.from(data);
+    
+    let min = Infinity;
+    let max = -Infinity;
+    for (const value of resampled) {
+        min = Math.min(min, value);
+        max = Math.max(max, value);
+    }
+    
+    const [low, high] = TERRAIN.heightRange;
+    const stretch = max > min ? (high - low) / (max - min) : 0;
+    return {
+        width: newWidth,
+        height: newHeight,
+        data: resampled.map(value => (stretch ? low + (value - min) * stretch : 0.5))
+    };
+}
+
+export default HeightmapTransfer;
@@ -1,7 +1,24 @@
 // KeyboardManager class - Handles keyboard input and visual feedback
-import { PALETTE_NAMES } from '../utils/constants.js';
 import { showKeyFeedback } from '../utils/UIUtils.js';
 
+// Keys that step a numeric parameter: [parameter, direction]
+const PARAMETER_KEYS = {
+    ArrowUp: ['roughness', 1],
+    ArrowDown: ['roughness', -1],
+    ArrowRight: ['evolveSpeed', 1],
+    ArrowLeft: ['evolveSpeed', -1],
+    '+': ['seedIntensity', 1],
+    '=': ['seedIntensity', 1],
+    '-': ['seedIntensity', -1],
+    '_': ['seedIntensity', -1],
+    ']': ['seedRadius', 1],
+    '[': ['seedRadius', -1],
+    t: ['cameraPitch', 1],
+    T: ['cameraPitch', -1],
+    h: ['heightScale', 1],
+    H: ['heightScale', -1]
+};
+
 class KeyboardManager {
     constructor(uiManager) {
         this.uiManager = uiManager;
@@ -19,14 +36,170 @@ class KeyboardManager {
         // Ignore if user is typing in an input field
         if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
         
+        // Undo/redo of seed changes (Ctrl/Cmd+Z, Ctrl/Cmd+Shift+Z or Ctrl/Cmd+Y)
+        const key = e.key.toLowerCase();
+        if ((e.ctrlKey || e.metaKey) && (key === 'z' || key === 'y')) {
+            e.preventDefault();
+            this.handleHistoryKey(key === 'y' || e.shiftKey);
+            return;
+        }
+        
+        // Leave other Ctrl/Cmd/Alt combinations to the browser (zoom, save, reload, copy...)
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
+        
+        // Parameter steps (arrow keys would otherwise scroll the page)
+        if (PARAMETER_KEYS[e.key]) {
+            e.preventDefault();
+            const [param, direction] = PARAMETER_KEYS[e.key];
+            this.uiManager.parameterDisplay.stepParameter(this.uiManager, param, direction);
+            return;
+        }
+        
         switch (e.key) {
             // Palette changes
             case 'p': // Next palette
-                const currentIndex = PALETTE_NAMES.indexOf(this.uiManager.controls.palette);
-                const nextIndex = (currentIndex + 1) % PALETTE_NAMES.length;
-                this.uiManager.updatePalette(PALETTE_NAMES[nextIndex]);
-                this.showKeyFeedback('P', `Palette: ${PALETTE_NAMES[nextIndex]}`);
+                this.uiManager.parameterDisplay.stepParameter(this.uiManager, 'palette', 1);
+                break;
+            case 'P': // Previous palette
+                this.uiManager.parameterDisplay.stepParameter(this.uiManager, 'palette', -1);
+                break;
+            case 'o':
+            case 'O': // Open or close the palette editor
+                this.uiManager.togglePaletteEditor();
+                break;
+                
+            // Banded or smooth colors (this device only)
+            case 'b': // Next color mode
+                this.uiManager.parameterDisplay.stepParameter(this.uiManager, 'colorMode', 1);
+                break;
+            case 'B': // Previous color mode
+                this.uiManager.parameterDisplay.stepParameter(this.uiManager, 'colorMode', -1);
+                break;
+            case 'm': // Next colour-vision simulation (this device only)
+                this.uiManager.parameterDisplay.stepParameter(this.uiManager, 'visionSimulation', 1);
+                break;
+            case 'M': // Previous colour-vision simulation
+                this.uiManager.parameterDisplay.stepParameter(this.uiManager, 'visionSimulation', -1);
+                break;
+                
+            // Terrain algorithm changes
+            case 'a': // Next algorithm
+                this.uiManager.parameterDisplay.stepParameter(this.uiManager, 'algorithm', 1);
+                break;
+            case 'A': // Previous algorithm
+                this.uiManager.parameterDisplay.stepParameter(this.uiManager, 'algorithm', -1);
+                break;
+                
+            // Evolve mode changes
+            case 'e': // Next evolve mode
+                this.uiManager.parameterDisplay.stepParameter(this.uiManager, 'evolveMode', 1);
+                break;
+            case 'E': // Previous evolve mode
+                this.uiManager.parameterDisplay.stepParameter(this.uiManager, 'evolveMode', -1);
+                break;
+                
+            // Lighting changes
+            case 'l': // Next lighting mode
+                this.uiManager.parameterDisplay.stepParameter(this.uiManager, 'lighting', 1);
+                break;
+            case 'L': // Previous lighting mode
+                this.uiManager.parameterDisplay.stepParameter(this.uiManager, 'lighting', -1);
+                break;
+            case 's': // Turn the sun clockwise
+                this.uiManager.parameterDisplay.stepParameter(this.uiManager, 'sunAzimuth', 1);
+                break;
+            case 'S': // Turn the sun anticlockwise
+                this.uiManager.parameterDisplay.stepParameter(this.uiManager, 'sunAzimuth', -1);
+                break;
+            case 'd':
+            case 'D': // Toggle the day/night orbit of the sun
+                this.uiManager.parameterDisplay.stepParameter(this.uiManager, 'sunOrbit', 1);
                 break;
+                
+            // View changes (this device only)
+            case 'v': // Next view
+                this.uiManager.parameterDisplay.stepParameter(this.uiManager, 'projection', 1);
+                break;
+            case 'V': // Previous view
+                this.uiManager.parameterDisplay.stepParameter(this.uiManager, 'projection', -1);
+                break;
+            case 'r': // Turn the camera clockwise
+                this.uiManager.parameterDisplay.stepParameter(this.uiManager, 'cameraYaw', 1);
+                break;
+            case 'R': // Turn the camera anticlockwise
+                this.uiManager.parameterDisplay.stepParameter(this.uiManager, 'cameraYaw', -1);
+                break;
+                
+            // Contour lines (this device only)
+            case 'c': // Next contour mode
+                this.uiManager.parameterDisplay.stepParameter(this.uiManager, 'contours', 1);
+                break;
+            case 'C': // Previous contour mode
+                this.uiManager.parameterDisplay.stepParameter(this.uiManager, 'contours', -1);
+                break;
+            case '.': // Contours further apart
+                this.uiManager.parameterDisplay.stepParameter(this.uiManager, 'contourInterval', 1);
+                break;
+            case ',': // Contours closer together
+                this.uiManager.parameterDisplay.stepParameter(this.uiManager, 'contourInterval', -1);
+                break;
+            case 'n':
+            case 'N': // Toggle elevation labels
+                this.uiManager.parameterDisplay.stepParameter(this.uiManager, 'contourLabels', 1);
+                break;
+                
+            // Grid resolution changes
+            case 'g': // Finer grid
+                this.uiManager.parameterDisplay.stepParameter(this.uiManager, 'resolution', 1);
+                break;
+            case 'G': // Coarser grid
+                this.uiManager.parameterDisplay.stepParameter(this.uiManager, 'resolution', -1);
+                break;
+                
+            // Seed points
+            case 'f': // Next seed falloff curve
+                this.uiManager.parameterDisplay.stepParameter(this.uiManager, 'seedFalloff', 1);
+                break;
+            case 'F': // Previous seed falloff curve
+                this.uiManager.parameterDisplay.stepParameter(this.uiManager, 'seedFalloff', -1);
+                break;
+            // Heightmap export and import
+            case 'x': { // Download the terrain
+                const fileName = this.uiManager.exportHeightmap();
+                if (fileName) {
+                    this.showKeyFeedback('X', `Exported ${fileName}`);
+                }
+                break;
+            }
+            case 'X': // Next export format
+                this.uiManager.parameterDisplay.stepParameter(this.uiManager, 'heightmapFormat', 1);
+                break;
+            case 'i':
+            case 'I': // Import a heightmap as the room's terrain
+                this.uiManager.importHeightmap();
+                break;
+                
+            case ' ': // Add a random seed
+                e.preventDefault();
+                this.uiManager.addRandomSeed();
+                this.showKeyFeedback('Space', 'Seed added');
+                break;
+        }
+    }
+    
+    // Undo or redo a seed change, showing what happened
+    handleHistoryKey(isRedo) {
+        // No feedback when throttled - nothing was sent
+        if (isRedo) {
+            const done = this.uiManager.redo();
+            if (done !== undefined) {
+                this.showKeyFeedback('Ctrl+Y', done ? 'Redo' : 'Nothing to redo');
+            }
+        } else {
+            const done = this.uiManager.undo();
+            if (done !== undefined) {
+                this.showKeyFeedback('Ctrl+Z', done ? 'Undo' : 'Nothing to undo');
+            }
         }
     }
     
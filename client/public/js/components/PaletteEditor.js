@@ -0,0 +1,304 @@
+// PaletteEditor class - Panel for making custom palettes: add, remove, reorder and recolour stops
+// The landscape previews the palette while it is edited; saving shares it with the room
+import { PALETTES, PALETTE_EDITOR, PALETTE_FILES } from '../utils/constants.js';
+import { findConfusedStops } from '../utils/ColorUtils.js';
+
+// Most colour-vision warnings listed at once
+const MAX_LINT_WARNINGS = 4;
+
+class PaletteEditor {
+    constructor(uiManager) {
+        this.uiManager = uiManager;
+        this.panel = null;
+        
+        // Palette being edited
+        this.name = '';
+        this.colors = [];
+        
+        // Elements inside the panel
+        this.nameInput = null;
+        this.previewBar = null;
+        this.stopList = null;
+        this.deleteButton = null;
+        this.messageElement = null;
+        this.lintElement = null;
+    }
+    
+    // Whether the editor is showing
+    isOpen() {
+        return this.panel !== null;
+    }
+    
+    // Open the editor on the palette the landscape is showing, or close it if open
+    toggle() {
+        if (this.isOpen()) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+    
+    // Open the editor on a palette ({ name, colors }, e.g. an imported one) or the one the
+    // landscape is showing - built-in palettes are copied under a new name; custom ones are edited in place
+    open(palette = null) {
+        if (palette) {
+            this.name = palette.name;
+            this.colors = [...palette.colors];
+        } else {
+            const { currentPalette, paletteColors } = this.uiManager.fractal.colorManager;
+            this.name = PALETTES[currentPalette] ? `my ${currentPalette}` : currentPalette;
+            this.colors = [...paletteColors];
+        }
+        
+        this.createPanel();
+        this.render();
+        this.nameInput.focus();
+    }
+    
+    // Close the editor, going back to the room's palette
+    close() {
+        if (!this.panel) return;
+        
+        document.body.removeChild(this.panel);
+        this.panel = null;
+        this.uiManager.fractal.previewPalette(null);
+    }
+    
+    // Build the panel and its controls
+    createPanel() {
+        this.panel = document.createElement('div');
+        this.panel.className = 'palette-editor';
+        this.panel.innerHTML = `
+            <div class="palette-editor-title">Palette Editor</div>
+            <input class="palette-editor-name" type="text" maxlength="${PALETTE_EDITOR.maxNameLength}" spellcheck="false">
+            <div class="palette-editor-preview"></div>
+            <ol class="palette-editor-stops"></ol>
+            <div class="palette-editor-actions">
+                <button type="button" data-action="add">Add stop</button>
+                <button type="button" data-action="save">Save</button>
+                <button type="button" data-action="delete">Delete</button>
+                <button type="button" data-action="close">Close</button>
+            </div>
+            <div class="palette-editor-actions">
+                <button type="button" data-action="import">Import…</button>
+                ${PALETTE_FILES.formats.map(format => `<button type="button" data-action="export" data-format="${format}">.${format}</button>`).join('')}
+            </div>
+            <div class="palette-editor-message"></div>
+            <ul class="palette-editor-lint"></ul>`;
+        
+        this.nameInput = this.panel.querySelector('.palette-editor-name');
+        this.previewBar = this.panel.querySelector('.palette-editor-preview');
+        this.stopList = this.panel.querySelector('.palette-editor-stops');
+        this.deleteButton = this.panel.querySelector('[data-action="delete"]');
+        this.messageElement = this.panel.querySelector('.palette-editor-message');
+        this.lintElement = this.panel.querySelector('.palette-editor-lint');
+        
+        this.nameInput.value = this.name;
+        this.nameInput.addEventListener('input', () => {
+            this.name = this.nameInput.value;
+            this.updateButtons();
+        });
+        
+        this.panel.addEventListener('click', (e) => {
+            const button = e.target.closest('button');
+            if (!button) return;
+            
+            const index = Number(button.dataset.index);
+            switch (button.dataset.action) {
+                case 'add':
+                    this.addStop();
+                    break;
+                case 'up':
+                    this.moveStop(index, -1);
+                    break;
+                case 'down':
+                    this.moveStop(index, 1);
+                    break;
+                case 'remove':
+                    this.removeStop(index);
+                    break;
+                case 'save':
+                    this.save();
+                    break;
+                case 'delete':
+                    this.deletePalette();
+                    break;
+                case 'close':
+                    this.close();
+                    break;
+                case 'import':
+                    this.uiManager.paletteTransfer.openFilePicker();
+                    break;
+                case 'export':
+                    this.exportPalette(button.dataset.format);
+                    break;
+            }
+        });
+        
+        // Color pickers report every change while they are dragged
+        this.panel.addEventListener('input', (e) => {
+            if (e.target.type !== 'color') return;
+            this.colors[Number(e.target.dataset.index)] = e.target.value;
+            this.updatePreview();
+        });
+        
+        // Keys typed into the editor are not landscape shortcuts
+        this.panel.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Escape') {
+                this.close();
+            } else if (e.key === 'Enter' && e.target === this.nameInput) {
+                this.save();
+            }
+        });
+        
+        document.body.appendChild(this.panel);
+    }
+    
+    // Add a stop after the last one
+    addStop() {
+        if (this.colors.length >= PALETTE_EDITOR.maxStops) return;
+        this.colors.push(PALETTE_EDITOR.newStopColor);
+        this.render();
+    }
+    
+    // Swap a stop with its neighbour above (-1) or below (1)
+    moveStop(index, direction) {
+        const target = index + direction;
+        if (target < 0 || target >= this.colors.length) return;
+        [this.colors[index], this.colors[target]] = [this.colors[target], this.colors[index]];
+        this.render();
+    }
+    
+    // Remove a stop, keeping at least the minimum
+    removeStop(index) {
+        if (this.colors.length <= PALETTE_EDITOR.minStops) return;
+        this.colors.splice(index, 1);
+        this.render();
+    }
+    
+    // Reason the palette cannot be saved, or null if it can
+    validate() {
+        const name = this.name.trim();
+        if (!name || name.length > PALETTE_EDITOR.maxNameLength || !PALETTE_EDITOR.namePattern.test(name)) {
+            return 'Name must be letters, digits, spaces, - or _';
+        }
+        if (PALETTES[name]) {
+            return 'Name is taken by a built-in palette';
+        }
+        const isNew = !this.uiManager.customPalettes.some(palette => palette.name === name);
+        if (isNew && this.uiManager.customPalettes.length >= PALETTE_EDITOR.maxPalettes) {
+            return `This room already has ${PALETTE_EDITOR.maxPalettes} custom palettes`;
+        }
+        return null;
+    }
+    
+    // Share the palette with the room and switch to it
+    save() {
+        const error = this.validate();
+        if (error) {
+            this.messageElement.textContent = error;
+            return;
+        }
+        
+        const palette = { name: this.name.trim(), colors: [...this.colors] };
+        this.close();
+        this.uiManager.savePalette(palette);
+    }
+    
+    // Download the palette being edited as a swatch file
+    exportPalette(format) {
+        const name = this.name.trim() || 'palette';
+        const fileName = this.uiManager.paletteTransfer.exportPalette({ name, colors: [...this.colors] }, format);
+        this.messageElement.textContent = `Exported ${fileName}`;
+    }
+    
+    // Remove the custom palette with the edited name from the room
+    deletePalette() {
+        const name = this.name.trim();
+        this.close();
+        this.uiManager.deletePalette(name);
+    }
+    
+    // Rebuild the list of stops
+    render() {
+        this.stopList.innerHTML = '';
+        this.colors.forEach((color, index) => {
+            const item = document.createElement('li');
+            
+            const picker = document.createElement('input');
+            picker.type = 'color';
+            picker.value = color;
+            picker.dataset.index = index;
+            item.appendChild(picker);
+            
+            for (const [action, label, disabled] of [
+                ['up', '↑', index === 0],
+                ['down', '↓', index === this.colors.length - 1],
+                ['remove', '×', this.colors.length <= PALETTE_EDITOR.minStops]
+            ]) {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.textContent = label;
+                button.dataset.action = action;
+                button.dataset.index = index;
+                button.disabled = disabled;
+                item.appendChild(button);
+            }
+            
+            this.stopList.appendChild(item);
+        });
+        
+        this.panel.querySelector('[data-action="add"]').disabled = this.colors.length >= PALETTE_EDITOR.maxStops;
+        this.updateButtons();
+        this.updatePreview();
+    }
+    
+    // Only custom palettes of the room can be deleted
+    updateButtons() {
+        const name = this.name.trim();
+        this.deleteButton.disabled = !this.uiManager.customPalettes.some(palette => palette.name === name);
+        this.messageElement.textContent = '';
+    }
+    
+    // Show the stops as a strip and on the landscape
+    updatePreview() {
+        this.previewBar.style.background = `linear-gradient(to right, ${this.colors.join(', ')})`;
+        this.uiManager.fractal.previewPalette({ name: this.name, colors: this.colors });
+        this.lint();
+    }
+    
+    // Warn about stops a colour-blind viewer could not tell apart, marking them in the list
+    lint() {
+        // One warning per pair of stops, naming every deficiency that confuses them
+        const pairs = new Map();
+        for (const { type, first, second } of findConfusedStops(this.colors, PALETTE_EDITOR.minStopDifference)) {
+            const key = `${first}-${second}`;
+            if (!pairs.has(key)) pairs.set(key, { first, second, types: [] });
+            pairs.get(key).types.push(type);
+        }
+        
+        const confused = new Set();
+        const warnings = [];
+        for (const { first, second, types } of pairs.values()) {
+            confused.add(first);
+            confused.add(second);
+            warnings.push(`Stops ${first + 1} and ${second + 1} look alike with ${types.join(', ')}`);
+        }
+        if (warnings.length > MAX_LINT_WARNINGS) {
+            warnings.splice(MAX_LINT_WARNINGS, Infinity, `…and ${warnings.length - MAX_LINT_WARNINGS} more`);
+        }
+        
+        this.lintElement.innerHTML = '';
+        for (const warning of warnings) {
+            const item = document.createElement('li');
+            item.textContent = warning;
+            this.lintElement.appendChild(item);
+        }
+        [...this.stopList.children].forEach((item, index) => {
+            item.classList.toggle('confused', confused.has(index));
+        });
+    }
+}
+
+export default PaletteEditor;
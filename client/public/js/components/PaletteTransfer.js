@@ -0,0 +1,166 @@
+// PaletteTransfer class - Imports palette files (GIMP .gpl, Adobe .ase, hex lists, CSS gradients)
+// dropped anywhere on the page or picked from a file, and downloads palettes in those formats
+import { PALETTES, PALETTE_EDITOR, PALETTE_FILES } from '../utils/constants.js';
+import {
+    decodePalette,
+    parseCSSGradient,
+    isPaletteFileName,
+    encodeGPL,
+    encodeASE,
+    encodeHexList,
+    encodeCSSGradient
+} from '../utils/PaletteUtils.js';
+
+// Encoder for each export format
+const ENCODERS = {
+    gpl: encodeGPL,
+    ase: encodeASE,
+    hex: encodeHexList,
+    css: encodeCSSGradient
+};
+
+class PaletteTransfer {
+    constructor(uiManager) {
+        this.uiManager = uiManager;
+        this.fileInput = null;
+        
+        this.setupEventHandlers();
+    }
+    
+    // Accept palette files, and CSS gradients dragged as text, dropped anywhere on the page
+    // (heightmap files dropped on the canvas are left to HeightmapTransfer)
+    setupEventHandlers() {
+        document.addEventListener('dragover', (e) => {
+            const { types } = e.dataTransfer;
+            if (types.includes('Files') || types.includes('text/plain')) {
+                e.preventDefault();
+                e.dataTransfer.dropEffect = 'copy';
+            }
+        });
+        
+        document.addEventListener('drop', (e) => {
+            const file = e.dataTransfer.files[0];
+            if (file) {
+                if (isPaletteFileName(file.name)) {
+                    e.preventDefault();
+                    this.importFile(file);
+                }
+                return;
+            }
+            
+            const text = e.dataTransfer.getData('text/plain');
+            if (/linear-gradient\s*\(/i.test(text)) {
+                e.preventDefault();
+                this.importText(text);
+            }
+        });
+    }
+    
+    // Download a palette ({ name, colors }) in a format from PALETTE_FILES.formats, returning the file name
+    exportPalette(palette, format) {
+        const contents = ENCODERS[format](palette);
+        const fileName = `${palette.name.replace(/\s+/g, '-')}.${format}`;
+        const url = URL.createObjectURL(new Blob([contents], { type: PALETTE_FILES.mimeTypes[format] }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+        
+        console.log(`Exported palette ${fileName}`);
+        return fileName;
+    }
+    
+    // Ask the user for a palette file to import
+    openFilePicker() {
+        // Created on first use and kept for later imports
+        if (!this.fileInput) {
+            this.fileInput = document.createElement('input');
+            this.fileInput.type = 'file';
+            this.fileInput.accept = PALETTE_FILES.extensions.map(extension => `.${extension}`).join(',');
+            this.fileInput.style.display = 'none';
+            this.fileInput.addEventListener('change', () => {
+                const file = this.fileInput.files[0];
+                this.fileInput.value = '';
+                if (file) {
+                    this.importFile(file);
+                }
+            });
+            document.body.appendChild(this.fileInput);
+        }
+        
+        this.fileInput.click();
+    }
+    
+    // Decode a palette file and open it in the editor - saving it there shares it with the room
+    async importFile(file) {
+        let palette;
+        try {
+            palette = decodePalette(await file.arrayBuffer());
+        } catch (err) {
+            this.reportError(file.name, err);
+            return;
+        }
+        
+        // Files without a palette name are named after the file
+        this.openPalette(palette, file.name.replace(/\.[^.]*$/, ''));
+    }
+    
+    // Open a CSS gradient in the editor
+    importText(text) {
+        try {
+            this.openPalette(parseCSSGradient(text), 'gradient');
+        } catch (err) {
+            this.reportError('CSS gradient', err);
+        }
+    }
+    
+    // Fit a decoded palette to the editor's limits and open it for review
+    openPalette(decoded, fallbackName) {
+        const { keyboardManager, paletteEditor } = this.uiManager;
+        
+        let palette;
+        try {
+            palette = fitPalette(decoded, fallbackName);
+        } catch (err) {
+            this.reportError(fallbackName, err);
+            return;
+        }
+        
+        paletteEditor.close();
+        paletteEditor.open(palette);
+        
+        const reduced = decoded.colors.length > palette.colors.length ? ` (from ${decoded.colors.length})` : '';
+        keyboardManager.showKeyFeedback('Import', `Palette ${palette.name}: ${palette.colors.length} colors${reduced}`);
+    }
+    
+    // Tell the user a palette could not be imported
+    reportError(source, err) {
+        console.warn(`Could not import palette ${source}: ${err.message}`);
+        this.uiManager.keyboardManager.showKeyFeedback('Import', err.message);
+    }
+}
+
+// Give a decoded palette a valid name and a number of stops the editor allows
+// Long palettes keep evenly spaced colors, including the first and last
+function fitPalette({ name, colors }, fallbackName) {
+    const { minStops, maxStops, maxNameLength, namePattern } = PALETTE_EDITOR;
+    if (colors.length < minStops) {
+        throw new Error(`Palette needs at least ${minStops} colors`);
+    }
+    
+    const stops = colors.length <= maxStops
+        ? colors
+        : Array.from({ length: maxStops }, (_, i) => colors[Math.round(i * (colors.length - 1) / (maxStops - 1))]);
+    
+    // Keep the characters custom palette names allow; built-in names get a prefix
+    let cleanName = (name || fallbackName).replace(/[^A-Za-z0-9 _-]+/g, ' ').replace(/\s+/g, ' ').trim();
+    if (!namePattern.test(cleanName)) cleanName = 'imported';
+    if (PALETTES[cleanName]) cleanName = `imported ${cleanName}`;
+    
+    return { name: cleanName.slice(0, maxNameLength).trim(), colors: stops };
+}
+
+export default PaletteTransfer;
@@ -1,29 +1,154 @@
 // ParameterDisplay class - Handles updating parameter displays and UI elements
-import { PALETTE_NAMES } from '../utils/constants.js';
 import { updateStatusElement } from '../utils/UIUtils.js';
+import { COLOR_MODE_LABELS, VISION_MODE_LABELS, TERRAIN_ALGORITHM_LABELS, EVOLVE_MODE_LABELS, LIGHTING_MODE_LABELS, PROJECTION_MODE_LABELS, CONTOUR_MODE_LABELS } from '../utils/constants.js';
+
+// Feedback labels and keys shown for each parameter
+const PARAMETER_FEEDBACK = {
+    palette: { key: 'P', label: 'Palette' },
+    colorMode: { key: 'B', label: 'Colors' },
+    visionSimulation: { key: 'M', label: 'Vision' },
+    algorithm: { key: 'A', label: 'Terrain' },
+    resolution: { key: 'G', label: 'Resolution' },
+    roughness: { key: '↑↓', label: 'Roughness' },
+    evolveSpeed: { key: '←→', label: 'Evolve Speed' },
+    evolveMode: { key: 'E', label: 'Evolve Mode' },
+    lighting: { key: 'L', label: 'Lighting' },
+    sunAzimuth: { key: 'S', label: 'Sun Direction' },
+    sunOrbit: { key: 'D', label: 'Day/Night' },
+    projection: { key: 'V', label: 'View' },
+    cameraYaw: { key: 'R', label: 'Camera Turn' },
+    cameraPitch: { key: 'T', label: 'Camera Tilt' },
+    heightScale: { key: 'H', label: 'Height Scale' },
+    contours: { key: 'C', label: 'Contours' },
+    contourInterval: { key: ', .', label: 'Contour Interval' },
+    contourLabels: { key: 'N', label: 'Elevation Labels' },
+    seedIntensity: { key: '-/+', label: 'Seed Height' },
+    seedRadius: { key: '[ ]', label: 'Seed Radius' },
+    seedFalloff: { key: 'F', label: 'Seed Falloff' },
+    heightmapFormat: { key: 'Shift+X', label: 'Export Format' }
+};
+
+// Format a parameter value for display
+export function formatParameter(param, value) {
+    switch (param) {
+        case 'colorMode':
+            return COLOR_MODE_LABELS[value] || String(value);
+        case 'visionSimulation':
+            return VISION_MODE_LABELS[value] || String(value);
+        case 'algorithm':
+            return TERRAIN_ALGORITHM_LABELS[value] || String(value);
+        case 'roughness':
+            return Number(value).toFixed(2);
+        case 'evolveSpeed':
+            return String(Math.round(value));
+        case 'evolveMode':
+            return EVOLVE_MODE_LABELS[value] || String(value);
+        case 'lighting':
+            return LIGHTING_MODE_LABELS[value] || String(value);
+        case 'sunAzimuth':
+            return `${Math.round(value)}°`;
+        case 'sunOrbit':
+            return value ? 'on' : 'off';
+        case 'projection':
+            return PROJECTION_MODE_LABELS[value] || String(value);
+        case 'cameraYaw':
+        case 'cameraPitch':
+            return `${Math.round(value)}°`;
+        case 'heightScale':
+            return `${Number(value).toFixed(2)}×`;
+        case 'contours':
+            return CONTOUR_MODE_LABELS[value] || String(value);
+        case 'contourInterval':
+            return String(Math.round(value * 100));
+        case 'contourLabels':
+            return value ? 'on' : 'off';
+        case 'seedIntensity':
+            return Number(value).toFixed(1);
+        case 'seedRadius':
+            return Number(value).toFixed(2);
+        default:
+            return String(value);
+    }
+}
 
 class ParameterDisplay {
     constructor() {
         // Initialize parameter display elements
         this.elements = {
-            palette: document.getElementById('palette-value')
+            palette: document.getElementById('palette-value'),
+            colorMode: document.getElementById('color-mode-value'),
+            algorithm: document.getElementById('algorithm-value'),
+            resolution: document.getElementById('resolution-value'),
+            roughness: document.getElementById('roughness-value'),
+            evolveSpeed: document.getElementById('evolve-speed-value'),
+            evolveMode: document.getElementById('evolve-mode-value'),
+            lighting: document.getElementById('lighting-value'),
+            sunAzimuth: document.getElementById('sun-azimuth-value'),
+            projection: document.getElementById('projection-value'),
+            contours: document.getElementById('contours-value'),
+            seedIntensity: document.getElementById('seed-intensity-value'),
+            heightmapFormat: document.getElementById('heightmap-format-value')
         };
     }
     
-    // Update parameter display with highlight effect
+    // Update parameter display with highlight effect (only when the shown value changes)
     updateDisplay(param, value) {
-        let element;
+        const element = this.elements[param];
+        if (!element) return;
         
-        switch(param) {
-            case 'palette':
-                element = this.elements.palette;
-                break;
-            default:
-                return;
+        const text = formatParameter(param, value);
+        if (element.textContent !== text) {
+            updateStatusElement(element, text);
+        }
+    }
+    
+    // Show key feedback for a parameter change
+    showFeedback(uiManager, param, value) {
+        const { key, label } = PARAMETER_FEEDBACK[param];
+        uiManager.keyboardManager.showKeyFeedback(key, `${label}: ${formatParameter(param, value)}`);
+    }
+    
+    // Step a parameter: click (1) steps up, right-click (-1) steps down
+    stepParameter(uiManager, param, direction) {
+        let value;
+        if (param === 'palette') {
+            value = uiManager.cyclePalette(direction);
+        } else if (param === 'colorMode') {
+            value = uiManager.cycleColorMode(direction);
+        } else if (param === 'visionSimulation') {
+            value = uiManager.cycleVisionSimulation(direction);
+        } else if (param === 'algorithm') {
+            value = uiManager.cycleAlgorithm(direction);
+        } else if (param === 'resolution') {
+            value = uiManager.cycleResolution(direction);
+        } else if (param === 'evolveMode') {
+            value = uiManager.cycleEvolveMode(direction);
+        } else if (param === 'lighting') {
+            value = uiManager.cycleLighting(direction);
+        } else if (param === 'sunAzimuth') {
+            value = uiManager.rotateSun(direction);
+        } else if (param === 'sunOrbit') {
+            value = uiManager.toggleSunOrbit();
+        } else if (param === 'projection') {
+            value = uiManager.cycleProjection(direction);
+        } else if (param === 'cameraYaw') {
+            value = uiManager.rotateCamera(direction);
+        } else if (param === 'contours') {
+            value = uiManager.cycleContours(direction);
+        } else if (param === 'contourInterval') {
+            value = uiManager.stepContourInterval(direction);
+        } else if (param === 'contourLabels') {
+            value = uiManager.toggleContourLabels();
+        } else if (param === 'seedFalloff') {
+            value = uiManager.cycleSeedFalloff(direction);
+        } else if (param === 'heightmapFormat') {
+            value = uiManager.cycleHeightmapFormat(direction);
+        } else {
+            value = uiManager.stepParameter(param, direction);
         }
         
-        if (element) {
-            updateStatusElement(element, value);
+        if (value !== undefined) {
+            this.showFeedback(uiManager, param, value);
         }
     }
     
@@ -33,30 +158,29 @@ class ParameterDisplay {
         const paramItems = document.querySelectorAll('.param-item');
         
         paramItems.forEach(item => {
+            const key = item.getAttribute('data-key');
+            const param = key === 'p' ? 'palette' : key;
+            if (!PARAMETER_FEEDBACK[param]) return;
+            
             item.addEventListener('click', () => {
-                const key = item.getAttribute('data-key');
-                
-                switch(key) {
-                    case 'p':
-                        // Cycle through palettes
-                        const currentIndex = PALETTE_NAMES.indexOf(uiManager.controls.palette);
-                        const nextIndex = (currentIndex + 1) % PALETTE_NAMES.length;
-                        uiManager.updatePalette(PALETTE_NAMES[nextIndex]);
-                        uiManager.keyboardManager.showKeyFeedback('P', `Palette: ${PALETTE_NAMES[nextIndex]}`);
-                        break;
-                }
+                this.stepParameter(uiManager, param, 1);
             });
             
-            // Add right-click handler for context menu
+            // Add right-click handler to step backwards
             item.addEventListener('contextmenu', (e) => {
                 e.preventDefault(); // Prevent context menu
+                this.stepParameter(uiManager, param, -1);
             });
         });
     }
     
     // Update all parameter displays with current values
     updateAllDisplays(controls) {
-        this.updateDisplay('palette', controls.palette);
+        for (const param of Object.keys(this.elements)) {
+            if (controls[param] !== undefined) {
+                this.updateDisplay(param, controls[param]);
+            }
+        }
     }
 }
 
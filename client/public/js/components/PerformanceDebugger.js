@@ -8,14 +8,15 @@ class PerformanceDebugger {
     }
     
     // Draw debug information overlay on the canvas
-    drawDebugInfo(ctx) {
+    // clockStatus - optional { rtt, offset, rate, error } from SyncManager.getClockStatus
+    drawDebugInfo(ctx, clockStatus = null) {
         const metrics = this.metrics;
         const data = metrics.getDebugData();
         
         // Set up text rendering
         ctx.save();
         ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
-        ctx.fillRect(5, 5, 280, 195); // Taller box for more info
+        ctx.fillRect(5, 5, 280, 225); // Taller box for more info
         ctx.fillStyle = '#ffffff';
         ctx.font = '12px monospace';
         ctx.textBaseline = 'top';
@@ -116,6 +117,19 @@ class PerformanceDebugger {
             }
         }
         
+        // Show the clock sync with the server - round trip, offset and what is left to slew
+        if (clockStatus && clockStatus.rtt !== null) {
+            const { rtt, offset, rate, error } = clockStatus;
+            ctx.fillText(`Clock: RTT ${rtt.toFixed(0)}ms, offset ${offset >= 0 ? '+' : ''}${offset.toFixed(3)}s`, 10, 190);
+            
+            const errorMs = error * 1000;
+            ctx.fillStyle = Math.abs(errorMs) <= 50 ? '#00ff00' : '#ffcc00';
+            ctx.fillText(`Sync Error: ${errorMs >= 0 ? '+' : ''}${errorMs.toFixed(0)}ms (rate ${rate.toFixed(4)})`, 10, 205);
+            ctx.fillStyle = '#ffffff'; // Reset color
+        } else {
+            ctx.fillText('Clock: not synced', 10, 190);
+        }
+        
         ctx.restore();
     }
 }
@@ -41,8 +41,8 @@ class PerformanceMonitor {
     }
     
     // Draw debug information overlay on the canvas
-    drawDebugInfo(ctx) {
-        this.debugger.drawDebugInfo(ctx);
+    drawDebugInfo(ctx, clockStatus) {
+        this.debugger.drawDebugInfo(ctx, clockStatus);
     }
 }
 
@@ -1,10 +1,13 @@
 // QuadTreeSubdivider class - Handles adaptive quad-tree based terrain subdivision
 import { clamp, safeValue } from '../utils/MathUtils.js';
+import { shadeColor } from '../utils/ColorUtils.js';
 
 class QuadTreeSubdivider {
-    constructor(terrainGenerator, colorManager) {
+    constructor(terrainGenerator, colorManager, lighting, projection) {
         this.terrainGenerator = terrainGenerator;
         this.colorManager = colorManager;
+        this.lighting = lighting;
+        this.projection = projection;
         this.triangleBatch = [];
         this.triangleCount = 0;
         this.detailAreaCount = 0;
@@ -18,32 +21,31 @@ class QuadTreeSubdivider {
     }
     
     // Process the terrain with quad tree subdivision
-    subdivide(effectiveGridSize, cellSize, baseSkipFactor, pixelWidth, pixelHeight, globalTime, options) {
+    subdivide(gridWidth, gridHeight, cellSize, baseSkipFactor, globalTime, options) {
         this.reset();
         
         // Divide terrain into initial grid cells and process each one
-        for (let y = 0; y < effectiveGridSize - 1; y += cellSize) {
-            for (let x = 0; x < effectiveGridSize - 1; x += cellSize) {
+        for (let y = 0; y < gridHeight - 1; y += cellSize) {
+            for (let x = 0; x < gridWidth - 1; x += cellSize) {
                 // Ensure we don't go out of bounds
-                const size = Math.min(cellSize, effectiveGridSize - x - 1, effectiveGridSize - y - 1);
+                const size = Math.min(cellSize, gridWidth - x - 1, gridHeight - y - 1);
                 this.createSubdividedGrid(
                     x, y, size, baseSkipFactor, 
-                    pixelWidth, pixelHeight, 
                     globalTime, options
                 );
             }
         }
         
-        // Sort triangles by height for better visual layering (back-to-front)
-        // Add a small epsilon to prevent z-fighting from identical heights
+        // Sort triangles back-to-front for the current view (by height when seen from above)
+        // Add a small epsilon to prevent z-fighting from identical depths
         this.triangleBatch.sort((a, b) => {
-            const heightDiff = a.height - b.height;
-            // If heights are nearly identical, maintain stable sorting
-            if (Math.abs(heightDiff) < 0.0001) {
-                // Use position for stable sorting when heights are equal
+            const depthDiff = a.depth - b.depth;
+            // If depths are nearly identical, maintain stable sorting
+            if (Math.abs(depthDiff) < 0.0001) {
+                // Use position for stable sorting when depths are equal
                 return (a.y1 + a.y2 + a.y3) - (b.y1 + b.y2 + b.y3);
             }
-            return heightDiff;
+            return depthDiff;
         });
         
         return { 
@@ -54,7 +56,7 @@ class QuadTreeSubdivider {
     }
     
     // Define a subdivision function to create more detailed areas
-    createSubdividedGrid(startX, startY, size, detailFactor, pixelWidth, pixelHeight, globalTime, options) {
+    createSubdividedGrid(startX, startY, size, detailFactor, globalTime, options) {
         // Base case - create triangles for this cell
         // Validate detailFactor while maintaining a wider range for visible detail differences
         const safeDetailFactor = safeValue(detailFactor, 1);
@@ -67,7 +69,6 @@ class QuadTreeSubdivider {
         if (size <= minSubdivisionSize || limitedDetailFactor >= 4) { // Adaptive termination criteria
             this.createTrianglesForQuad(
                 startX, startY, size, 
-                pixelWidth, pixelHeight, 
                 globalTime, options
             );
             return;
@@ -109,29 +110,24 @@ class QuadTreeSubdivider {
             
             // Recursively subdivide into 4 quads
             this.createSubdividedGrid(startX, startY, newSize, newDetail, 
-                                  pixelWidth, pixelHeight, 
                                   globalTime, options);
             this.createSubdividedGrid(startX + newSize, startY, newSize, newDetail, 
-                                  pixelWidth, pixelHeight, 
                                   globalTime, options);
             this.createSubdividedGrid(startX, startY + newSize, newSize, newDetail, 
-                                  pixelWidth, pixelHeight, 
                                   globalTime, options);
             this.createSubdividedGrid(startX + newSize, startY + newSize, newSize, newDetail, 
-                                  pixelWidth, pixelHeight, 
                                   globalTime, options);
         } else {
             // Just create triangles for this cell (similar to base case)
             this.createTrianglesForQuad(
                 startX, startY, size, 
-                pixelWidth, pixelHeight, 
                 globalTime, options
             );
         }
     }
     
     // Create triangles for a quad (shared by both base case and non-detail areas)
-    createTrianglesForQuad(startX, startY, size, pixelWidth, pixelHeight, globalTime, options) {
+    createTrianglesForQuad(startX, startY, size, globalTime, options) {
         const points = [
             { x: startX, y: startY },
             { x: startX + size, y: startY },
@@ -156,16 +152,20 @@ class QuadTreeSubdivider {
             // Skip invalid values
             if (isNaN(value) || !isFinite(value)) {
                 console.warn('Invalid height value detected at', p);
-                return { xPos: p.x * pixelWidth, yPos: p.y * pixelHeight, value: 0, color: '#000000' };
+                const { x, y, depth } = this.projection.project(p.x, p.y, 0);
+                return { xPos: x, yPos: y, depth, value: 0, color: '#000000' };
             }
             
-            const color = this.colorManager.getHeightColor(value);
+            // Height picks the palette color, lighting darkens it away from the sun
+            let color = this.colorManager.getHeightColor(value);
+            if (this.lighting && this.lighting.enabled) {
+                color = shadeColor(color, this.lighting.getShade(p.x, p.y));
+            }
             
-            // Direct mapping of coordinates to pixels without wave effect
-            const xPos = p.x * pixelWidth;
-            const yPos = p.y * pixelHeight;
+            // The view places the corner on the canvas - top-down ignores its height
+            const { x: xPos, y: yPos, depth } = this.projection.project(p.x, p.y, value);
             
-            return { xPos, yPos, value, color };
+            return { xPos, yPos, depth, value, color };
         });
         
         // Ensure all corners have valid positions
@@ -179,25 +179,27 @@ class QuadTreeSubdivider {
         
         // Ensure valid triangle area before adding (avoid degenerate triangles)
         // First triangle (top-left, top-right, bottom-left)
-        const height1 = (corners[0].value + corners[1].value + corners[3].value) / 3;
-        if (isFinite(height1)) {
+        const depth1 = (corners[0].depth + corners[1].depth + corners[3].depth) / 3;
+        if (isFinite(depth1)) {
             this.triangleBatch.push({
                 x1: corners[0].xPos, y1: corners[0].yPos, color1: corners[0].color,
                 x2: corners[1].xPos, y2: corners[1].yPos, color2: corners[1].color,
                 x3: corners[3].xPos, y3: corners[3].yPos, color3: corners[3].color,
-                height: height1
+                value1: corners[0].value, value2: corners[1].value, value3: corners[3].value,
+                depth: depth1
             });
             this.triangleCount++;
         }
         
         // Second triangle (bottom-left, top-right, bottom-right)
-        const height2 = (corners[3].value + corners[1].value + corners[2].value) / 3;
-        if (isFinite(height2)) {
+        const depth2 = (corners[3].depth + corners[1].depth + corners[2].depth) / 3;
+        if (isFinite(depth2)) {
             this.triangleBatch.push({
                 x1: corners[3].xPos, y1: corners[3].yPos, color1: corners[3].color,
                 x2: corners[1].xPos, y2: corners[1].yPos, color2: corners[1].color,
                 x3: corners[2].xPos, y3: corners[2].yPos, color3: corners[2].color,
-                height: height2
+                value1: corners[3].value, value2: corners[1].value, value3: corners[2].value,
+                depth: depth2
             });
             this.triangleCount++;
         }
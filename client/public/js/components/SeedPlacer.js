@@ -0,0 +1,130 @@
+// SeedPlacer class - Handles click-to-place seed points with drag-to-set height
+import { clamp } from '../utils/MathUtils.js';
+import { UI } from '../utils/constants.js';
+
+class SeedPlacer {
+    constructor(canvas, uiManager) {
+        this.canvas = canvas;
+        this.uiManager = uiManager;
+        
+        // Seed being placed: { pointerId, x, y, radius, startClientY, baseValue, value }
+        this.pending = null;
+        this.hintElement = null;
+        
+        this.setupEventHandlers();
+    }
+    
+    // Setup pointer event handlers (covers mouse, touch and pen)
+    setupEventHandlers() {
+        this.canvas.addEventListener('pointerdown', this.handlePointerDown.bind(this));
+        this.canvas.addEventListener('pointermove', this.handlePointerMove.bind(this));
+        this.canvas.addEventListener('pointerup', this.handlePointerUp.bind(this));
+        this.canvas.addEventListener('pointercancel', this.handlePointerCancel.bind(this));
+        this.canvas.addEventListener('contextmenu', this.handleContextMenu.bind(this));
+    }
+    
+    // Right-click (or long-press on touch screens) removes the seed under the pointer
+    handleContextMenu(e) {
+        e.preventDefault();
+        if (this.pending) return;
+        
+        if (this.uiManager.removeSeedAt(e.clientX, e.clientY)) {
+            this.uiManager.keyboardManager.showKeyFeedback('Right-click', 'Seed removed');
+        }
+    }
+    
+    // Start placing a seed at the pressed terrain position
+    handlePointerDown(e) {
+        // Only the primary button (or a touch/pen contact), one seed at a time
+        if (e.button !== 0 || this.pending) return;
+        
+        // Shift+click removes the seed under the pointer instead of placing one
+        if (e.shiftKey) {
+            e.preventDefault();
+            if (this.uiManager.removeSeedAt(e.clientX, e.clientY)) {
+                this.uiManager.keyboardManager.showKeyFeedback('Shift+Click', 'Seed removed');
+            }
+            return;
+        }
+        
+        const position = this.uiManager.fractal.screenToTerrain(e.clientX, e.clientY);
+        if (!position) return;
+        
+        e.preventDefault();
+        this.canvas.setPointerCapture(e.pointerId);
+        
+        // A plain click places a seed at the top of the current seed height range
+        const baseValue = clamp(0.4 + this.uiManager.controls.seedIntensity, 0, 1);
+        
+        this.pending = {
+            pointerId: e.pointerId,
+            x: position.x,
+            y: position.y,
+            radius: this.uiManager.controls.seedRadius,
+            startClientY: e.clientY,
+            baseValue,
+            value: baseValue
+        };
+        
+        this.uiManager.fractal.setSeedPreview(this.pending);
+        this.showHint(this.pending.value);
+    }
+    
+    // Dragging up raises the seed, dragging down lowers it (below 0.5 carves a valley)
+    handlePointerMove(e) {
+        if (!this.pending || e.pointerId !== this.pending.pointerId) return;
+        
+        e.preventDefault();
+        const dragDistance = this.pending.startClientY - e.clientY;
+        this.pending.value = clamp(this.pending.baseValue + dragDistance / UI.seedDragRange, 0, 1);
+        
+        this.uiManager.fractal.setSeedPreview(this.pending);
+        this.showHint(this.pending.value);
+    }
+    
+    // Place the seed when the pointer is released
+    handlePointerUp(e) {
+        if (!this.pending || e.pointerId !== this.pending.pointerId) return;
+        
+        const { x, y, value } = this.pending;
+        this.finish();
+        this.uiManager.placeSeed(x, y, value);
+    }
+    
+    // Abandon the seed if the browser cancels the gesture (e.g. a scroll takes over)
+    handlePointerCancel(e) {
+        if (!this.pending || e.pointerId !== this.pending.pointerId) return;
+        this.finish();
+    }
+    
+    // Clear placement state, preview and hint
+    finish() {
+        if (this.canvas.hasPointerCapture(this.pending.pointerId)) {
+            this.canvas.releasePointerCapture(this.pending.pointerId);
+        }
+        this.pending = null;
+        this.uiManager.fractal.setSeedPreview(null);
+        this.hideHint();
+    }
+    
+    // Show the height of the seed being placed
+    showHint(value) {
+        if (!this.hintElement) {
+            this.hintElement = document.createElement('div');
+            this.hintElement.className = 'seed-hint seed-mode';
+            document.body.appendChild(this.hintElement);
+        }
+        const kind = value < 0.5 ? 'valley' : 'peak';
+        this.hintElement.textContent = `Seed height: ${value.toFixed(2)} (${kind}) - drag up/down to adjust`;
+    }
+    
+    // Remove the height hint
+    hideHint() {
+        if (this.hintElement && this.hintElement.parentNode) {
+            this.hintElement.parentNode.removeChild(this.hintElement);
+        }
+        this.hintElement = null;
+    }
+}
+
+export default SeedPlacer;
\ No newline at end of file
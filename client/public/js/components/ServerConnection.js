@@ -1,5 +1,17 @@
 // ServerConnection class - Handles WebSocket communication with server
 import { updateStatusElement } from '../utils/UIUtils.js';
+import { decodeRaw16, inflate, unpackUint16 } from '../utils/HeightmapUtils.js';
+import { CLOCK_SYNC } from '../utils/constants.js';
+
+// Wait before re-fetching state after a rejected message, so a burst of rejections (a slider
+// drag, a held key) costs one 'getState' - the server refills those at 0.5/s
+const STATE_REFETCH_DELAY = 2000; // ms
+
+// Get the room name from a /r/:roomId URL (the server uses its default room otherwise)
+function getRoomIdFromLocation() {
+    const match = window.location.pathname.match(/^\/r\/([^/]+)/);
+    return match ? decodeURIComponent(match[1]) : undefined;
+}
 
 class ServerConnection {
     constructor(fractal, uiManager) {
@@ -8,6 +20,16 @@ class ServerConnection {
         this.socket = null;
         this.connected = false;
         this.activeUsers = 1;
+        this.roomId = getRoomIdFromLocation();
+        
+        // Timer for the next clock sync ping
+        this.clockSyncTimer = null;
+        
+        // Pending re-fetch of the state after rejected messages
+        this.stateRefetchTimer = null;
+        
+        // Terrain messages are decompressed in turn, so deltas apply in order
+        this.terrainUpdates = Promise.resolve();
         
         // Get UI status elements
         this.serverStatusElement = document.getElementById('server-status');
@@ -20,7 +42,10 @@ class ServerConnection {
     // Initialize socket.io connection
     connect() {
         // Create Socket.io connection - connects to the server that served the page
-        this.socket = io();
+        // and joins the room named in the URL
+        this.socket = io({
+            query: this.roomId ? { room: this.roomId } : {}
+        });
         
         // Set up event handlers
         this.setupEventHandlers();
@@ -30,14 +55,20 @@ class ServerConnection {
     setupEventHandlers() {
         // Connection established
         this.socket.on('connect', () => {
-            console.log(`Connected to server [id: ${this.socket.id}]`);
+            console.log(`Connected to server [id: ${this.socket.id}, room: ${this.roomId || 'default'}]`);
             updateStatusElement(this.serverStatusElement, 'Server status: Connected');
             this.serverStatusElement.className = 'server-status connected';
             this.connected = true;
             
+            // Measure the server clock afresh - it may have restarted while we were away
+            this.startClockSync();
+            
             // Get initial state
             console.log('Sending getState request to server');
             this.socket.emit('getState');
+            
+            // Get the server's terrain - a delta from the version we have after a reconnect
+            this.syncTerrain();
         });
         
         // Disconnect handler
@@ -46,6 +77,8 @@ class ServerConnection {
             updateStatusElement(this.serverStatusElement, 'Server status: Disconnected', false);
             this.serverStatusElement.className = 'server-status disconnected';
             this.connected = false;
+            this.stopClockSync();
+            this.fractal.pauseTerrainSync();
         });
         
         // Reconnection attempt
@@ -66,10 +99,25 @@ class ServerConnection {
         this.socket.on('state', (state) => {
             console.log(`Received state update:`, state);
             
+            // The state carries the server clock, which times palette fades
+            this.fractal.noteServerTime(state.globalTime);
+            
             // Update fractal with server state
             this.fractal.updateOptions({
                 palette: state.palette,
+                paletteChangedAt: state.paletteChangedAt,
+                customPalettes: state.customPalettes,
+                algorithm: state.algorithm,
+                evolveMode: state.evolveMode,
+                evolveSpeed: state.evolveSpeed,
+                lighting: state.lighting,
+                sunAzimuth: state.sunAzimuth,
+                sunOrbit: state.sunOrbit,
+                roughness: state.roughness,
                 seedPoints: state.seedPoints,
+                terrainSeed: state.terrainSeed,
+                evolveCount: state.evolveCount,
+                hasHeightmap: state.hasHeightmap
             });
             
             // Update UI controls
@@ -80,16 +128,100 @@ class ServerConnection {
             console.log(`Applied state update to fractal with new visual parameters`);
         });
         
-        // Handle incoming seed points from other users
+        // Handle a full terrain snapshot (when joining, or too far behind for a delta)
+        this.socket.on('terrainSnapshot', (snapshot) => {
+            this.queueTerrainUpdate(async () => {
+                const values = unpackUint16(await inflate(new Uint8Array(snapshot.data)));
+                this.fractal.applyTerrainSnapshot({ ...snapshot, values });
+                console.log(`Received terrain snapshot: version ${snapshot.version} (step ${snapshot.evolveCount})`);
+            });
+        });
+        
+        // Handle terrain deltas - a missed one means asking for the versions in between
+        this.socket.on('terrainDelta', (delta) => {
+            this.queueTerrainUpdate(async () => {
+                // Versions from another epoch (the server restarted) are unrelated terrain
+                const held = this.fractal.getTerrainVersion();
+                if (!held || delta.epoch !== held.epoch || delta.fromVersion !== held.version) {
+                    console.log(`Terrain delta ${delta.fromVersion} → ${delta.version} does not follow the version held - resyncing`);
+                    this.syncTerrain();
+                    return;
+                }
+                
+                const values = unpackUint16(await inflate(new Uint8Array(delta.data)));
+                if (!this.fractal.applyTerrainDelta({ ...delta, values })) {
+                    this.syncTerrain();
+                }
+            });
+        });
+        
+        // Handle clock sync replies - the send time comes back with the server's globalTime
+        this.socket.on('timePong', ({ clientTime, serverTime }) => {
+            this.fractal.addClockSample(clientTime, serverTime, performance.now());
+        });
+        
+        // Handle seed points added by any user (including our own, now carrying its id)
         this.socket.on('newSeed', (seedPoint) => {
-            console.log(`Received new seed point from another user:`, seedPoint);
-            this.fractal.addSeedPoint(seedPoint.x, seedPoint.y, seedPoint.value);
+            console.log(`Received new seed point [id: ${seedPoint.id}]:`, seedPoint);
+            this.fractal.addSeedPoint(seedPoint);
+        });
+        
+        // Handle seed points removed or undone by any user
+        this.socket.on('seedRemoved', ({ id }) => {
+            console.log(`Received seed point removal [id: ${id}]`);
+            this.fractal.removeSeedPoint(id);
+        });
+        
+        // Handle a heightmap imported by any user (also sent after the state when joining)
+        this.socket.on('heightmap', ({ width, height, data }) => {
+            console.log(`Received heightmap: ${width}x${height}`);
+            this.fractal.setHeightmap({ width, height, data: decodeRaw16(data) });
+        });
+        
+        // Handle changes to the room's shared undo/redo history
+        this.socket.on('historyState', (history) => {
+            if (this.uiManager) {
+                this.uiManager.updateFromServerState(history);
+            }
+        });
+        
+        // Handle evolution speed changes from any user
+        this.socket.on('evolveSpeed', (speed) => {
+            console.log(`Received evolveSpeed update: ${speed}`);
+            this.fractal.updateOptions({ evolveSpeed: speed });
+            if (this.uiManager) {
+                this.uiManager.updateFromServerState({ evolveSpeed: speed });
+            }
         });
         
         // Handle evolution updates from server
-        this.socket.on('evolve', () => {
-            console.log('Received evolution trigger from server');
-            this.fractal.evolve(0.01);
+        this.socket.on('evolve', (evolveState = {}) => {
+            console.log(`Received evolution trigger from server (step ${evolveState.evolveCount})`);
+            this.fractal.evolve(0.01, evolveState);
+        });
+        
+        // Handle messages the server rejected
+        this.socket.on('validationError', (error) => {
+            console.warn(`Server rejected '${error.event}': ${error.message}`);
+            
+            // Re-fetch authoritative state so local changes that were refused are rolled back
+            this.scheduleStateRefetch();
+        });
+        
+        // Handle rate limiting by the server
+        this.socket.on('rateLimited', (info) => {
+            if (info.muted) {
+                console.warn(`Server muted this client for ${info.retryAfter}ms - sending too many updates`);
+            } else {
+                console.warn(`Server rate limited '${info.event}' - update dropped`);
+            }
+        });
+        
+        // Handle being removed by the server
+        this.socket.on('kicked', (info) => {
+            console.warn(`Disconnected by server: ${info.reason}`);
+            updateStatusElement(this.serverStatusElement, 'Server status: Disconnected (too many updates)', false);
+            this.serverStatusElement.className = 'server-status disconnected';
         });
         
         // Handle animation state updates from server
@@ -116,6 +248,54 @@ class ServerConnection {
         }, 5000);
     }
     
+    // Run a terrain update after the ones before it
+    queueTerrainUpdate(update) {
+        this.terrainUpdates = this.terrainUpdates.then(update).catch((err) => {
+            console.warn(`Could not apply terrain from server: ${err.message}`);
+        });
+    }
+    
+    // Ask for the state once rejections have settled, coalescing any that arrive meanwhile
+    scheduleStateRefetch() {
+        if (this.stateRefetchTimer) return;
+        
+        this.stateRefetchTimer = setTimeout(() => {
+            this.stateRefetchTimer = null;
+            if (this.connected) {
+                this.socket.emit('getState');
+            }
+        }, STATE_REFETCH_DELAY);
+    }
+    
+    // Ask the server to bring our terrain up to date from the version we hold
+    syncTerrain() {
+        if (this.connected) {
+            this.socket.emit('syncTerrain', this.fractal.getTerrainVersion());
+        }
+    }
+    
+    // Ping the server for its clock, quickly at first and then every few seconds
+    startClockSync() {
+        this.stopClockSync();
+        this.fractal.resetClockSync();
+        
+        let pingsSent = 0;
+        const ping = () => {
+            this.socket.emit('timePing', performance.now());
+            pingsSent++;
+            this.clockSyncTimer = setTimeout(ping, pingsSent < CLOCK_SYNC.burstCount ? CLOCK_SYNC.burstInterval : CLOCK_SYNC.pingInterval);
+        };
+        ping();
+    }
+    
+    // Stop pinging the server
+    stopClockSync() {
+        if (this.clockSyncTimer) {
+            clearTimeout(this.clockSyncTimer);
+            this.clockSyncTimer = null;
+        }
+    }
+    
     // Send a seed point to the server
     addSeed(seedPoint) {
         if (this.connected) {
@@ -123,6 +303,55 @@ class ServerConnection {
         }
     }
     
+    // Ask the server to remove a seed point
+    removeSeed(id) {
+        if (this.connected) {
+            this.socket.emit('removeSeed', id);
+        }
+    }
+    
+    // Undo the room's most recent seed change
+    undo() {
+        if (this.connected) {
+            this.socket.emit('undo');
+        }
+    }
+    
+    // Redo the room's most recently undone seed change
+    redo() {
+        if (this.connected) {
+            this.socket.emit('redo');
+        }
+    }
+    
+    // Send a heightmap ({ width, height, data } with 16-bit little-endian heights) to the room
+    importHeightmap(heightmap) {
+        if (this.connected) {
+            this.socket.emit('importHeightmap', heightmap);
+        }
+    }
+    
+    // Save a custom palette ({ name, colors }) for the room, replacing one with the same name
+    savePalette(palette) {
+        if (this.connected) {
+            this.socket.emit('savePalette', palette);
+        }
+    }
+    
+    // Delete one of the room's custom palettes
+    deletePalette(name) {
+        if (this.connected) {
+            this.socket.emit('deletePalette', name);
+        }
+    }
+    
+    // Change the server evolution speed (1-10)
+    setEvolveSpeed(speed) {
+        if (this.connected) {
+            this.socket.emit('setEvolveSpeed', speed);
+        }
+    }
+    
     // Update an option on the server
     updateOption(option) {
         if (this.connected) {
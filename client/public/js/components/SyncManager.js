@@ -1,12 +1,23 @@
 // SyncManager class - Handles synchronization with server
 import { updateCyclicValue } from '../utils/AnimationUtils.js';
-import { weightedAverage } from '../utils/MathUtils.js';
+import { weightedAverage, clamp } from '../utils/MathUtils.js';
+import { ANIMATION, CLOCK_SYNC } from '../utils/constants.js';
 
 class SyncManager {
     constructor() {
         this.useServerSync = true;
         this.syncData = null;
         this.sharedSeed = 0;
+        
+        // Last server globalTime heard and when it arrived - a rough clock until pings measure one
+        this.serverClock = null;
+        
+        // Recent ping samples ({ localTime, serverTime, rtt }) and the server clock worked out
+        // from them: { time, localTime, rate } plus the latest round trip and clock offset
+        this.clockSamples = [];
+        this.clock = null;
+        this.rtt = null;
+        this.clockOffset = null;
     }
     
     // Enable or disable server synchronization
@@ -14,10 +25,94 @@ class SyncManager {
         this.useServerSync = enabled;
     }
     
+    // Whether animation is currently driven by server messages
+    isReceivingServerSync() {
+        return this.useServerSync && this.syncData !== null;
+    }
+    
+    // Record a server globalTime as of now (from sync checkpoints and state messages)
+    noteServerTime(globalTime, receivedAt = performance.now()) {
+        if (typeof globalTime === 'number' && isFinite(globalTime)) {
+            this.serverClock = { time: globalTime, receivedAt };
+        }
+    }
+    
+    // Forget the measured clock, e.g. after reconnecting to a server that may have restarted
+    resetClock() {
+        this.clockSamples = [];
+        this.clock = null;
+        this.rtt = null;
+        this.clockOffset = null;
+    }
+    
+    // Add a ping sample: the client time a ping was sent, the server globalTime in the reply
+    // and the client time the reply arrived (both performance.now() milliseconds)
+    addClockSample(sentAt, serverTime, receivedAt = performance.now()) {
+        const rtt = receivedAt - sentAt;
+        if (typeof serverTime !== 'number' || !isFinite(serverTime) || !(rtt >= 0)) return;
+        
+        // The server read its clock about halfway through the round trip
+        this.clockSamples.push({ localTime: sentAt + rtt / 2, serverTime, rtt });
+        if (this.clockSamples.length > CLOCK_SYNC.sampleCount) {
+            this.clockSamples.shift();
+        }
+        this.rtt = rtt;
+        
+        // The quickest round trip had the least room for delay on one leg, so it anchors the clock
+        const best = this.clockSamples.reduce((a, b) => (b.rtt < a.rtt ? b : a));
+        this.clock = { time: best.serverTime, localTime: best.localTime, rate: this.estimateClockRate() };
+        this.clockOffset = best.serverTime - best.localTime / 1000 * this.clock.rate;
+    }
+    
+    // Server time units per local second, fitted across the samples once they span long enough
+    // (the server's timer runs a little slow or fast), otherwise the nominal rate
+    estimateClockRate() {
+        const samples = this.clockSamples;
+        const span = (samples[samples.length - 1].localTime - samples[0].localTime) / 1000;
+        if (span < CLOCK_SYNC.minRateSpan) return ANIMATION.serverTimeRate;
+        
+        // Least-squares slope of server time against local seconds
+        const meanLocal = samples.reduce((sum, s) => sum + s.localTime / 1000, 0) / samples.length;
+        const meanServer = samples.reduce((sum, s) => sum + s.serverTime, 0) / samples.length;
+        let covariance = 0;
+        let variance = 0;
+        for (const sample of samples) {
+            const dx = sample.localTime / 1000 - meanLocal;
+            covariance += dx * (sample.serverTime - meanServer);
+            variance += dx * dx;
+        }
+        
+        const limit = ANIMATION.serverTimeRate * CLOCK_SYNC.maxRateError;
+        return clamp(covariance / variance, ANIMATION.serverTimeRate - limit, ANIMATION.serverTimeRate + limit);
+    }
+    
+    // Round trip (ms) and clock offset (server time minus local seconds) for the debug overlay,
+    // with the error between the local animation time and the estimated server time
+    getClockStatus(globalTime) {
+        const serverTime = this.clock ? this.getServerTime() : null;
+        return {
+            rtt: this.rtt,
+            offset: this.clockOffset,
+            rate: this.clock ? this.clock.rate : null,
+            error: serverTime !== null ? globalTime - serverTime : null
+        };
+    }
+    
+    // Estimate the server's globalTime now, or null before any has been heard
+    getServerTime(now = performance.now()) {
+        if (this.clock) {
+            return this.clock.time + (now - this.clock.localTime) / 1000 * this.clock.rate;
+        }
+        if (!this.serverClock) return null;
+        return this.serverClock.time + (now - this.serverClock.receivedAt) / 1000 * ANIMATION.serverTimeRate;
+    }
+    
     // Update animation state from server
     updateAnimationState(animState, globalTime, colorManager) {
         if (!this.useServerSync) return;
         
+        this.noteServerTime(animState.globalTime);
+        
         // Store the shared random seed for deterministic random operations
         if (animState.sharedSeed !== undefined) {
             this.sharedSeed = animState.sharedSeed;
@@ -27,52 +122,34 @@ class SyncManager {
         if (!this.syncData) {
             this.syncData = {
                 // Store last server values received
-                lastServerGlobalTime: globalTime,
+                lastServerGlobalTime: null,
                 lastServerColorShift: colorManager.colorShift,
                 
-                // Store deltas (rate of change from server)
-                globalTimeDelta: 0.016, // Default frames (60fps)
+                // Color shift per second, learned from the server
                 colorShiftDelta: 0.0000032, // Default color shift
                 
-                // Last update timestamp
-                lastUpdateTime: performance.now(),
-                
                 // Server updates counter
                 updateCounter: 0
             };
         }
         
-        const now = performance.now();
-        const timeSinceLastUpdate = (now - this.syncData.lastUpdateTime) / 1000; // in seconds
-        this.syncData.lastUpdateTime = now;
-        
-        // Don't allow backward jumps in time/animation - only accelerate or decelerate
-        if (animState.isSyncCheckpoint) {
+        // The globalTime itself is tracked by the ping clock - arrival times are too jittery
+        // to measure rates by, so checkpoints are timed by the server time they carry
+        if (animState.isSyncCheckpoint && animState.globalTime !== undefined) {
             this.syncData.updateCounter++;
             
-            // Calculate how much the server values changed since last sync
-            if (animState.globalTime !== undefined) {
-                const serverTimeDiff = animState.globalTime - this.syncData.lastServerGlobalTime;
-                // Update stored server values
-                this.syncData.lastServerGlobalTime = animState.globalTime;
-                
-                // Calculate rate of change per second (rather than directly setting values)
-                // This prevents jumps by making the client match velocity instead of position
-                if (serverTimeDiff > 0 && timeSinceLastUpdate > 0) {
-                    // Target delta: how fast server time is advancing
-                    const targetDelta = serverTimeDiff / timeSinceLastUpdate;
-                    // Blend current delta with target (80% current, 20% target) for stability
-                    this.syncData.globalTimeDelta = weightedAverage(this.syncData.globalTimeDelta, targetDelta, 0.2);
-                }
-            }
+            const serverTimeDiff = this.syncData.lastServerGlobalTime === null
+                ? 0
+                : animState.globalTime - this.syncData.lastServerGlobalTime;
+            this.syncData.lastServerGlobalTime = animState.globalTime;
             
-            // Calculate color shift delta (rate of change)
+            // Calculate color shift delta (rate of change per second)
             if (animState.colorShift !== undefined) {
                 const serverColorDiff = animState.colorShift - this.syncData.lastServerColorShift;
                 this.syncData.lastServerColorShift = animState.colorShift;
                 
-                if (serverColorDiff !== 0 && timeSinceLastUpdate > 0) {
-                    const targetDelta = serverColorDiff / timeSinceLastUpdate;
+                if (serverColorDiff !== 0 && serverTimeDiff > 0) {
+                    const targetDelta = serverColorDiff / serverTimeDiff * ANIMATION.serverTimeRate;
                     this.syncData.colorShiftDelta = weightedAverage(this.syncData.colorShiftDelta, targetDelta, 0.05);
                 }
             }
@@ -86,9 +163,19 @@ class SyncManager {
         // Convert deltaTime to seconds
         const dt = deltaTime * 0.001;
         
-        // Update values based on deltas (rates of change) rather than absolute values
-        // This creates smooth transitions without jumps
-        const newGlobalTime = globalTimeRef + this.syncData.globalTimeDelta * dt;
+        // Run at the server clock's rate, slewing toward its time by a bounded amount so the
+        // correction never jumps or runs backwards; large errors are stepped over instead
+        let newGlobalTime = globalTimeRef + ANIMATION.serverTimeRate * dt;
+        const serverTime = this.clock ? this.getServerTime() : null;
+        if (serverTime !== null) {
+            const error = serverTime - globalTimeRef;
+            if (Math.abs(error) > CLOCK_SYNC.maxSlewError) {
+                newGlobalTime = serverTime;
+            } else {
+                const correction = clamp(error * CLOCK_SYNC.slewGain, -CLOCK_SYNC.maxSlew, CLOCK_SYNC.maxSlew);
+                newGlobalTime = globalTimeRef + (this.clock.rate + correction) * dt;
+            }
+        }
         
         // Smoothly adjust color shift
         // Keep color shift in 0-1 range
@@ -0,0 +1,265 @@
+// Terrain algorithms - each builds the base heightmap of a TerrainGenerator
+// Every algorithm implements generate(terrain), drawing all randomness from terrain.random
+// and scaling its detail with terrain.roughness; seed points are stamped on top afterwards
+import { clamp, safeValue, randomShift, sampleGrid } from '../utils/MathUtils.js';
+import { createGradientNoise, createCellNoise, fbm } from '../utils/NoiseUtils.js';
+import { TERRAIN } from '../utils/constants.js';
+
+// Smallest power of two at or above a value
+const nextPowerOfTwo = (value) => 2 ** Math.ceil(Math.log2(Math.max(1, value)));
+
+// Classic midpoint displacement - the original Fractadelic terrain
+// Runs on a square power-of-two-plus-one grid covering the longer side and is resampled onto
+// the terrain grid, cropped to its aspect; coarse levels draw the same random numbers at any
+// size, so resolutions share the same shape
+class DiamondSquareAlgorithm {
+    generate(terrain) {
+        const size = nextPowerOfTwo(Math.max(terrain.gridWidth, terrain.gridHeight) - 1);
+        this.gridSize = size + 1;
+        this.heights = new Float64Array(this.gridSize * this.gridSize);
+        this.random = terrain.random;
+        
+        // Set the four corners to random values
+        this.setValue(0, 0, this.random());
+        this.setValue(size, 0, this.random());
+        this.setValue(0, size, this.random());
+        this.setValue(size, size, this.random());
+        
+        // Run the diamond-square algorithm
+        this.diamondSquare(size, terrain.roughness);
+        
+        // Copy the middle of the square onto the terrain grid, at the same scale on both axes
+        // so the pattern is cropped rather than stretched, interpolating when the sizes differ
+        const scale = size / (Math.max(terrain.gridWidth, terrain.gridHeight) - 1);
+        const offsetX = (size - (terrain.gridWidth - 1) * scale) / 2;
+        const offsetY = (size - (terrain.gridHeight - 1) * scale) / 2;
+        for (let y = 0; y < terrain.gridHeight; y++) {
+            for (let x = 0; x < terrain.gridWidth; x++) {
+                const value = sampleGrid(this.heights, this.gridSize, this.gridSize, offsetX + x * scale, offsetY + y * scale);
+                terrain.setValue(x, y, value);
+            }
+        }
+        
+        this.heights = null;
+    }
+    
+    // Diamond-Square algorithm for terrain generation
+    diamondSquare(size, roughness) {
+        let step = size;
+        
+        while (step > 1) {
+            const half = step / 2;
+            
+            // Diamond step
+            for (let y = half; y < this.gridSize - 1; y += step) {
+                for (let x = half; x < this.gridSize - 1; x += step) {
+                    this.diamondStep(x, y, half, roughness);
+                }
+            }
+            
+            // Square step
+            for (let y = 0; y < this.gridSize - 1; y += half) {
+                for (let x = (y + half) % step; x < this.gridSize - 1; x += step) {
+                    this.squareStep(x, y, half, roughness);
+                }
+            }
+            
+            // Reduce roughness each iteration
+            step /= 2;
+            roughness *= 0.5;
+        }
+    }
+    
+    // Diamond step of the algorithm
+    diamondStep(x, y, size, roughness) {
+        // Average the four corner values
+        const avg = (
+            this.getValue(x - size, y - size) +
+            this.getValue(x + size, y - size) +
+            this.getValue(x - size, y + size) +
+            this.getValue(x + size, y + size)
+        ) / 4;
+        
+        // Add random displacement
+        this.setValue(x, y, randomShift(avg, roughness, this.random));
+    }
+    
+    // Square step of the algorithm
+    squareStep(x, y, size, roughness) {
+        // Count and sum valid neighbors
+        let count = 0;
+        let sum = 0;
+        
+        // Top
+        if (y - size >= 0) {
+            sum += this.getValue(x, y - size);
+            count++;
+        }
+        
+        // Right
+        if (x + size < this.gridSize) {
+            sum += this.getValue(x + size, y);
+            count++;
+        }
+        
+        // Bottom
+        if (y + size < this.gridSize) {
+            sum += this.getValue(x, y + size);
+            count++;
+        }
+        
+        // Left
+        if (x - size >= 0) {
+            sum += this.getValue(x - size, y);
+            count++;
+        }
+        
+        // Average valid neighbors
+        const avg = sum / count;
+        
+        // Add random displacement
+        this.setValue(x, y, randomShift(avg, roughness, this.random));
+    }
+    
+    // Read the working grid (0 outside it, like TerrainGenerator.getValue)
+    getValue(x, y) {
+        if (x < 0 || y < 0 || x >= this.gridSize || y >= this.gridSize) return 0;
+        return this.heights[y * this.gridSize + x];
+    }
+    
+    // Write the working grid, keeping heights between 0 and 1
+    setValue(x, y, value) {
+        if (x < 0 || y < 0 || x >= this.gridSize || y >= this.gridSize) return;
+        this.heights[y * this.gridSize + x] = clamp(safeValue(value, 0.5), 0, 1);
+    }
+}
+
+// Base for algorithms that sample a continuous function at every grid point
+class SampledAlgorithm {
+    generate(terrain) {
+        const sample = this.createSampler(terrain);
+        const { gridWidth, gridHeight } = terrain;
+        const { cellSize } = terrain.getExtent();
+        const heights = new Float64Array(gridWidth * gridHeight);
+        let min = Infinity;
+        let max = -Infinity;
+        
+        for (let y = 0; y < gridHeight; y++) {
+            for (let x = 0; x < gridWidth; x++) {
+                const value = sample(x * cellSize, y * cellSize);
+                heights[y * gridWidth + x] = value;
+                min = Math.min(min, value);
+                max = Math.max(max, value);
+            }
+        }
+        
+        // Stretch into the height range so every algorithm uses the whole palette
+        const [low, high] = TERRAIN.heightRange;
+        const scale = max > min ? (high - low) / (max - min) : 0;
+        for (let y = 0; y < gridHeight; y++) {
+            for (let x = 0; x < gridWidth; x++) {
+                terrain.setValue(x, y, low + (heights[y * gridWidth + x] - min) * scale);
+            }
+        }
+    }
+    
+    // Return a function of pattern coordinates (see TerrainGenerator.getExtent) giving an unscaled height
+    createSampler() {
+        throw new Error(`${this.constructor.name} must implement createSampler()`);
+    }
+}
+
+// Map roughness to how much each noise octave keeps of the previous one
+const octaveGain = (roughness) => 0.3 + clamp(roughness, 0, 1) * 0.4;
+
+// Perlin fractional Brownian motion - rolling hills
+class FbmAlgorithm extends SampledAlgorithm {
+    createSampler(terrain) {
+        const noise = createGradientNoise(terrain.random);
+        const options = { octaves: 7, gain: octaveGain(terrain.roughness) };
+        return (x, y) => fbm(noise, x * 3, y * 3, options);
+    }
+}
+
+// Ridged multifractal - sharp crests where the noise crosses zero
+class RidgedAlgorithm extends SampledAlgorithm {
+    createSampler(terrain) {
+        const noise = createGradientNoise(terrain.random);
+        const gain = octaveGain(terrain.roughness);
+        
+        return (x, y) => {
+            let sum = 0;
+            let amplitude = 1;
+            let frequency = 2.5;
+            let weight = 1;
+            
+            for (let i = 0; i < 7; i++) {
+                const ridge = 1 - Math.abs(noise(x * frequency, y * frequency));
+                
+                // Detail builds up on the ridges rather than in the valleys
+                const signal = ridge * ridge * weight;
+                weight = clamp(signal * 2, 0, 1);
+                
+                sum += signal * amplitude;
+                amplitude *= gain;
+                frequency *= 2;
+            }
+            
+            return sum;
+        };
+    }
+}
+
+// Worley cells - plateaus split by cracks, roughened with a little fBm
+class WorleyAlgorithm extends SampledAlgorithm {
+    createSampler(terrain) {
+        // Rougher terrain is broken into more, smaller cells; the cell grid is square, so it
+        // covers the longer side and keeps the same cell size at any aspect
+        const { width, height } = terrain.getExtent();
+        const extent = Math.max(width, height);
+        const cells = createCellNoise(terrain.random, Math.round((4 + terrain.roughness * 6) * extent), 0.9);
+        const noise = createGradientNoise(terrain.random);
+        const detail = terrain.roughness * 0.35;
+        
+        return (x, y) => {
+            const { f1, f2 } = cells(x / extent, y / extent);
+            return (f2 - f1) + fbm(noise, x * 8, y * 8, { octaves: 4 }) * detail;
+        };
+    }
+}
+
+// Domain-warped fBm - the sample position is pushed around by more noise, giving swirls
+class DomainWarpAlgorithm extends SampledAlgorithm {
+    createSampler(terrain) {
+        const noise = createGradientNoise(terrain.random);
+        const options = { octaves: 5, gain: octaveGain(terrain.roughness) };
+        const warp = 0.5 + terrain.roughness * 2;
+        
+        return (x, y) => {
+            const px = x * 3;
+            const py = y * 3;
+            const qx = fbm(noise, px, py, options);
+            const qy = fbm(noise, px + 5.2, py + 1.3, options);
+            return fbm(noise, px + warp * qx, py + warp * qy, options);
+        };
+    }
+}
+
+// Algorithm implementations by name (names match TERRAIN_ALGORITHM_NAMES)
+const TERRAIN_ALGORITHMS = {
+    diamondSquare: DiamondSquareAlgorithm,
+    fbm: FbmAlgorithm,
+    ridged: RidgedAlgorithm,
+    worley: WorleyAlgorithm,
+    domainWarp: DomainWarpAlgorithm
+};
+
+/**
+ * Create a terrain algorithm by name, falling back to diamond-square for unknown names
+ * @param {string} name - Algorithm name
+ * @returns {Object} Algorithm with a generate(terrain) method
+ */
+export const createTerrainAlgorithm = (name) => {
+    const Algorithm = TERRAIN_ALGORITHMS[name] || TERRAIN_ALGORITHMS[TERRAIN.defaultAlgorithm];
+    return new Algorithm();
+};
@@ -0,0 +1,230 @@
+// TerrainContours class - Contour lines traced over the terrain grid with marching squares
+// Lines are traced in grid space and projected each frame, so they follow every view
+import { clamp } from '../utils/MathUtils.js';
+import { shadeColor } from '../utils/ColorUtils.js';
+import { CONTOURS } from '../utils/constants.js';
+
+// Cell edges a contour can cross: top, right, bottom, left
+const TOP = 0;
+const RIGHT = 1;
+const BOTTOM = 2;
+const LEFT = 3;
+
+// Edge pairs joined for each marching squares case (corner bits: top-left 8, top-right 4,
+// bottom-right 2, bottom-left 1); the saddles 5 and 10 are resolved by the cell centre
+const CASE_EDGES = {
+    1: [[LEFT, BOTTOM]],
+    2: [[BOTTOM, RIGHT]],
+    3: [[LEFT, RIGHT]],
+    4: [[TOP, RIGHT]],
+    6: [[TOP, BOTTOM]],
+    7: [[LEFT, TOP]],
+    8: [[LEFT, TOP]],
+    9: [[TOP, BOTTOM]],
+    11: [[TOP, RIGHT]],
+    12: [[LEFT, RIGHT]],
+    13: [[BOTTOM, RIGHT]],
+    14: [[LEFT, BOTTOM]]
+};
+
+// Saddle edge pairs when the cell centre is above or below the contour
+const SADDLE_EDGES = {
+    5: { above: [[LEFT, TOP], [BOTTOM, RIGHT]], below: [[TOP, RIGHT], [LEFT, BOTTOM]] },
+    10: { above: [[TOP, RIGHT], [LEFT, BOTTOM]], below: [[LEFT, TOP], [BOTTOM, RIGHT]] }
+};
+
+class TerrainContours {
+    constructor(terrainGenerator, colorManager) {
+        this.terrainGenerator = terrainGenerator;
+        this.colorManager = colorManager;
+        this.mode = 'off';
+        this.enabled = false;
+        
+        // Traced contours in grid space: segments { x1, y1, x2, y2, level, isIndex } and labels { x, y, level }
+        this.segments = [];
+        this.labels = [];
+        
+        // Heights the contours were traced from, and the settings they were traced with
+        this.heights = new Float32Array(0);
+        this.gridWidth = 0;
+        this.interval = 0;
+        this.showLabels = false;
+        
+        // Wall-clock time of the last trace
+        this.lastUpdate = -Infinity;
+    }
+    
+    // Retrace the contours for this frame (throttled - the terrain changes slowly)
+    update(options, now = performance.now()) {
+        this.mode = options.contours || 'off';
+        this.enabled = this.mode !== 'off';
+        if (!this.enabled) {
+            this.segments = [];
+            this.labels = [];
+            return;
+        }
+        
+        const { gridWidth, gridHeight } = this.terrainGenerator;
+        const interval = options.contourInterval || CONTOURS.intervals[1];
+        const showLabels = options.contourLabels !== false;
+        const changed = this.heights.length !== gridWidth * gridHeight || this.gridWidth !== gridWidth ||
+            this.interval !== interval || this.showLabels !== showLabels;
+        if (!changed && now - this.lastUpdate < CONTOURS.refreshInterval) return;
+        
+        if (this.heights.length !== gridWidth * gridHeight) {
+            this.heights = new Float32Array(gridWidth * gridHeight);
+        }
+        this.gridWidth = gridWidth;
+        this.interval = interval;
+        this.showLabels = showLabels;
+        this.lastUpdate = now;
+        
+        this.readHeights();
+        this.trace();
+    }
+    
+    // Copy the visible heights (base terrain plus seed points)
+    readHeights() {
+        const { terrainMap, seedLayer } = this.terrainGenerator;
+        for (let i = 0; i < this.heights.length; i++) {
+            this.heights[i] = clamp((terrainMap[i] || 0) + (seedLayer[i] || 0), 0, 1);
+        }
+    }
+    
+    // Trace every contour level through every grid cell
+    trace() {
+        const { gridWidth, gridHeight } = this.terrainGenerator;
+        const { heights, interval } = this;
+        const segments = [];
+        
+        for (let y = 0; y < gridHeight - 1; y++) {
+            for (let x = 0; x < gridWidth - 1; x++) {
+                const topLeft = heights[y * gridWidth + x];
+                const topRight = heights[y * gridWidth + x + 1];
+                const bottomRight = heights[(y + 1) * gridWidth + x + 1];
+                const bottomLeft = heights[(y + 1) * gridWidth + x];
+                const corners = [topLeft, topRight, bottomRight, bottomLeft];
+                
+                // Only the levels between the lowest and highest corner cross this cell
+                const first = Math.max(1, Math.ceil(Math.min(...corners) / interval));
+                const last = Math.floor(Math.max(...corners) / interval);
+                
+                for (let step = first; step <= last; step++) {
+                    const level = step * interval;
+                    if (level >= 1) break;
+                    
+                    const caseIndex = (topLeft >= level ? 8 : 0) | (topRight >= level ? 4 : 0) |
+                        (bottomRight >= level ? 2 : 0) | (bottomLeft >= level ? 1 : 0);
+                    const saddle = SADDLE_EDGES[caseIndex];
+                    const edgePairs = saddle
+                        ? (corners.reduce((sum, h) => sum + h, 0) / 4 >= level ? saddle.above : saddle.below)
+                        : CASE_EDGES[caseIndex];
+                    if (!edgePairs) continue;
+                    
+                    for (const [from, to] of edgePairs) {
+                        const start = this.edgePoint(from, x, y, corners, level);
+                        const end = this.edgePoint(to, x, y, corners, level);
+                        segments.push({
+                            x1: start.x, y1: start.y, x2: end.x, y2: end.y,
+                            level,
+                            isIndex: step % CONTOURS.indexEvery === 0
+                        });
+                    }
+                }
+            }
+        }
+        
+        // Keep each level together so lines of one style can be stroked in a single path
+        segments.sort((a, b) => a.level - b.level);
+        this.segments = segments;
+        this.labels = this.showLabels ? this.placeLabels(segments) : [];
+    }
+    
+    // Point where a contour level crosses a cell edge, interpolated between its corners
+    edgePoint(edge, x, y, [topLeft, topRight, bottomRight, bottomLeft], level) {
+        const fraction = (from, to) => (to === from ? 0.5 : clamp((level - from) / (to - from), 0, 1));
+        switch (edge) {
+            case TOP:
+                return { x: x + fraction(topLeft, topRight), y };
+            case RIGHT:
+                return { x: x + 1, y: y + fraction(topRight, bottomRight) };
+            case BOTTOM:
+                return { x: x + fraction(bottomLeft, bottomRight), y: y + 1 };
+            default:
+                return { x, y: y + fraction(topLeft, bottomLeft) };
+        }
+    }
+    
+    // Choose spaced-out points on the index contours to label with their elevation
+    placeLabels(segments) {
+        const { gridWidth, gridHeight } = this.terrainGenerator;
+        const spacing = CONTOURS.labelSpacing * (gridWidth - 1);
+        const margin = 2;
+        const labels = [];
+        
+        for (const segment of segments) {
+            if (!segment.isIndex) continue;
+            
+            const x = (segment.x1 + segment.x2) / 2;
+            const y = (segment.y1 + segment.y2) / 2;
+            if (x < margin || y < margin || x > gridWidth - 1 - margin || y > gridHeight - 1 - margin) continue;
+            if (labels.some(label => Math.hypot(label.x - x, label.y - y) < spacing)) continue;
+            
+            labels.push({ x, y, level: segment.level });
+        }
+        return labels;
+    }
+    
+    // Color of the lines for a contour level - the palette color, darkened over the filled terrain
+    getLineColor(level) {
+        const color = this.colorManager.getHeightColor(level);
+        return this.mode === 'map' ? color : shadeColor(color, CONTOURS.overlayShade);
+    }
+    
+    // Project the contours for the current view: lines { x1, y1, x2, y2, depth, color, width }
+    // in back-to-front order (seen from above they all go on top of the terrain)
+    getLineBatch(projection) {
+        if (!this.enabled) return [];
+        
+        const topDown = projection.mode === 'topDown';
+        const lines = this.segments.map(segment => {
+            const start = projection.project(segment.x1, segment.y1, segment.level);
+            const end = projection.project(segment.x2, segment.y2, segment.level);
+            return {
+                x1: start.x, y1: start.y, x2: end.x, y2: end.y,
+                depth: topDown ? Infinity : (start.depth + end.depth) / 2 + CONTOURS.depthBias,
+                color: this.getLineColor(segment.level),
+                width: segment.isIndex ? CONTOURS.indexLineWidth : CONTOURS.lineWidth
+            };
+        });
+        
+        if (!topDown) {
+            lines.sort((a, b) => a.depth - b.depth);
+        }
+        return lines;
+    }
+    
+    // Draw the elevation labels (0-100) of the index contours
+    drawLabels(ctx, projection) {
+        if (!this.enabled || this.labels.length === 0) return;
+        
+        ctx.save();
+        ctx.font = CONTOURS.labelFont;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.lineWidth = 3;
+        ctx.strokeStyle = '#000000';
+        
+        for (const label of this.labels) {
+            const { x, y } = projection.project(label.x, label.y, label.level);
+            const text = String(Math.round(label.level * 100));
+            ctx.strokeText(text, x, y);
+            ctx.fillStyle = this.mode === 'map' ? this.colorManager.getHeightColor(label.level) : '#ffffff';
+            ctx.fillText(text, x, y);
+        }
+        
+        ctx.restore();
+    }
+}
+
+export default TerrainContours;
@@ -0,0 +1,180 @@
+// TerrainErosion class - Weathers the terrain with water droplets and slumping slopes
+import { clamp, sampleGrid } from '../utils/MathUtils.js';
+import { EROSION } from '../utils/constants.js';
+
+class TerrainErosion {
+    constructor(terrainGenerator) {
+        this.terrainGenerator = terrainGenerator;
+    }
+    
+    // Run one evolve tick of erosion - strength (1-10) follows the evolve speed
+    // random - seeded source so every client erodes identically
+    erode(strength, random) {
+        const terrain = this.terrainGenerator;
+        const { gridWidth, gridHeight } = terrain;
+        const safeStrength = clamp(strength, 1, 10);
+        
+        // Erode the surface (base terrain plus seed points), unclamped so nothing the clamp
+        // would cut off is lost from the base
+        this.width = gridWidth;
+        this.height = gridHeight;
+        const before = new Float64Array(gridWidth * gridHeight);
+        for (let i = 0; i < before.length; i++) {
+            before[i] = terrain.terrainMap[i] + terrain.seedLayer[i];
+        }
+        this.heights = before.slice();
+        
+        // Same droplet density at every resolution
+        const cellScale = (gridWidth * gridHeight) / (EROSION.referenceResolution * EROSION.referenceResolution);
+        const droplets = Math.round(EROSION.dropletsPerStrength * safeStrength * cellScale);
+        for (let i = 0; i < droplets; i++) {
+            this.simulateDroplet(random() * (gridWidth - 1), random() * (gridHeight - 1));
+        }
+        
+        const thermalPasses = 1 + Math.floor(safeStrength / 4);
+        for (let i = 0; i < thermalPasses; i++) {
+            this.slump();
+        }
+        
+        // Add only the change to the base terrain so seed points can still be removed later
+        for (let y = 0; y < gridHeight; y++) {
+            for (let x = 0; x < gridWidth; x++) {
+                const index = y * gridWidth + x;
+                terrain.setValue(x, y, terrain.terrainMap[index] + this.heights[index] - before[index]);
+            }
+        }
+        
+        this.heights = null;
+    }
+    
+    // Height and downhill gradient at a fractional grid position
+    getSlope(x, y) {
+        const x0 = Math.floor(x);
+        const y0 = Math.floor(y);
+        const tx = x - x0;
+        const ty = y - y0;
+        const { heights, width } = this;
+        
+        const nw = heights[y0 * width + x0];
+        const ne = heights[y0 * width + x0 + 1];
+        const sw = heights[(y0 + 1) * width + x0];
+        const se = heights[(y0 + 1) * width + x0 + 1];
+        
+        return {
+            height: sampleGrid(heights, width, this.height, x, y),
+            gradientX: (ne - nw) * (1 - ty) + (se - sw) * ty,
+            gradientY: (sw - nw) * (1 - tx) + (se - ne) * tx
+        };
+    }
+    
+    // Add (or remove, if negative) material around a fractional position, split over the 4 cells
+    deposit(x, y, amount) {
+        const x0 = Math.floor(x);
+        const y0 = Math.floor(y);
+        const tx = x - x0;
+        const ty = y - y0;
+        const { heights, width } = this;
+        
+        heights[y0 * width + x0] += amount * (1 - tx) * (1 - ty);
+        heights[y0 * width + x0 + 1] += amount * tx * (1 - ty);
+        heights[(y0 + 1) * width + x0] += amount * (1 - tx) * ty;
+        heights[(y0 + 1) * width + x0 + 1] += amount * tx * ty;
+    }
+    
+    // Hydraulic erosion - a droplet runs downhill, picking up sediment on steep ground
+    // and dropping it where it slows down or pools
+    simulateDroplet(startX, startY) {
+        const { inertia, capacity, minCapacity, erodeRate, depositRate, evaporation, gravity, lifetime } = EROSION.droplet;
+        
+        // Heights are 0-1 over the whole map, so slopes are scaled to per-map units
+        const slopeScale = Math.max(this.width, this.height) - 1;
+        
+        let x = startX;
+        let y = startY;
+        let dirX = 0;
+        let dirY = 0;
+        let speed = 1;
+        let water = 1;
+        let sediment = 0;
+        
+        for (let step = 0; step < lifetime; step++) {
+            const { height, gradientX, gradientY } = this.getSlope(x, y);
+            
+            // Blend the previous direction with the downhill direction
+            dirX = dirX * inertia - gradientX * (1 - inertia);
+            dirY = dirY * inertia - gradientY * (1 - inertia);
+            const length = Math.hypot(dirX, dirY);
+            if (length === 0) break;
+            dirX /= length;
+            dirY /= length;
+            
+            const oldX = x;
+            const oldY = y;
+            x += dirX;
+            y += dirY;
+            
+            // Stop at the edge of the map
+            if (x < 0 || y < 0 || x >= this.width - 1 || y >= this.height - 1) {
+                x = oldX;
+                y = oldY;
+                break;
+            }
+            
+            const heightChange = sampleGrid(this.heights, this.width, this.height, x, y) - height;
+            const sedimentCapacity = Math.max(-heightChange * slopeScale, minCapacity) * speed * water * capacity / slopeScale;
+            
+            if (sediment > sedimentCapacity || heightChange > 0) {
+                // Uphill or overloaded: fill the pit behind us, or drop the excess
+                const amount = heightChange > 0
+                    ? Math.min(heightChange, sediment)
+                    : (sediment - sedimentCapacity) * depositRate;
+                sediment -= amount;
+                this.deposit(oldX, oldY, amount);
+            } else {
+                // Downhill with spare capacity: carve, but never deeper than the drop
+                const amount = Math.min((sedimentCapacity - sediment) * erodeRate, -heightChange);
+                sediment += amount;
+                this.deposit(oldX, oldY, -amount);
+            }
+            
+            speed = Math.sqrt(Math.max(0, speed * speed - heightChange * slopeScale * gravity));
+            water *= 1 - evaporation;
+        }
+        
+        // Whatever the droplet still carries settles where it stopped, so no material is lost
+        this.deposit(x, y, sediment);
+    }
+    
+    // Thermal erosion - material on slopes steeper than the talus angle slides downhill
+    slump() {
+        const { heights, width, height } = this;
+        const talus = EROSION.talusSlope / (Math.max(width, height) - 1);
+        const rate = EROSION.slumpRate;
+        const neighbors = [[1, 0], [0, 1], [1, 1], [-1, 1]];
+        
+        // Each pair of neighbouring cells is visited once, moving material towards the lower one
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const index = y * width + x;
+                
+                for (const [dx, dy] of neighbors) {
+                    const nx = x + dx;
+                    const ny = y + dy;
+                    if (nx < 0 || nx >= width || ny >= height) continue;
+                    
+                    const neighborIndex = ny * width + nx;
+                    const distance = dx !== 0 && dy !== 0 ? Math.SQRT2 : 1;
+                    const difference = heights[index] - heights[neighborIndex];
+                    const excess = Math.abs(difference) - talus * distance;
+                    if (excess <= 0) continue;
+                    
+                    const amount = excess * rate * 0.5 * Math.sign(difference);
+                    heights[index] -= amount;
+                    heights[neighborIndex] += amount;
+                }
+            }
+        }
+    }
+}
+
+export default TerrainErosion;
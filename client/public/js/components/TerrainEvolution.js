@@ -0,0 +1,221 @@
+// Evolve modes - structured ways for the terrain to change on each evolve tick
+// Each mode implements apply(context) and uses only the shared seed, the evolve step and
+// server time, so every client applies the same change. The original random jitter lives
+// in TerrainGenerator.evolve ('noise' mode).
+import { clamp, createSeededRandom, hashSeed, sampleGrid } from '../utils/MathUtils.js';
+import { createGradientNoise } from '../utils/NoiseUtils.js';
+import { EVOLUTION } from '../utils/constants.js';
+import TerrainErosion from './TerrainErosion.js';
+
+// Stream identifiers for the fixed per-seed layouts (wave directions, flow field)
+const LAYOUT_STREAMS = {
+    waves: 11,
+    flow: 12
+};
+
+// Hydraulic and thermal weathering (see TerrainErosion)
+class ErosionEvolution {
+    constructor(terrainGenerator) {
+        this.terrainGenerator = terrainGenerator;
+        this.erosion = new TerrainErosion(terrainGenerator);
+    }
+    
+    apply({ speed }) {
+        this.erosion.erode(speed, this.terrainGenerator.random);
+    }
+}
+
+// Travelling sine waves and a ripple, keyed to server time
+// Each tick adds the change in the wave field since the previous tick, so the waves roll
+// across the terrain without building up
+class WaveEvolution {
+    constructor(terrainGenerator) {
+        this.terrainGenerator = terrainGenerator;
+        this.layoutSeed = null;
+        this.waves = [];
+        this.ripple = null;
+    }
+    
+    // Pick wave directions and the ripple centre from the shared terrain seed
+    updateLayout() {
+        const { seed } = this.terrainGenerator;
+        if (this.layoutSeed === seed) return;
+        
+        const random = createSeededRandom(hashSeed(seed, LAYOUT_STREAMS.waves));
+        const { waveCount, minWavelength, maxWavelength } = EVOLUTION.waves;
+        
+        this.waves = Array.from({ length: waveCount }, () => {
+            const angle = random() * Math.PI * 2;
+            const wavelength = minWavelength + random() * (maxWavelength - minWavelength);
+            return {
+                dirX: Math.cos(angle),
+                dirY: Math.sin(angle),
+                frequency: (Math.PI * 2) / wavelength,
+                speed: 0.5 + random(),
+                phase: random() * Math.PI * 2
+            };
+        });
+        this.ripple = { x: 0.2 + random() * 0.6, y: 0.2 + random() * 0.6 };
+        this.layoutSeed = seed;
+    }
+    
+    // Height of the wave field at pattern coordinates (see TerrainGenerator.getExtent) and time,
+    // with ripple the centre of the rings in the same coordinates
+    sample(u, v, time, ripple) {
+        let height = 0;
+        for (const wave of this.waves) {
+            const along = (u * wave.dirX + v * wave.dirY) * wave.frequency;
+            height += Math.sin(along - time * wave.speed + wave.phase);
+        }
+        height /= this.waves.length;
+        
+        // Rings spreading from the ripple centre, fading with distance
+        const distance = Math.hypot(u - ripple.x, v - ripple.y);
+        const { rippleWavelength, rippleSpeed } = EVOLUTION.waves;
+        height += Math.sin((distance / rippleWavelength - time * rippleSpeed) * Math.PI * 2) / (1 + distance * 6);
+        
+        return height;
+    }
+    
+    apply({ rate, time, previousTime }) {
+        this.updateLayout();
+        const terrain = this.terrainGenerator;
+        const { gridWidth, gridHeight, terrainMap } = terrain;
+        const amplitude = rate * EVOLUTION.waves.amplitude;
+        
+        // Square cells so the waves keep their shape; the ripple centre is a fraction of each side
+        const { width, height, cellSize } = terrain.getExtent();
+        const ripple = { x: this.ripple.x * width, y: this.ripple.y * height };
+        
+        for (let y = 0; y < gridHeight; y++) {
+            const v = y * cellSize;
+            for (let x = 0; x < gridWidth; x++) {
+                const u = x * cellSize;
+                const change = this.sample(u, v, time, ripple) - this.sample(u, v, previousTime, ripple);
+                const index = y * gridWidth + x;
+                terrainMap[index] = clamp(terrainMap[index] + change * amplitude, 0, 1);
+            }
+        }
+    }
+}
+
+// Advection of the base terrain along a noise flow field that slowly rotates with server time
+class FlowEvolution {
+    constructor(terrainGenerator) {
+        this.terrainGenerator = terrainGenerator;
+        this.layoutSeed = null;
+        this.noise = null;
+    }
+    
+    apply({ time }) {
+        const terrain = this.terrainGenerator;
+        if (this.layoutSeed !== terrain.seed) {
+            this.noise = createGradientNoise(createSeededRandom(hashSeed(terrain.seed, LAYOUT_STREAMS.flow)));
+            this.layoutSeed = terrain.seed;
+        }
+        
+        const { gridWidth, gridHeight, terrainMap } = terrain;
+        const { fieldScale, rotationRate, cellsPerTick } = EVOLUTION.flow;
+        const { cellSize } = terrain.getExtent();
+        const rotation = time * rotationRate;
+        
+        // Move the same distance on screen at every resolution
+        const distance = cellsPerTick * (Math.max(gridWidth, gridHeight) - 1) / (EVOLUTION.referenceResolution - 1);
+        
+        // Semi-Lagrangian step: each cell takes the height from upstream
+        const advected = new Array(terrainMap.length);
+        for (let y = 0; y < gridHeight; y++) {
+            const v = y * cellSize;
+            for (let x = 0; x < gridWidth; x++) {
+                const u = x * cellSize;
+                const angle = this.noise(u * fieldScale, v * fieldScale) * Math.PI * 2 + rotation;
+                const sourceX = x - Math.cos(angle) * distance;
+                const sourceY = y - Math.sin(angle) * distance;
+                advected[y * gridWidth + x] = sampleGrid(terrainMap, gridWidth, gridHeight, sourceX, sourceY);
+            }
+        }
+        
+        terrain.terrainMap = advected;
+    }
+}
+
+// Cellular automaton on height bands: cells surrounded by higher ground build up, cells
+// surrounded by lower ground wear down, and the rest settle onto terraces; a few seeded
+// mutations each tick keep the pattern from freezing
+class AutomataEvolution {
+    constructor(terrainGenerator) {
+        this.terrainGenerator = terrainGenerator;
+    }
+    
+    apply({ rate }) {
+        const terrain = this.terrainGenerator;
+        const { gridWidth, gridHeight, terrainMap } = terrain;
+        const { bands, threshold, terraceRate, mutationChance } = EVOLUTION.automata;
+        const { random } = terrain;
+        const step = clamp(rate * EVOLUTION.automata.growthScale, 0, 1 / bands);
+        
+        // Read the visible surface so seed points take part
+        const heights = new Float64Array(gridWidth * gridHeight);
+        const bandOf = new Int32Array(gridWidth * gridHeight);
+        for (let y = 0; y < gridHeight; y++) {
+            for (let x = 0; x < gridWidth; x++) {
+                const height = terrain.getValue(x, y);
+                heights[y * gridWidth + x] = height;
+                bandOf[y * gridWidth + x] = Math.min(bands - 1, Math.floor(height * bands));
+            }
+        }
+        
+        for (let y = 0; y < gridHeight; y++) {
+            for (let x = 0; x < gridWidth; x++) {
+                const index = y * gridWidth + x;
+                const band = bandOf[index];
+                let higher = 0;
+                let lower = 0;
+                
+                for (let dy = -1; dy <= 1; dy++) {
+                    for (let dx = -1; dx <= 1; dx++) {
+                        if (dx === 0 && dy === 0) continue;
+                        const nx = x + dx;
+                        const ny = y + dy;
+                        if (nx < 0 || ny < 0 || nx >= gridWidth || ny >= gridHeight) continue;
+                        
+                        const neighborBand = bandOf[ny * gridWidth + nx];
+                        if (neighborBand > band) higher++;
+                        else if (neighborBand < band) lower++;
+                    }
+                }
+                
+                let height = heights[index];
+                const mutation = random();
+                if (mutation < mutationChance) {
+                    // Jump a band up or down
+                    height += mutation < mutationChance / 2 ? 1 / bands : -1 / bands;
+                } else if (higher >= threshold) {
+                    height += step;
+                } else if (lower >= threshold) {
+                    height -= step;
+                } else {
+                    // Settle towards the middle of the band, forming terraces
+                    const center = (band + 0.5) / bands;
+                    height += (center - height) * terraceRate;
+                }
+                
+                // Add only the change to the base terrain - rebuilding it from the clamped surface
+                // would keep whatever the clamp cut off once a seed point is removed
+                terrain.setValue(x, y, terrainMap[index] + height - heights[index]);
+            }
+        }
+    }
+}
+
+/**
+ * Create the structured evolve modes for a terrain generator
+ * @param {Object} terrainGenerator - Terrain to evolve
+ * @returns {Object} Map of mode name to an object with apply(context)
+ */
+export const createEvolveModes = (terrainGenerator) => ({
+    erosion: new ErosionEvolution(terrainGenerator),
+    waves: new WaveEvolution(terrainGenerator),
+    flow: new FlowEvolution(terrainGenerator),
+    automata: new AutomataEvolution(terrainGenerator)
+});
@@ -1,61 +1,228 @@
-// Terrain Generation using Diamond-Square algorithm
-import { clamp, randomShift } from '../utils/MathUtils.js';
+// Terrain Generation - builds the base terrain with the selected algorithm, then evolves it
+import { clamp, randomShift, createSeededRandom, hashSeed, resampleGrid } from '../utils/MathUtils.js';
+import { createTerrainAlgorithm } from './TerrainAlgorithms.js';
+import { createEvolveModes } from './TerrainEvolution.js';
+import { normalizeSeedPoint, falloffWeight } from '../utils/SeedUtils.js';
+import { TERRAIN, SEED } from '../utils/constants.js';
+
+// Stream identifiers so each kind of operation draws from its own sequence
+const RANDOM_STREAMS = {
+    init: 1,
+    evolve: 2,
+    microEvolve: 3
+};
+
+// Grid dimensions for a resolution (points along the longer side) and width/height aspect ratio
+// so grid cells stay square on screen
+function getGridDimensions(resolution, aspect) {
+    const longSide = Math.max(2, Math.round(resolution));
+    const ratio = aspect > 0 && isFinite(aspect) ? aspect : 1;
+    const shortSide = Math.max(2, Math.round((longSide - 1) / Math.max(ratio, 1 / ratio)) + 1);
+    
+    return ratio >= 1
+        ? { width: longSide, height: shortSide }
+        : { width: shortSide, height: longSide };
+}
 
 class TerrainGenerator {
-    constructor(roughness, seedPoints = []) {
+    constructor(roughness, seedPoints = [], seed = Math.floor(Math.random() * 0xffffffff), algorithm = TERRAIN.defaultAlgorithm) {
         this.roughness = roughness;
-        this.seedPoints = seedPoints;
+        this.setAlgorithm(algorithm);
+        this.seedPoints = seedPoints.map(normalizeSeedPoint);
+        
+        // Shared seed and evolve counter - identical on every client in a session
+        this.seed = seed;
+        this.evolveCount = 0;
+        this.microEvolveCount = 0;
+        this.random = createSeededRandom(seed);
+        this.evolveModes = createEvolveModes(this);
         
-        // Grid size - using a power of 2 plus 1 (increased for higher detail)
-        this.gridSize = 129; // Was 65, increased to allow more triangles
-        this.terrainMap = new Array(this.gridSize * this.gridSize).fill(0);
+        // Grid of height points - any size; square at the default resolution until an aspect is set
+        this.resolution = TERRAIN.defaultResolution;
+        this.aspect = 1;
+        this.gridWidth = this.resolution;
+        this.gridHeight = this.resolution;
+        this.terrainMap = new Array(this.gridWidth * this.gridHeight).fill(0);
+        
+        // Imported heightmap used as the base terrain in place of the algorithm ({ width, height, data })
+        this.heightmap = null;
+        
+        // Summed seed point offsets, kept apart from the base terrain so seeds can be removed
+        this.seedLayer = new Float32Array(this.gridWidth * this.gridHeight);
+    }
+    
+    // Set the resolution (points along the longer side) and aspect ratio of the grid,
+    // resampling the current terrain so its shape and evolution are kept
+    setResolution(resolution, aspect = this.aspect) {
+        this.resolution = resolution;
+        this.aspect = aspect;
+        
+        const { width, height } = getGridDimensions(resolution, aspect);
+        if (width === this.gridWidth && height === this.gridHeight) return false;
+        
+        this.terrainMap = resampleGrid(this.terrainMap, this.gridWidth, this.gridHeight, width, height);
+        this.gridWidth = width;
+        this.gridHeight = height;
+        
+        // Seeds are restamped at the new resolution rather than resampled
+        this.seedLayer = new Float32Array(width * height);
+        this.rebuildSeedLayer();
+        return true;
+    }
+    
+    // Size of the grid in pattern coordinates, with square cells and the shorter side spanning 0-1,
+    // so patterns sampled in them keep their shape at any aspect: { width, height, cellSize }
+    getExtent() {
+        const cellSize = 1 / (Math.min(this.gridWidth, this.gridHeight) - 1);
+        return {
+            width: (this.gridWidth - 1) * cellSize,
+            height: (this.gridHeight - 1) * cellSize,
+            cellSize
+        };
     }
     
     setRoughness(roughness) {
         this.roughness = roughness;
     }
     
-    // Initialize terrain with random corners
+    // Select the terrain algorithm by name (does not regenerate the terrain)
+    setAlgorithm(name) {
+        this.algorithmName = name;
+        this.algorithm = createTerrainAlgorithm(name);
+    }
+    
+    // Set the shared terrain seed (does not regenerate the terrain)
+    setSeed(seed, evolveCount = 0) {
+        this.seed = seed;
+        this.evolveCount = evolveCount;
+        this.microEvolveCount = 0;
+    }
+    
+    // Replace the set of seed points (the base terrain and its evolution are kept)
+    setSeedPoints(seedPoints) {
+        this.seedPoints = Array.isArray(seedPoints) ? seedPoints.map(normalizeSeedPoint) : [];
+        this.rebuildSeedLayer();
+    }
+    
+    // Restamp every seed point, oldest first
+    rebuildSeedLayer() {
+        this.seedLayer.fill(0);
+        for (const seed of this.seedPoints) {
+            this.applySeedPoint(seed);
+        }
+    }
+    
+    // Restart the random sequence for a given operation and step
+    reseed(stream, step = 0) {
+        this.random = createSeededRandom(hashSeed(this.seed, stream, step));
+    }
+    
+    // Use an imported heightmap ({ width, height, data } with 0-1 heights) as the base terrain,
+    // or go back to the algorithm with null (does not regenerate the terrain)
+    setHeightmap(heightmap) {
+        this.heightmap = heightmap;
+    }
+    
+    // Replace the base terrain with heights from the server ({ width, height, data } with 0-1 heights)
+    // as of an evolve step, resampled to this grid - the seed points are kept
+    setBaseTerrain({ width, height, data }, evolveCount = this.evolveCount) {
+        this.terrainMap = resampleGrid(data, width, height, this.gridWidth, this.gridHeight)
+            .map(value => clamp(value, 0, 1));
+        this.evolveCount = evolveCount;
+    }
+    
+    // Build the base terrain with the selected algorithm (or from the imported heightmap),
+    // then stamp the seed points
     initTerrain() {
-        // Clear the terrain map
+        // Clear the terrain map (seeds are restamped once the base terrain exists)
         this.terrainMap.fill(0);
+        this.seedLayer.fill(0);
         
-        const size = this.gridSize - 1;
+        // Every client with the same seed and algorithm builds the same terrain
+        this.reseed(RANDOM_STREAMS.init);
+        if (this.heightmap) {
+            const { width, height, data } = this.heightmap;
+            this.terrainMap = resampleGrid(data, width, height, this.gridWidth, this.gridHeight)
+                .map(value => clamp(value, 0, 1));
+        } else {
+            this.algorithm.generate(this);
+        }
         
-        // Set the four corners to random values
-        this.setValue(0, 0, Math.random());
-        this.setValue(size, 0, Math.random());
-        this.setValue(0, size, Math.random());
-        this.setValue(size, size, Math.random());
+        // Stamp seed points on top of the base terrain
+        this.rebuildSeedLayer();
+    }
+    
+    // Add a seed point (older { x, y, value } seeds are converted)
+    addSeedPoint(seed) {
+        const seedPoint = normalizeSeedPoint(seed);
+        this.seedPoints.push(seedPoint);
         
-        // Apply seed points if any
-        for (const seed of this.seedPoints) {
-            const { x, y, value } = seed;
-            const gridX = Math.floor(x * size);
-            const gridY = Math.floor(y * size);
-            this.setValue(gridX, gridY, value);
+        // Drop the oldest seeds the same way the server does
+        if (this.seedPoints.length > TERRAIN.maxSeedPoints) {
+            this.seedPoints.splice(0, this.seedPoints.length - TERRAIN.maxSeedPoints);
+            this.rebuildSeedLayer();
+            return;
         }
         
-        // Run the diamond-square algorithm
-        this.diamondSquare(size);
+        // Stamp the new seed on top of the others
+        this.applySeedPoint(seedPoint);
     }
     
-    // Add a seed point
-    addSeedPoint(x, y, value) {
-        const seedPoint = { x, y, value };
-        this.seedPoints.push(seedPoint);
+    // Remove a seed point by its server id, returning true if it existed
+    removeSeedPoint(id) {
+        const index = this.seedPoints.findIndex(seed => seed.id === id);
+        if (index === -1) return false;
         
-        // Update the terrain with the new seed point
-        const gridX = Math.floor(x * (this.gridSize - 1));
-        const gridY = Math.floor(y * (this.gridSize - 1));
-        this.setValue(gridX, gridY, value);
+        this.seedPoints.splice(index, 1);
+        this.rebuildSeedLayer();
+        return true;
+    }
+    
+    // Find the most recent seed point whose radius covers terrain coordinates (0-1)
+    findSeedPoint(x, y) {
+        // Radii are fractions of the width, so scale vertical distances to match
+        const heightScale = (this.gridHeight - 1) / (this.gridWidth - 1);
         
-        // Re-run the algorithm
-        this.diamondSquare(this.gridSize - 1);
+        for (let i = this.seedPoints.length - 1; i >= 0; i--) {
+            const seed = this.seedPoints[i];
+            if (Math.hypot(seed.x - x, (seed.y - y) * heightScale) <= seed.radius) {
+                return seed;
+            }
+        }
+        return null;
+    }
+    
+    // Add the offset of a seed point to the seed layer using its radius and falloff
+    applySeedPoint(seed) {
+        const { x, y, value, radius, falloff, mode } = normalizeSeedPoint(seed);
+        const maxCellX = this.gridWidth - 1;
+        const maxCellY = this.gridHeight - 1;
+        
+        // Radius is a fraction of the terrain width; cells are square so it applies on both axes
+        const centerX = x * maxCellX;
+        const centerY = y * maxCellY;
+        const radiusCells = Math.max(1, radius * maxCellX);
+        const amount = value * SEED.strength * (mode === 'subtract' ? -1 : 1);
+        
+        const minX = Math.max(0, Math.floor(centerX - radiusCells));
+        const maxX = Math.min(maxCellX, Math.ceil(centerX + radiusCells));
+        const minY = Math.max(0, Math.floor(centerY - radiusCells));
+        const maxY = Math.min(maxCellY, Math.ceil(centerY + radiusCells));
+        
+        for (let gy = minY; gy <= maxY; gy++) {
+            for (let gx = minX; gx <= maxX; gx++) {
+                const distance = Math.hypot(gx - centerX, gy - centerY);
+                const weight = falloffWeight(falloff, distance / radiusCells);
+                if (weight > 0) {
+                    this.seedLayer[gy * this.gridWidth + gx] += amount * weight;
+                }
+            }
+        }
     }
     
     // Micro-evolve for subtle constant movement with safety checks
-    microEvolve(rate) {
+    // step - shared step number from the server; defaults to a local counter
+    microEvolve(rate, step = this.microEvolveCount + 1) {
         // Validate rate parameter
         if (isNaN(rate) || !isFinite(rate)) {
             console.warn('TerrainGenerator: microEvolve received invalid rate:', rate);
@@ -65,10 +232,13 @@ class TerrainGenerator {
         // Cap rate to reasonable values to prevent extreme changes
         const safeRate = clamp(rate, 0, 0.01);
         
+        this.microEvolveCount = step;
+        this.reseed(RANDOM_STREAMS.microEvolve, step);
+        
         // Apply very subtle evolution to random points
         for (let i = 0; i < 10; i++) {
             // Generate valid random index
-            const index = Math.floor(Math.random() * this.terrainMap.length);
+            const index = Math.floor(this.random() * this.terrainMap.length);
             if (index < 0 || index >= this.terrainMap.length) {
                 console.warn('TerrainGenerator: microEvolve generated invalid index:', index);
                 continue; // Skip this iteration
@@ -84,7 +254,7 @@ class TerrainGenerator {
             
             // Calculate new value with safety checks for randomShift
             try {
-                const shift = randomShift(0, safeRate);
+                const shift = randomShift(0, safeRate, this.random);
                 if (isNaN(shift) || !isFinite(shift)) {
                     console.warn('TerrainGenerator: microEvolve got invalid shift value:', shift);
                     continue;
@@ -99,7 +269,10 @@ class TerrainGenerator {
     }
     
     // Evolve the landscape with dramatic effect and safety checks
-    evolve(rate = 0.02) {
+    // step - evolve counter from the server; defaults to the next local step
+    // mode - 'noise' (random drift), 'erosion', 'waves', 'flow' or 'automata'
+    // speed - evolve speed (1-10); time, previousTime - server time of this and the previous tick
+    evolve(rate = 0.02, step = this.evolveCount + 1, { mode = 'noise', speed = 5, time = 0, previousTime = time } = {}) {
         // Validate rate parameter
         if (isNaN(rate) || !isFinite(rate)) {
             console.warn('TerrainGenerator: evolve received invalid rate:', rate);
@@ -109,6 +282,15 @@ class TerrainGenerator {
         // Cap rate to reasonable values to prevent extreme changes
         const safeRate = clamp(rate, 0, 0.1);
         
+        this.evolveCount = step;
+        this.reseed(RANDOM_STREAMS.evolve, step);
+        
+        const evolveMode = this.evolveModes[mode];
+        if (evolveMode) {
+            evolveMode.apply({ rate: safeRate, speed, time, previousTime });
+            return;
+        }
+        
         // Apply evolution to the map with safety checks
         for (let i = 0; i < this.terrainMap.length; i++) {
             // Safety check for array bounds
@@ -127,7 +309,7 @@ class TerrainGenerator {
             
             // Calculate new value with safety checks for randomShift
             try {
-                const shift = randomShift(0, safeRate);
+                const shift = randomShift(0, safeRate, this.random);
                 if (isNaN(shift) || !isFinite(shift)) {
                     console.warn('TerrainGenerator: evolve got invalid shift value:', shift);
                     continue;
@@ -141,86 +323,18 @@ class TerrainGenerator {
         }
     }
     
-    // Diamond-Square algorithm for terrain generation
-    diamondSquare(size) {
-        let step = size;
-        let roughness = this.roughness;
-        
-        while (step > 1) {
-            const half = step / 2;
-            
-            // Diamond step
-            for (let y = half; y < this.gridSize - 1; y += step) {
-                for (let x = half; x < this.gridSize - 1; x += step) {
-                    this.diamondStep(x, y, half, roughness);
-                }
+    // Copy of the heights as shown (base terrain plus seed points), row by row
+    getHeightmap() {
+        const data = new Float64Array(this.gridWidth * this.gridHeight);
+        for (let y = 0; y < this.gridHeight; y++) {
+            for (let x = 0; x < this.gridWidth; x++) {
+                data[y * this.gridWidth + x] = this.getValue(x, y);
             }
-            
-            // Square step
-            for (let y = 0; y < this.gridSize - 1; y += half) {
-                for (let x = (y + half) % step; x < this.gridSize - 1; x += step) {
-                    this.squareStep(x, y, half, roughness);
-                }
-            }
-            
-            // Reduce roughness each iteration
-            step /= 2;
-            roughness *= 0.5;
-        }
-    }
-    
-    // Diamond step of the algorithm
-    diamondStep(x, y, size, roughness) {
-        // Average the four corner values
-        const avg = (
-            this.getValue(x - size, y - size) +
-            this.getValue(x + size, y - size) +
-            this.getValue(x - size, y + size) +
-            this.getValue(x + size, y + size)
-        ) / 4;
-        
-        // Add random displacement
-        this.setValue(x, y, randomShift(avg, roughness));
-    }
-    
-    // Square step of the algorithm
-    squareStep(x, y, size, roughness) {
-        // Count and sum valid neighbors
-        let count = 0;
-        let sum = 0;
-        
-        // Top
-        if (y - size >= 0) {
-            sum += this.getValue(x, y - size);
-            count++;
-        }
-        
-        // Right
-        if (x + size < this.gridSize) {
-            sum += this.getValue(x + size, y);
-            count++;
-        }
-        
-        // Bottom
-        if (y + size < this.gridSize) {
-            sum += this.getValue(x, y + size);
-            count++;
         }
-        
-        // Left
-        if (x - size >= 0) {
-            sum += this.getValue(x - size, y);
-            count++;
-        }
-        
-        // Average valid neighbors
-        const avg = sum / count;
-        
-        // Add random displacement
-        this.setValue(x, y, randomShift(avg, roughness));
+        return { width: this.gridWidth, height: this.gridHeight, data };
     }
     
-    // Helper to get value from terrain map with additional safety checks
+    // Helper to get the height (base terrain plus seed points) with additional safety checks
     getValue(x, y) {
         // Check for NaN or non-finite inputs
         if (isNaN(x) || isNaN(y) || !isFinite(x) || !isFinite(y)) {
@@ -233,29 +347,29 @@ class TerrainGenerator {
         const yi = Math.floor(y);
         
         // Bounds check
-        if (xi < 0 || yi < 0 || xi >= this.gridSize || yi >= this.gridSize) {
+        if (xi < 0 || yi < 0 || xi >= this.gridWidth || yi >= this.gridHeight) {
             // Out of bounds but not logging as this is expected at edges
             return 0;
         }
         
         // Calculate index with bounds check to prevent array overflow
-        const index = yi * this.gridSize + xi;
+        const index = yi * this.gridWidth + xi;
         if (index < 0 || index >= this.terrainMap.length) {
             console.warn('TerrainGenerator: Calculated invalid map index:', index);
             return 0;
         }
         
         // Retrieve and validate the value
-        const val = this.terrainMap[index];
+        const val = this.terrainMap[index] + this.seedLayer[index];
         if (isNaN(val) || !isFinite(val)) {
             console.warn('TerrainGenerator: Retrieved invalid terrain value at', xi, yi);
             return 0;
         }
         
-        return val;
+        return clamp(val, 0, 1);
     }
     
-    // Helper to set value in terrain map with additional safety checks
+    // Helper to set value in the base terrain map with additional safety checks
     setValue(x, y, value) {
         // Check for NaN or non-finite inputs
         if (isNaN(x) || isNaN(y) || !isFinite(x) || !isFinite(y)) {
@@ -268,12 +382,12 @@ class TerrainGenerator {
         const yi = Math.floor(y);
         
         // Bounds check
-        if (xi < 0 || yi < 0 || xi >= this.gridSize || yi >= this.gridSize) {
+        if (xi < 0 || yi < 0 || xi >= this.gridWidth || yi >= this.gridHeight) {
             return;
         }
         
         // Calculate index with bounds check to prevent array overflow
-        const index = yi * this.gridSize + xi;
+        const index = yi * this.gridWidth + xi;
         if (index < 0 || index >= this.terrainMap.length) {
             console.warn('TerrainGenerator: Calculated invalid map index for setting:', index);
             return;
@@ -0,0 +1,183 @@
+// TerrainLighting class - Shaded relief from terrain normals, with optional ambient occlusion
+// The sun direction comes from shared options and server time, so every client lights alike
+import { clamp } from '../utils/MathUtils.js';
+import { LIGHTING } from '../utils/constants.js';
+
+const DEGREES = Math.PI / 180;
+
+class TerrainLighting {
+    constructor(terrainGenerator) {
+        this.terrainGenerator = terrainGenerator;
+        this.enabled = false;
+        
+        // Per-vertex light multipliers and ambient occlusion, sized to the grid
+        this.gridWidth = 0;
+        this.shade = new Float32Array(0);
+        this.occlusion = null;
+        this.heights = new Float32Array(0);
+        
+        // Wall-clock time of the last refresh of each
+        this.lastShadeUpdate = -Infinity;
+        this.lastOcclusionUpdate = -Infinity;
+    }
+    
+    // Sun direction for the options and server time: { azimuth, elevation } in degrees
+    // Orbiting, the sun circles once per day and dips below the horizon for the night
+    getSunDirection(globalTime, options) {
+        const azimuth = options.sunAzimuth || 0;
+        if (!options.sunOrbit) {
+            return { azimuth, elevation: LIGHTING.sunElevation };
+        }
+        
+        const phase = (((globalTime / LIGHTING.dayLength) % 1) + 1) % 1;
+        return {
+            azimuth: azimuth + phase * 360,
+            elevation: Math.sin(phase * Math.PI * 2) * LIGHTING.sunElevation * 1.5
+        };
+    }
+    
+    // Refresh the shading for this frame (throttled - terrain and sun change slowly)
+    update(globalTime, options, now = performance.now()) {
+        const mode = options.lighting || 'off';
+        this.enabled = mode !== 'off';
+        if (!this.enabled) {
+            this.occlusion = null;
+            return;
+        }
+        
+        const { gridWidth, gridHeight } = this.terrainGenerator;
+        const size = gridWidth * gridHeight;
+        const resized = this.shade.length !== size || this.gridWidth !== gridWidth;
+        if (!resized && now - this.lastShadeUpdate < LIGHTING.refreshInterval) return;
+        
+        if (resized) {
+            this.gridWidth = gridWidth;
+            this.shade = new Float32Array(size);
+            this.heights = new Float32Array(size);
+            this.occlusion = null;
+        }
+        this.lastShadeUpdate = now;
+        this.readHeights();
+        
+        if (mode === 'occlusion') {
+            if (!this.occlusion || now - this.lastOcclusionUpdate >= LIGHTING.occlusion.refreshInterval) {
+                this.computeOcclusion();
+                this.lastOcclusionUpdate = now;
+            }
+        } else {
+            this.occlusion = null;
+        }
+        
+        this.computeShade(this.getSunDirection(globalTime, options));
+    }
+    
+    // Copy the visible heights (base terrain plus seed points)
+    readHeights() {
+        const { terrainMap, seedLayer } = this.terrainGenerator;
+        for (let i = 0; i < this.heights.length; i++) {
+            this.heights[i] = clamp((terrainMap[i] || 0) + (seedLayer[i] || 0), 0, 1);
+        }
+    }
+    
+    // Lambertian shading: light falls off with the angle between the normal and the sun
+    computeShade({ azimuth, elevation }) {
+        const { gridWidth, gridHeight } = this.terrainGenerator;
+        const { heights, shade, occlusion } = this;
+        const { ambient, verticalScale } = LIGHTING;
+        
+        // Sun vector in grid space (x right, y down, z up); azimuth is clockwise from north (up)
+        const cosElevation = Math.cos(elevation * DEGREES);
+        const sunX = Math.sin(azimuth * DEGREES) * cosElevation;
+        const sunY = -Math.cos(azimuth * DEGREES) * cosElevation;
+        const sunZ = Math.sin(elevation * DEGREES);
+        
+        // Direct light fades out as the sun sets
+        const daylight = clamp(sunZ / 0.2, 0, 1);
+        
+        // Height change per cell, in the same units as the cell spacing
+        const slopeScale = (Math.max(gridWidth, gridHeight) - 1) * verticalScale / 2;
+        
+        for (let y = 0; y < gridHeight; y++) {
+            const up = Math.max(0, y - 1) * gridWidth;
+            const down = Math.min(gridHeight - 1, y + 1) * gridWidth;
+            
+            for (let x = 0; x < gridWidth; x++) {
+                const left = Math.max(0, x - 1);
+                const right = Math.min(gridWidth - 1, x + 1);
+                const index = y * gridWidth + x;
+                
+                // Central differences give the per-vertex normal (-dx, -dy, 1)
+                const dx = (heights[y * gridWidth + right] - heights[y * gridWidth + left]) * slopeScale;
+                const dy = (heights[down + x] - heights[up + x]) * slopeScale;
+                const lambert = Math.max(0, (-dx * sunX - dy * sunY + sunZ) / Math.sqrt(dx * dx + dy * dy + 1));
+                
+                let light = ambient + (1 - ambient) * lambert * daylight;
+                if (occlusion) {
+                    light *= 1 - LIGHTING.occlusion.strength * (1 - occlusion[index]);
+                }
+                shade[index] = light;
+            }
+        }
+    }
+    
+    // Ambient occlusion from a horizon scan: the higher the surrounding terrain rises above
+    // a vertex, the less sky it sees
+    computeOcclusion() {
+        const { gridWidth, gridHeight } = this.terrainGenerator;
+        const { heights } = this;
+        const { directions, distances, referenceResolution } = LIGHTING.occlusion;
+        const gridScale = (Math.max(gridWidth, gridHeight) - 1) / (referenceResolution - 1);
+        const heightScale = (Math.max(gridWidth, gridHeight) - 1) * LIGHTING.verticalScale;
+        
+        // Scan offsets in whole cells, scaled so the scan covers the same area at every resolution
+        const steps = [];
+        for (let d = 0; d < directions; d++) {
+            const angle = (d / directions) * Math.PI * 2;
+            steps.push(distances.map(distance => {
+                const cells = Math.max(1, Math.round(distance * gridScale));
+                const dx = Math.round(Math.cos(angle) * cells);
+                const dy = Math.round(Math.sin(angle) * cells);
+                return { dx, dy, distance: Math.hypot(dx, dy) };
+            }));
+        }
+        
+        this.occlusion = new Float32Array(gridWidth * gridHeight);
+        for (let y = 0; y < gridHeight; y++) {
+            for (let x = 0; x < gridWidth; x++) {
+                const height = heights[y * gridWidth + x] * heightScale;
+                let blocked = 0;
+                
+                for (const direction of steps) {
+                    // Sine of the steepest angle up to the horizon in this direction
+                    let horizon = 0;
+                    for (const { dx, dy, distance } of direction) {
+                        const nx = x + dx;
+                        const ny = y + dy;
+                        if (nx < 0 || ny < 0 || nx >= gridWidth || ny >= gridHeight || distance === 0) break;
+                        
+                        const rise = heights[ny * gridWidth + nx] * heightScale - height;
+                        if (rise > 0) {
+                            horizon = Math.max(horizon, rise / Math.hypot(rise, distance));
+                        }
+                    }
+                    blocked += horizon;
+                }
+                
+                this.occlusion[y * gridWidth + x] = 1 - blocked / directions;
+            }
+        }
+    }
+    
+    // Light multiplier at a grid position (1 when lighting is off)
+    getShade(x, y) {
+        if (!this.enabled) return 1;
+        
+        const { gridWidth, gridHeight } = this.terrainGenerator;
+        const xi = clamp(Math.floor(x), 0, gridWidth - 1);
+        const yi = clamp(Math.floor(y), 0, gridHeight - 1);
+        const shade = this.shade[yi * gridWidth + xi];
+        return shade === undefined ? 1 : shade;
+    }
+}
+
+export default TerrainLighting;
@@ -0,0 +1,193 @@
+// TerrainProjection class - Maps grid points and heights to canvas pixels for each way of viewing
+// Top-down stretches the grid over the canvas; isometric and perspective look at it from a camera
+import { clamp } from '../utils/MathUtils.js';
+import { PROJECTION } from '../utils/constants.js';
+
+const DEGREES = Math.PI / 180;
+
+// Height steps along the view ray when finding the terrain under a pixel, then bisections
+const PICK_STEPS = 64;
+const PICK_REFINEMENTS = 8;
+
+class TerrainProjection {
+    constructor() {
+        this.mode = 'topDown';
+        
+        // Grid and canvas the projection was fitted to
+        this.gridWidth = 2;
+        this.gridHeight = 2;
+        this.pixelWidth = 1;
+        this.pixelHeight = 1;
+        
+        // Camera (isometric and perspective)
+        this.cosYaw = 1;
+        this.sinYaw = 0;
+        this.cosPitch = 0;
+        this.sinPitch = 1;
+        this.heightUnits = 0;
+        this.distance = 0;
+        
+        // View space to canvas pixels
+        this.scale = 1;
+        this.offsetX = 0;
+        this.offsetY = 0;
+        
+        // Approximate pixels per grid cell, for sizing markers
+        this.cellSize = 1;
+    }
+    
+    // Fit the projection to the options, canvas and grid for this frame
+    update(options, width, height, gridWidth, gridHeight) {
+        this.mode = options.projection || 'topDown';
+        this.gridWidth = gridWidth;
+        this.gridHeight = gridHeight;
+        
+        // Top-down maps the grid straight onto the canvas
+        this.pixelWidth = width / (gridWidth - 1);
+        this.pixelHeight = height / (gridHeight - 1);
+        if (this.mode === 'topDown') {
+            this.cellSize = this.pixelWidth;
+            return;
+        }
+        
+        // Isometric turns in quarters from the classic corner-on view
+        const size = Math.max(gridWidth, gridHeight) - 1;
+        const yaw = this.mode === 'isometric'
+            ? 45 + Math.round((options.cameraYaw || 0) / 90) * 90
+            : options.cameraYaw || 0;
+        const pitch = this.mode === 'isometric' ? PROJECTION.isometricPitch : clamp(options.cameraPitch || 45, 1, 90);
+        
+        this.cosYaw = Math.cos(yaw * DEGREES);
+        this.sinYaw = Math.sin(yaw * DEGREES);
+        this.cosPitch = Math.cos(pitch * DEGREES);
+        this.sinPitch = Math.sin(pitch * DEGREES);
+        this.heightUnits = size * PROJECTION.verticalScale * (options.heightScale || 1);
+        this.distance = Math.hypot(gridWidth - 1, gridHeight - 1) * PROJECTION.cameraDistance;
+        
+        // Fit the box holding every possible height into the canvas, so the view
+        // stays still while the terrain evolves
+        let minU = Infinity, maxU = -Infinity, minV = Infinity, maxV = -Infinity;
+        for (const gx of [0, gridWidth - 1]) {
+            for (const gy of [0, gridHeight - 1]) {
+                for (const value of [0, 1]) {
+                    const { u, v } = this.toView(gx, gy, value);
+                    minU = Math.min(minU, u);
+                    maxU = Math.max(maxU, u);
+                    minV = Math.min(minV, v);
+                    maxV = Math.max(maxV, v);
+                }
+            }
+        }
+        
+        this.scale = PROJECTION.margin * Math.min(width / Math.max(maxU - minU, 1e-6), height / Math.max(maxV - minV, 1e-6));
+        this.offsetX = width / 2 - this.scale * (minU + maxU) / 2;
+        this.offsetY = height / 2 - this.scale * (minV + maxV) / 2;
+        this.cellSize = this.scale;
+    }
+    
+    // Camera view of a grid point: u right, v down, depth towards the viewer (in cells)
+    // The grid is centred on the origin, turned by the yaw, then tilted by the pitch
+    toView(gx, gy, value) {
+        const wx = gx - (this.gridWidth - 1) / 2;
+        const wy = gy - (this.gridHeight - 1) / 2;
+        const wz = value * this.heightUnits;
+        
+        const rx = wx * this.cosYaw - wy * this.sinYaw;
+        const ry = wx * this.sinYaw + wy * this.cosYaw;
+        const v = ry * this.sinPitch - wz * this.cosPitch;
+        const depth = ry * this.cosPitch + wz * this.sinPitch;
+        
+        if (this.mode !== 'perspective') {
+            return { u: rx, v, depth };
+        }
+        
+        // Perspective divides by the distance from the camera (scaled so the centre keeps its size)
+        const z = Math.max(this.distance - depth, 1e-3);
+        return { u: rx * this.distance / z, v: v * this.distance / z, depth };
+    }
+    
+    // Project a grid point with its height (0-1) to canvas pixels
+    // depth grows towards the viewer, so drawing in increasing depth paints back to front
+    project(gx, gy, value) {
+        if (this.mode === 'topDown') {
+            return { x: gx * this.pixelWidth, y: gy * this.pixelHeight, depth: value };
+        }
+        
+        const { u, v, depth } = this.toView(gx, gy, value);
+        return {
+            x: this.offsetX + u * this.scale,
+            y: this.offsetY + v * this.scale,
+            depth: depth / (Math.max(this.gridWidth, this.gridHeight) - 1)
+        };
+    }
+    
+    // Grid point at a given height that projects to view coordinates, or null if the ray misses it
+    fromView(u, v, value) {
+        const wz = value * this.heightUnits;
+        let rx = u;
+        let ry;
+        
+        if (this.mode === 'perspective') {
+            const un = u / this.distance;
+            const vn = v / this.distance;
+            const denominator = this.sinPitch + vn * this.cosPitch;
+            if (Math.abs(denominator) < 1e-6) return null;
+            
+            ry = (vn * this.distance - vn * wz * this.sinPitch + wz * this.cosPitch) / denominator;
+            const z = this.distance - ry * this.cosPitch - wz * this.sinPitch;
+            if (z <= 0) return null;
+            rx = un * z;
+        } else {
+            ry = (v + wz * this.cosPitch) / this.sinPitch;
+        }
+        
+        // Undo the yaw and move back to grid coordinates
+        return {
+            x: rx * this.cosYaw + ry * this.sinYaw + (this.gridWidth - 1) / 2,
+            y: -rx * this.sinYaw + ry * this.cosYaw + (this.gridHeight - 1) / 2
+        };
+    }
+    
+    // Grid point under a canvas pixel, or null if the view ray misses the terrain
+    // getHeight(gx, gy) returns the terrain height (0-1) at a grid point
+    unproject(px, py, getHeight) {
+        if (this.mode === 'topDown') {
+            return { x: px / this.pixelWidth, y: py / this.pixelHeight };
+        }
+        
+        // March down the view ray from the top of the height range - the first point below
+        // the terrain is the surface nearest the camera - then narrow it down by bisection
+        const u = (px - this.offsetX) / this.scale;
+        const v = (py - this.offsetY) / this.scale;
+        const isBelowSurface = (value) => {
+            const point = this.fromView(u, v, value);
+            if (!point || point.x < 0 || point.y < 0 || point.x > this.gridWidth - 1 || point.y > this.gridHeight - 1) {
+                return false;
+            }
+            return value <= getHeight(point.x, point.y);
+        };
+        
+        let above = 1;
+        for (let i = 1; i <= PICK_STEPS; i++) {
+            const value = 1 - i / PICK_STEPS;
+            if (!isBelowSurface(value)) {
+                above = value;
+                continue;
+            }
+            
+            let below = value;
+            for (let j = 0; j < PICK_REFINEMENTS; j++) {
+                const middle = (above + below) / 2;
+                if (isBelowSurface(middle)) {
+                    below = middle;
+                } else {
+                    above = middle;
+                }
+            }
+            return this.fromView(u, v, below);
+        }
+        return null;
+    }
+}
+
+export default TerrainProjection;
@@ -1,7 +1,14 @@
 import TriangleRenderer from './TriangleRenderer.js';
 import QuadTreeSubdivider from './QuadTreeSubdivider.js';
+import TerrainLighting from './TerrainLighting.js';
+import TerrainProjection from './TerrainProjection.js';
+import TerrainContours from './TerrainContours.js';
 import { clamp, safeValue } from '../utils/MathUtils.js';
 import { updateCanvasDimensions } from '../utils/UIUtils.js';
+import { TERRAIN } from '../utils/constants.js';
+
+// Points around the ring of the seed preview marker
+const SEED_PREVIEW_SEGMENTS = 32;
 
 // TerrainRenderer class - Handles rendering of the landscape
 class TerrainRenderer {
@@ -15,7 +22,12 @@ class TerrainRenderer {
         
         // Initialize sub-renderers
         this.triangleRenderer = new TriangleRenderer(this.ctx);
-        this.quadTreeSubdivider = new QuadTreeSubdivider(this.terrainGenerator, this.colorManager);
+        this.lighting = new TerrainLighting(this.terrainGenerator);
+        this.projection = new TerrainProjection();
+        this.contours = new TerrainContours(this.terrainGenerator, this.colorManager);
+        this.quadTreeSubdivider = new QuadTreeSubdivider(
+            this.terrainGenerator, this.colorManager, this.lighting, this.projection
+        );
     }
     
     // Render the terrain with optimized mesh and safety checks
@@ -38,18 +50,9 @@ class TerrainRenderer {
         }
         
         // Validate grid size to prevent division by zero
-        const gridSize = this.terrainGenerator.gridSize;
-        if (gridSize <= 1 || !isFinite(gridSize)) {
-            console.warn('TerrainRenderer: Invalid gridSize:', gridSize);
-            return { triangleCount: 0, detailAreaCount: 0 }; // Skip rendering
-        }
-        
-        // Calculate pixel size with safety checks
-        const pixelWidth = this.width / (gridSize - 1);
-        const pixelHeight = this.height / (gridSize - 1);
-        
-        if (!isFinite(pixelWidth) || !isFinite(pixelHeight) || pixelWidth <= 0 || pixelHeight <= 0) {
-            console.warn('TerrainRenderer: Invalid pixel dimensions:', pixelWidth, pixelHeight);
+        const { gridWidth, gridHeight } = this.terrainGenerator;
+        if (gridWidth <= 1 || gridHeight <= 1 || !isFinite(gridWidth) || !isFinite(gridHeight)) {
+            console.warn('TerrainRenderer: Invalid grid size:', gridWidth, gridHeight);
             return { triangleCount: 0, detailAreaCount: 0 }; // Skip rendering
         }
         
@@ -72,6 +75,24 @@ class TerrainRenderer {
             const cellSize = safeValue(rawCellSize, 2);
             const limitedCellSize = clamp(cellSize, 2, 12); // Increased maximum
             
+            // Keep initial cells the same size on screen at every resolution - finer grids
+            // only add triangles where the quad tree subdivides
+            const gridScale = (Math.max(gridWidth, gridHeight) - 1) / (TERRAIN.defaultResolution - 1);
+            const scaledCellSize = Math.max(1, Math.round(limitedCellSize * gridScale));
+            
+            // Shade the terrain for the current sun position and fit the view to the canvas
+            // before the mesh picks up its colors and positions
+            this.lighting.update(globalTime, options);
+            this.projection.update(options, this.width, this.height, gridWidth, gridHeight);
+            this.contours.update(options);
+            
+            // The topographic map shows the contours alone
+            if (this.contours.mode === 'map') {
+                this.triangleRenderer.drawLines(this.contours.getLineBatch(this.projection));
+                this.contours.drawLabels(this.ctx, this.projection);
+                return { triangleCount: 0, detailAreaCount: 0 };
+            }
+            
             // Use the QuadTreeSubdivider to create the triangle mesh with try/catch for safety
             let triangleBatch = [];
             let triangleCount = 0;
@@ -79,11 +100,10 @@ class TerrainRenderer {
             
             try {
                 const result = this.quadTreeSubdivider.subdivide(
-                    gridSize, 
-                    limitedCellSize, 
+                    gridWidth,
+                    gridHeight,
+                    scaledCellSize, 
                     baseSkipFactor, 
-                    pixelWidth, 
-                    pixelHeight, 
                     globalTime,
                     options
                 );
@@ -97,8 +117,14 @@ class TerrainRenderer {
                 return { triangleCount: 0, detailAreaCount: 0 };
             }
             
-            // Use the TriangleRenderer to draw the triangles
-            this.triangleRenderer.renderTriangleBatch(triangleBatch);
+            // Use the TriangleRenderer to draw the triangles, with any contour lines in depth order
+            // Smooth colors blend across each triangle, banded ones fill it flat
+            this.triangleRenderer.renderTriangleBatch(
+                triangleBatch,
+                this.contours.getLineBatch(this.projection),
+                options.colorMode !== 'banded'
+            );
+            this.contours.drawLabels(this.ctx, this.projection);
             
             return { triangleCount, detailAreaCount };
         } catch (error) {
@@ -107,9 +133,66 @@ class TerrainRenderer {
         }
     }
     
-    // Update canvas dimensions if needed
+    // Convert a screen position to terrain coordinates (0-1), or null if off the terrain
+    screenToTerrain(clientX, clientY) {
+        const rect = this.canvas.getBoundingClientRect();
+        if (rect.width <= 0 || rect.height <= 0) return null;
+        
+        // Find the grid point under the canvas pixel in the current view
+        const { gridWidth, gridHeight } = this.terrainGenerator;
+        const point = this.projection.unproject(
+            (clientX - rect.left) / rect.width * this.width,
+            (clientY - rect.top) / rect.height * this.height,
+            (gx, gy) => this.terrainGenerator.getValue(gx, gy)
+        );
+        if (!point) return null;
+        
+        const x = point.x / (gridWidth - 1);
+        const y = point.y / (gridHeight - 1);
+        if (x < 0 || x > 1 || y < 0 || y > 1) return null;
+        
+        return { x, y };
+    }
+    
+    // Draw a marker for a seed being placed - ring shows its radius, color its height
+    // The ring lies on the terrain, so it follows the view
+    drawSeedPreview(seed) {
+        const { gridWidth, gridHeight } = this.terrainGenerator;
+        const centerX = seed.x * (gridWidth - 1);
+        const centerY = seed.y * (gridHeight - 1);
+        const surface = this.terrainGenerator.getValue(centerX, centerY);
+        const radius = Math.max(6 / this.projection.cellSize, (seed.radius || 0) * (gridWidth - 1));
+        
+        this.ctx.save();
+        this.ctx.beginPath();
+        for (let i = 0; i < SEED_PREVIEW_SEGMENTS; i++) {
+            const angle = (i / SEED_PREVIEW_SEGMENTS) * Math.PI * 2;
+            const { x, y } = this.projection.project(
+                centerX + Math.cos(angle) * radius,
+                centerY + Math.sin(angle) * radius,
+                surface
+            );
+            if (i === 0) {
+                this.ctx.moveTo(x, y);
+            } else {
+                this.ctx.lineTo(x, y);
+            }
+        }
+        this.ctx.closePath();
+        this.ctx.fillStyle = this.colorManager.getHeightColor(seed.value, false);
+        this.ctx.globalAlpha = 0.6;
+        this.ctx.fill();
+        this.ctx.globalAlpha = 1;
+        this.ctx.lineWidth = 2;
+        this.ctx.strokeStyle = seed.value < 0.5 ? '#000000' : '#ffffff';
+        this.ctx.stroke();
+        this.ctx.restore();
+    }
+    
+    // Update canvas dimensions if needed (the canvas may also have been resized elsewhere)
     updateDimensions() {
-        if (updateCanvasDimensions(this.canvas)) {
+        updateCanvasDimensions(this.canvas);
+        if (this.width !== this.canvas.width || this.height !== this.canvas.height) {
             this.width = this.canvas.width;
             this.height = this.canvas.height;
             return true;
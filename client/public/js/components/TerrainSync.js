@@ -0,0 +1,72 @@
+// TerrainSync class - Follows the server's authoritative terrain by version
+// Holds the last version applied as 16-bit heights so deltas (XORed against it) can be applied
+import { dequantizeHeights } from '../utils/HeightmapUtils.js';
+
+class TerrainSync {
+    constructor() {
+        // Last server terrain applied: epoch (changes when the server restarts), version
+        // within it, grid size and 16-bit heights
+        this.epoch = null;
+        this.version = null;
+        this.width = 0;
+        this.height = 0;
+        this.values = null;
+        
+        // Whether the terrain shown comes from the server (not while disconnected)
+        this.active = false;
+    }
+    
+    // Whether terrain changes come from the server rather than being generated here
+    isActive() {
+        return this.active;
+    }
+    
+    // The terrain held ({ epoch, version }) to sync from, or null before any has arrived
+    getHeld() {
+        return this.version !== null ? { epoch: this.epoch, version: this.version } : null;
+    }
+    
+    // Width/height ratio of the server's grid (the room's terrain aspect), or null before any has arrived
+    getAspect() {
+        return this.version !== null ? (this.width - 1) / (this.height - 1) : null;
+    }
+    
+    // Generate terrain locally until the server's arrives again - the version is kept so
+    // a reconnect only needs a delta
+    pause() {
+        this.active = false;
+    }
+    
+    // Take a full snapshot ({ epoch, version, width, height, values }), returning its 0-1 heights
+    applySnapshot({ epoch, version, width, height, values }) {
+        if (values.length !== width * height) {
+            throw new Error(`Terrain snapshot holds ${values.length} heights, expected ${width * height}`);
+        }
+        
+        this.epoch = epoch;
+        this.version = version;
+        this.width = width;
+        this.height = height;
+        this.values = values;
+        this.active = true;
+        return dequantizeHeights(values);
+    }
+    
+    // Apply a delta ({ epoch, fromVersion, version, width, height, values } with values XORed against
+    // the previous version), returning the 0-1 heights, or null if it does not follow the version held
+    applyDelta({ epoch, fromVersion, version, width, height, values }) {
+        if (epoch !== this.epoch || fromVersion !== this.version || width !== this.width || height !== this.height ||
+            values.length !== this.values.length) {
+            return null;
+        }
+        
+        for (let i = 0; i < values.length; i++) {
+            this.values[i] ^= values[i];
+        }
+        this.version = version;
+        this.active = true;
+        return dequantizeHeights(this.values);
+    }
+}
+
+export default TerrainSync;
@@ -61,8 +61,85 @@ class TriangleRenderer {
         }
     }
     
+    // Draw a triangle whose color blends between its corners
+    // Its heights (value1-3) form a plane; a linear gradient along that plane's slope, with a
+    // stop at each corner, matches the corner colors exactly
+    drawGradientTriangle(tri) {
+        const corners = [
+            { x: tri.x1, y: tri.y1, color: tri.color1, value: tri.value1 },
+            { x: tri.x2, y: tri.y2, color: tri.color2, value: tri.value2 },
+            { x: tri.x3, y: tri.y3, color: tri.color3, value: tri.value3 }
+        ].sort((a, b) => a.value - b.value);
+        const [low, middle, high] = corners;
+        
+        // Screen-space slope of the height plane
+        const e1x = middle.x - low.x, e1y = middle.y - low.y;
+        const e2x = high.x - low.x, e2y = high.y - low.y;
+        const rise1 = middle.value - low.value;
+        const rise2 = high.value - low.value;
+        const det = e1x * e2y - e1y * e2x;
+        
+        // Flat or degenerate triangles (and any missing heights) keep the single averaged color
+        if (!(rise2 > 1e-6) || Math.abs(det) < 1e-6 || low.color === high.color) {
+            this.drawOptimizedTriangle(
+                tri.x1, tri.y1, tri.color1,
+                tri.x2, tri.y2, tri.color2,
+                tri.x3, tri.y3, tri.color3
+            );
+            return;
+        }
+        
+        const slopeX = (rise1 * e2y - rise2 * e1y) / det;
+        const slopeY = (rise2 * e1x - rise1 * e2x) / det;
+        const lengthSquared = slopeX * slopeX + slopeY * slopeY;
+        
+        // The gradient runs from the lowest corner to where the plane reaches the highest one
+        const reach = rise2 / lengthSquared;
+        const gradient = this.ctx.createLinearGradient(low.x, low.y, low.x + slopeX * reach, low.y + slopeY * reach);
+        gradient.addColorStop(0, low.color);
+        gradient.addColorStop(rise1 / rise2, middle.color);
+        gradient.addColorStop(1, high.color);
+        
+        this.ctx.beginPath();
+        this.ctx.moveTo(tri.x1, tri.y1);
+        this.ctx.lineTo(tri.x2, tri.y2);
+        this.ctx.lineTo(tri.x3, tri.y3);
+        this.ctx.closePath();
+        
+        // Stroke with the same gradient to eliminate tiny gaps between triangles
+        this.ctx.fillStyle = gradient;
+        this.ctx.strokeStyle = gradient;
+        this.ctx.lineWidth = 1;
+        this.ctx.fill();
+        this.ctx.stroke();
+    }
+    
+    // Draw line segments ({ x1, y1, x2, y2, color, width }) from start up to end,
+    // stroking each run of the same color and width as one path
+    drawLines(lines, start = 0, end = lines.length) {
+        let i = start;
+        while (i < end) {
+            const { color, width } = lines[i];
+            this.ctx.beginPath();
+            
+            for (; i < end && lines[i].color === color && lines[i].width === width; i++) {
+                const line = lines[i];
+                if (!isValidTriangleCoordinate(line.x1, line.y1) || !isValidTriangleCoordinate(line.x2, line.y2)) continue;
+                this.ctx.moveTo(line.x1, line.y1);
+                this.ctx.lineTo(line.x2, line.y2);
+            }
+            
+            this.ctx.strokeStyle = color;
+            this.ctx.lineWidth = width;
+            this.ctx.stroke();
+        }
+    }
+    
     // Render a batch of triangles with additional safety checks
-    renderTriangleBatch(triangleBatch) {
+    // lines - optional depth-sorted line segments drawn in between, each just before the first
+    // triangle in front of it (the rest after the last triangle)
+    // smooth - blend colors across each triangle instead of filling it with their average
+    renderTriangleBatch(triangleBatch, lines = [], smooth = false) {
         // Basic validation of triangleBatch
         if (!triangleBatch || !Array.isArray(triangleBatch)) {
             console.warn('TriangleRenderer: renderTriangleBatch received invalid batch:', triangleBatch);
@@ -80,6 +157,9 @@ class TriangleRenderer {
         let trianglesRendered = 0;
         const maxTrianglesPerFrame = 10000;
         
+        // Next line segment still to be drawn
+        let lineIndex = 0;
+        
         // Draw all triangles in batch
         for (const tri of triangleBatch) {
             // Skip invalid triangles
@@ -95,12 +175,24 @@ class TriangleRenderer {
                 continue; // Skip invalid triangles without logging (handled in drawOptimizedTriangle)
             }
             
+            // Draw the lines behind this triangle first
+            let lineEnd = lineIndex;
+            while (lineEnd < lines.length && lines[lineEnd].depth <= tri.depth) lineEnd++;
+            if (lineEnd > lineIndex) {
+                this.drawLines(lines, lineIndex, lineEnd);
+                lineIndex = lineEnd;
+            }
+            
             // Render the triangle
-            this.drawOptimizedTriangle(
-                tri.x1, tri.y1, tri.color1,
-                tri.x2, tri.y2, tri.color2,
-                tri.x3, tri.y3, tri.color3
-            );
+            if (smooth) {
+                this.drawGradientTriangle(tri);
+            } else {
+                this.drawOptimizedTriangle(
+                    tri.x1, tri.y1, tri.color1,
+                    tri.x2, tri.y2, tri.color2,
+                    tri.x3, tri.y3, tri.color3
+                );
+            }
             
             // Count triangles rendered
             trianglesRendered++;
@@ -111,6 +203,9 @@ class TriangleRenderer {
                 break;
             }
         }
+        
+        // Draw the lines in front of every triangle
+        this.drawLines(lines, lineIndex);
     }
 }
 
@@ -1,6 +1,30 @@
 import KeyboardManager from './KeyboardManager.js';
 import ParameterDisplay from './ParameterDisplay.js';
-import { ANIMATION } from '../utils/constants.js';
+import SeedPlacer from './SeedPlacer.js';
+import HeightmapTransfer from './HeightmapTransfer.js';
+import PaletteEditor from './PaletteEditor.js';
+import PaletteTransfer from './PaletteTransfer.js';
+import {
+    ANIMATION,
+    PALETTE_NAMES,
+    COLOR_MODE_NAMES,
+    VISION_MODE_NAMES,
+    PARAMETER_RANGES,
+    SEED,
+    TERRAIN,
+    TERRAIN_ALGORITHM_NAMES,
+    EVOLVE_MODE_NAMES,
+    LIGHTING_MODE_NAMES,
+    LIGHTING,
+    PROJECTION_MODE_NAMES,
+    PROJECTION,
+    CONTOUR_MODE_NAMES,
+    CONTOURS,
+    HEIGHTMAP,
+    DEFAULT_OPTIONS
+} from '../utils/constants.js';
+import { clamp } from '../utils/MathUtils.js';
+import { createSeedPoint } from '../utils/SeedUtils.js';
 import { updateCanvasDimensions } from '../utils/UIUtils.js';
 
 // UIManager class - Handles UI interaction and parameter management
@@ -12,18 +36,73 @@ class UIManager {
         // Controls state
         this.controls = {
             palette: 'cosmic',
+            colorMode: DEFAULT_OPTIONS.colorMode,
+            visionSimulation: DEFAULT_OPTIONS.visionSimulation,
+            algorithm: DEFAULT_OPTIONS.algorithm,
+            resolution: DEFAULT_OPTIONS.resolution,
+            roughness: 0.5,
+            evolveSpeed: 5,
+            evolveMode: DEFAULT_OPTIONS.evolveMode,
+            lighting: DEFAULT_OPTIONS.lighting,
+            sunAzimuth: DEFAULT_OPTIONS.sunAzimuth,
+            sunOrbit: DEFAULT_OPTIONS.sunOrbit,
+            projection: DEFAULT_OPTIONS.projection,
+            cameraYaw: DEFAULT_OPTIONS.cameraYaw,
+            cameraPitch: DEFAULT_OPTIONS.cameraPitch,
+            heightScale: DEFAULT_OPTIONS.heightScale,
+            contours: DEFAULT_OPTIONS.contours,
+            contourInterval: DEFAULT_OPTIONS.contourInterval,
+            contourLabels: DEFAULT_OPTIONS.contourLabels,
+            seedIntensity: 0.6,
+            seedRadius: SEED.defaultRadius,
+            seedFalloff: SEED.defaultFalloff,
+            heightmapFormat: HEIGHTMAP.defaultFormat,
             // Throttle control to prevent spamming the server
             lastUpdate: {
                 palette: 0,
-                seed: 0
+                colorMode: 0,
+                visionSimulation: 0,
+                algorithm: 0,
+                resolution: 0,
+                roughness: 0,
+                evolveSpeed: 0,
+                evolveMode: 0,
+                lighting: 0,
+                projection: 0,
+                cameraYaw: 0,
+                cameraPitch: 0,
+                heightScale: 0,
+                contours: 0,
+                contourInterval: 0,
+                contourLabels: 0,
+                seedIntensity: 0,
+                seedRadius: 0,
+                seedFalloff: 0,
+                seed: 0,
+                history: 0,
+                paletteEdit: 0,
+                heightmap: 0
             },
             // Minimum time between updates (milliseconds)
             throttleTime: ANIMATION.throttleTime
         };
         
+        // Shared seed history status from the server
+        this.history = { canUndo: false, canRedo: false };
+        
+        // The room's custom palettes ({ name, colors }), cycled after the built-in ones
+        this.customPalettes = [];
+        
+        // Seeds placed while offline get negative ids (server ids are positive)
+        this.nextLocalSeedId = -1;
+        
         // Initialize sub-components
         this.parameterDisplay = new ParameterDisplay();
         this.keyboardManager = new KeyboardManager(this);
+        this.seedPlacer = new SeedPlacer(fractal.canvas, this);
+        this.heightmapTransfer = new HeightmapTransfer(fractal.canvas, this);
+        this.paletteEditor = new PaletteEditor(this);
+        this.paletteTransfer = new PaletteTransfer(this);
         
         // Initialize displays and setup event handlers
         this.initializeDisplays();
@@ -44,31 +123,294 @@ class UIManager {
         });
     }
     
-    // Add a random seed point
-    addRandomSeed(intensity = 0.6) {
+    // Check and record the throttle for a control, returning false if called too soon
+    takeThrottle(key) {
         const now = Date.now();
-        if (now - this.controls.lastUpdate.seed < this.controls.throttleTime) return;
-        this.controls.lastUpdate.seed = now;
+        if (now - this.controls.lastUpdate[key] < this.controls.throttleTime) return false;
+        this.controls.lastUpdate[key] = now;
+        return true;
+    }
+    
+    // Add a random seed point
+    addRandomSeed(intensity = this.controls.seedIntensity) {
+        if (!this.takeThrottle('seed')) return;
         
         // Create random position
         const x = Math.random();
         const y = Math.random();
         const value = 0.4 + Math.random() * intensity;
         
-        // Add seed point locally
-        this.fractal.addSeedPoint(x, y, value);
+        this.placeSeed(x, y, value);
+    }
+    
+    // Place a seed point at terrain coordinates (0-1) and share it with the room
+    // height above 0.5 raises a mountain, below 0.5 carves a basin
+    placeSeed(x, y, height) {
+        const seedPoint = createSeedPoint(x, y, height, {
+            radius: this.controls.seedRadius,
+            falloff: this.controls.seedFalloff
+        });
+        
+        // Offline, the seed is only added locally
+        if (!this.serverConnection.connected) {
+            this.fractal.addSeedPoint({ ...seedPoint, id: this.nextLocalSeedId-- });
+            return;
+        }
         
-        // Send to server
-        console.log(`Sending new seed point to server: x=${x.toFixed(2)}, y=${y.toFixed(2)}, value=${value.toFixed(2)}`);
-        this.serverConnection.addSeed({ x, y, value });
+        // The server assigns an id and sends the seed back to everyone, including us
+        console.log(`Sending new seed point to server: x=${x.toFixed(2)}, y=${y.toFixed(2)}, ${seedPoint.mode} ${seedPoint.value.toFixed(2)}, radius=${seedPoint.radius}, ${seedPoint.falloff}`);
+        this.serverConnection.addSeed(seedPoint);
+    }
+    
+    // Remove the seed point under a screen position, returning true if there was one
+    removeSeedAt(clientX, clientY) {
+        const seed = this.fractal.findSeedAt(clientX, clientY);
+        if (!seed) return false;
+        
+        if (this.serverConnection.connected && seed.id > 0) {
+            this.serverConnection.removeSeed(seed.id);
+        } else {
+            this.fractal.removeSeedPoint(seed.id);
+        }
+        return true;
+    }
+    
+    // Undo the room's most recent seed change, returning false if there is nothing to undo
+    // (undefined if throttled)
+    undo() {
+        if (!this.serverConnection.connected || !this.history.canUndo) return false;
+        if (!this.takeThrottle('history')) return undefined;
+        
+        this.serverConnection.undo();
+        return true;
+    }
+    
+    // Redo the room's most recently undone seed change, returning false if there is nothing to redo
+    // (undefined if throttled)
+    redo() {
+        if (!this.serverConnection.connected || !this.history.canRedo) return false;
+        if (!this.takeThrottle('history')) return undefined;
+        
+        this.serverConnection.redo();
+        return true;
+    }
+    
+    // Names of the palettes that can be chosen - built in, then the room's custom palettes
+    getPaletteNames() {
+        return [...PALETTE_NAMES, ...this.customPalettes.map(palette => palette.name)];
+    }
+    
+    // Move to the next (1) or previous (-1) palette, returning its name
+    cyclePalette(direction = 1) {
+        const paletteNames = this.getPaletteNames();
+        const currentIndex = paletteNames.indexOf(this.controls.palette);
+        const nextIndex = (currentIndex + direction + paletteNames.length) % paletteNames.length;
+        this.updatePalette(paletteNames[nextIndex]);
+        return this.controls.palette;
+    }
+    
+    // Open or close the palette editor
+    togglePaletteEditor() {
+        this.paletteEditor.toggle();
     }
     
+    // Save a custom palette ({ name, colors }) for the room and switch to it
+    savePalette(palette) {
+        if (!this.takeThrottle('paletteEdit')) return;
+        
+        const customPalettes = this.customPalettes.filter(custom => custom.name !== palette.name);
+        customPalettes.push(palette);
+        this.setCustomPalettes(customPalettes, palette.name);
+        
+        // The server echoes the new list to everyone; offline it is kept locally
+        console.log(`Sending custom palette to server: ${JSON.stringify(palette)}`);
+        this.serverConnection.savePalette(palette);
+    }
+    
+    // Delete one of the room's custom palettes
+    deletePalette(name) {
+        if (!this.takeThrottle('paletteEdit')) return;
+        
+        // A deleted palette in use falls back to the first built-in one (the server does the same)
+        const palette = this.controls.palette === name ? PALETTE_NAMES[0] : this.controls.palette;
+        this.setCustomPalettes(this.customPalettes.filter(custom => custom.name !== name), palette);
+        
+        console.log(`Sending custom palette deletion to server: ${name}`);
+        this.serverConnection.deletePalette(name);
+    }
+    
+    // Replace the custom palettes and show the chosen palette locally
+    setCustomPalettes(customPalettes, palette) {
+        this.customPalettes = customPalettes;
+        this.fractal.updateOptions({ customPalettes, palette });
+        this.controls.palette = palette;
+        this.parameterDisplay.updateDisplay('palette', palette);
+    }
+    
+    // Move to the next (1) or previous (-1) way of coloring heights, returning its name
+    cycleColorMode(direction = 1) {
+        const currentIndex = COLOR_MODE_NAMES.indexOf(this.controls.colorMode);
+        const nextIndex = (currentIndex + direction + COLOR_MODE_NAMES.length) % COLOR_MODE_NAMES.length;
+        this.updateView({ colorMode: COLOR_MODE_NAMES[nextIndex] });
+        return this.controls.colorMode;
+    }
+    
+    // Move to the next (1) or previous (-1) colour-vision simulation, returning its name
+    cycleVisionSimulation(direction = 1) {
+        const currentIndex = VISION_MODE_NAMES.indexOf(this.controls.visionSimulation);
+        const nextIndex = (currentIndex + direction + VISION_MODE_NAMES.length) % VISION_MODE_NAMES.length;
+        this.updateView({ visionSimulation: VISION_MODE_NAMES[nextIndex] });
+        return this.controls.visionSimulation;
+    }
+    
+    // Move to the next (1) or previous (-1) terrain algorithm, returning its name
+    cycleAlgorithm(direction = 1) {
+        const currentIndex = TERRAIN_ALGORITHM_NAMES.indexOf(this.controls.algorithm);
+        const nextIndex = (currentIndex + direction + TERRAIN_ALGORITHM_NAMES.length) % TERRAIN_ALGORITHM_NAMES.length;
+        this.updateAlgorithm(TERRAIN_ALGORITHM_NAMES[nextIndex]);
+        return this.controls.algorithm;
+    }
+    
+    // Move to the next (1) or previous (-1) evolve mode, returning its name
+    cycleEvolveMode(direction = 1) {
+        const currentIndex = EVOLVE_MODE_NAMES.indexOf(this.controls.evolveMode);
+        const nextIndex = (currentIndex + direction + EVOLVE_MODE_NAMES.length) % EVOLVE_MODE_NAMES.length;
+        this.updateEvolveMode(EVOLVE_MODE_NAMES[nextIndex]);
+        return this.controls.evolveMode;
+    }
+    
+    // Move to the next (1) or previous (-1) lighting mode, returning its name
+    cycleLighting(direction = 1) {
+        const currentIndex = LIGHTING_MODE_NAMES.indexOf(this.controls.lighting);
+        const nextIndex = (currentIndex + direction + LIGHTING_MODE_NAMES.length) % LIGHTING_MODE_NAMES.length;
+        this.updateLighting({ lighting: LIGHTING_MODE_NAMES[nextIndex] });
+        return this.controls.lighting;
+    }
+    
+    // Turn the sun clockwise (1) or anticlockwise (-1) by one step, returning its azimuth
+    rotateSun(direction = 1) {
+        const sunAzimuth = (this.controls.sunAzimuth + direction * LIGHTING.azimuthStep + 360) % 360;
+        this.updateLighting({ sunAzimuth });
+        return this.controls.sunAzimuth;
+    }
+    
+    // Start or stop the day/night orbit of the sun, returning whether it now orbits
+    toggleSunOrbit() {
+        this.updateLighting({ sunOrbit: !this.controls.sunOrbit });
+        return this.controls.sunOrbit;
+    }
+    
+    // Move to the next (1) or previous (-1) view of the landscape, returning its name
+    cycleProjection(direction = 1) {
+        const currentIndex = PROJECTION_MODE_NAMES.indexOf(this.controls.projection);
+        const nextIndex = (currentIndex + direction + PROJECTION_MODE_NAMES.length) % PROJECTION_MODE_NAMES.length;
+        this.updateView({ projection: PROJECTION_MODE_NAMES[nextIndex] });
+        return this.controls.projection;
+    }
+    
+    // Turn the camera clockwise (1) or anticlockwise (-1), returning its yaw
+    // Isometric views turn a quarter at a time
+    rotateCamera(direction = 1) {
+        const step = this.controls.projection === 'isometric' ? 90 : PROJECTION.yawStep;
+        const cameraYaw = (Math.round(this.controls.cameraYaw / step) * step + direction * step + 360) % 360;
+        this.updateView({ cameraYaw });
+        return this.controls.cameraYaw;
+    }
+    
+    // Move to the next (1) or previous (-1) contour line mode, returning its name
+    cycleContours(direction = 1) {
+        const currentIndex = CONTOUR_MODE_NAMES.indexOf(this.controls.contours);
+        const nextIndex = (currentIndex + direction + CONTOUR_MODE_NAMES.length) % CONTOUR_MODE_NAMES.length;
+        this.updateView({ contours: CONTOUR_MODE_NAMES[nextIndex] });
+        return this.controls.contours;
+    }
+    
+    // Space the contours further apart (1) or closer together (-1), returning the interval
+    stepContourInterval(direction = 1) {
+        const { intervals } = CONTOURS;
+        const currentIndex = intervals.indexOf(this.controls.contourInterval);
+        const nextIndex = clamp(currentIndex + direction, 0, intervals.length - 1);
+        this.updateView({ contourInterval: intervals[nextIndex] });
+        return this.controls.contourInterval;
+    }
+    
+    // Show or hide the elevation labels on the contours, returning whether they are shown
+    toggleContourLabels() {
+        this.updateView({ contourLabels: !this.controls.contourLabels });
+        return this.controls.contourLabels;
+    }
+    
+    // Move to the next (1) or previous (-1) grid resolution, returning it
+    cycleResolution(direction = 1) {
+        const { resolutions } = TERRAIN;
+        const currentIndex = resolutions.indexOf(this.controls.resolution);
+        const nextIndex = clamp(currentIndex + direction, 0, resolutions.length - 1);
+        this.updateResolution(resolutions[nextIndex]);
+        return this.controls.resolution;
+    }
+    
+    // Step a numeric parameter up (1) or down (-1) within its range, returning the new value
+    stepParameter(param, direction) {
+        const range = PARAMETER_RANGES[param];
+        if (!range) return undefined;
+        
+        // Snap to the step grid to avoid floating point drift
+        const stepped = Math.round((this.controls[param] + direction * range.step) / range.step) * range.step;
+        const value = parseFloat(clamp(stepped, range.min, range.max).toFixed(2));
+        
+        switch (param) {
+            case 'roughness':
+                this.updateRoughness(value);
+                break;
+            case 'evolveSpeed':
+                this.updateEvolveSpeed(value);
+                break;
+            case 'seedIntensity':
+                this.updateSeedIntensity(value);
+                break;
+            case 'seedRadius':
+                this.updateSeedShape({ seedRadius: value });
+                break;
+            case 'cameraPitch':
+            case 'heightScale':
+                this.updateView({ [param]: value });
+                break;
+        }
+        
+        return this.controls[param];
+    }
+    
+    // Move to the next (1) or previous (-1) seed falloff curve, returning its name
+    cycleSeedFalloff(direction = 1) {
+        const currentIndex = SEED.falloffs.indexOf(this.controls.seedFalloff);
+        const nextIndex = (currentIndex + direction + SEED.falloffs.length) % SEED.falloffs.length;
+        this.updateSeedShape({ seedFalloff: SEED.falloffs[nextIndex] });
+        return this.controls.seedFalloff;
+    }
+    
+    // Move to the next (1) or previous (-1) heightmap export format, returning its name
+    cycleHeightmapFormat(direction = 1) {
+        const { formats } = HEIGHTMAP;
+        const currentIndex = formats.indexOf(this.controls.heightmapFormat);
+        this.controls.heightmapFormat = formats[(currentIndex + direction + formats.length) % formats.length];
+        this.parameterDisplay.updateDisplay('heightmapFormat', this.controls.heightmapFormat);
+        return this.controls.heightmapFormat;
+    }
+    
+    // Download the terrain in the selected format, returning the file name (undefined if throttled)
+    exportHeightmap() {
+        if (!this.takeThrottle('heightmap')) return undefined;
+        return this.heightmapTransfer.exportHeightmap(this.controls.heightmapFormat);
+    }
+    
+    // Pick a heightmap file to use as the room's terrain
+    importHeightmap() {
+        this.heightmapTransfer.openFilePicker();
+    }
     
     // Update palette
     updatePalette(paletteName) {
-        const now = Date.now();
-        if (now - this.controls.lastUpdate.palette < this.controls.throttleTime) return;
-        this.controls.lastUpdate.palette = now;
+        if (!this.takeThrottle('palette')) return;
         
         // Update locally
         this.fractal.updateOptions({ palette: paletteName });
@@ -82,15 +424,155 @@ class UIManager {
         this.serverConnection.updateOption({ palette: paletteName });
     }
     
+    // Update the terrain algorithm (regenerates the terrain)
+    updateAlgorithm(algorithm) {
+        if (!this.takeThrottle('algorithm')) return;
+        
+        // Update locally
+        this.fractal.updateOptions({ algorithm });
+        this.controls.algorithm = algorithm;
+        
+        // Update parameter display
+        this.parameterDisplay.updateDisplay('algorithm', algorithm);
+        
+        // Send to server
+        console.log(`Sending terrain algorithm update to server: ${algorithm}`);
+        this.serverConnection.updateOption({ algorithm });
+    }
+    
+    // Update the grid resolution of this device (local only - the terrain is resampled)
+    updateResolution(resolution) {
+        if (resolution === this.controls.resolution || !this.takeThrottle('resolution')) return;
+        
+        this.fractal.updateOptions({ resolution });
+        this.controls.resolution = resolution;
+        this.parameterDisplay.updateDisplay('resolution', resolution);
+    }
+    
+    // Update how this device views the landscape (local only - each user has their own camera)
+    updateView(view) {
+        for (const [param, value] of Object.entries(view)) {
+            if (value === this.controls[param] || !this.takeThrottle(param)) continue;
+            
+            this.fractal.updateOptions({ [param]: value });
+            this.controls[param] = value;
+            this.parameterDisplay.updateDisplay(param, value);
+        }
+    }
+    
+    // Update terrain roughness (regenerates the terrain)
+    updateRoughness(roughness) {
+        if (roughness === this.controls.roughness || !this.takeThrottle('roughness')) return;
+        
+        // Update locally
+        this.fractal.updateOptions({ roughness });
+        this.controls.roughness = roughness;
+        
+        // Update parameter display
+        this.parameterDisplay.updateDisplay('roughness', roughness);
+        
+        // Send to server
+        console.log(`Sending roughness update to server: ${roughness}`);
+        this.serverConnection.updateOption({ roughness });
+    }
+    
+    // Update evolution speed - the server owns the evolve timer and echoes the new speed
+    updateEvolveSpeed(evolveSpeed) {
+        if (evolveSpeed === this.controls.evolveSpeed || !this.takeThrottle('evolveSpeed')) return;
+        
+        this.controls.evolveSpeed = evolveSpeed;
+        this.fractal.updateOptions({ evolveSpeed });
+        
+        // Update parameter display
+        this.parameterDisplay.updateDisplay('evolveSpeed', evolveSpeed);
+        
+        // Send to server
+        console.log(`Sending evolve speed update to server: ${evolveSpeed}`);
+        this.serverConnection.setEvolveSpeed(evolveSpeed);
+    }
+    
+    // Update how the terrain evolves on each tick (shared with the room)
+    updateEvolveMode(evolveMode) {
+        if (!this.takeThrottle('evolveMode')) return;
+        
+        // Update locally
+        this.fractal.updateOptions({ evolveMode });
+        this.controls.evolveMode = evolveMode;
+        
+        // Update parameter display
+        this.parameterDisplay.updateDisplay('evolveMode', evolveMode);
+        
+        // Send to server
+        console.log(`Sending evolve mode update to server: ${evolveMode}`);
+        this.serverConnection.updateOption({ evolveMode });
+    }
+    
+    // Update the lighting mode, sun direction or day/night orbit (shared with the room)
+    updateLighting(lighting) {
+        if (!this.takeThrottle('lighting')) return;
+        
+        // Update locally
+        this.fractal.updateOptions(lighting);
+        for (const [param, value] of Object.entries(lighting)) {
+            this.controls[param] = value;
+            this.parameterDisplay.updateDisplay(param, value);
+        }
+        
+        // Send to server
+        console.log(`Sending lighting update to server: ${JSON.stringify(lighting)}`);
+        this.serverConnection.updateOption(lighting);
+    }
+    
+    // Update the height range of seeds this user places (local only)
+    updateSeedIntensity(seedIntensity) {
+        if (!this.takeThrottle('seedIntensity')) return;
+        
+        this.controls.seedIntensity = seedIntensity;
+        this.parameterDisplay.updateDisplay('seedIntensity', seedIntensity);
+    }
+    
+    // Update the radius or falloff of seeds this user places (local only)
+    updateSeedShape(shape) {
+        for (const [param, value] of Object.entries(shape)) {
+            if (!this.takeThrottle(param)) continue;
+            this.controls[param] = value;
+            this.parameterDisplay.updateDisplay(param, value);
+        }
+    }
+    
     // Update UI controls with server state
     updateFromServerState(state) {
         // Extract and default missing values for backward compatibility
         const options = {
-            palette: state.palette || this.controls.palette
+            palette: state.palette || this.controls.palette,
+            algorithm: state.algorithm || this.controls.algorithm,
+            roughness: state.roughness !== undefined ? state.roughness : this.controls.roughness,
+            evolveSpeed: state.evolveSpeed !== undefined ? state.evolveSpeed : this.controls.evolveSpeed,
+            evolveMode: state.evolveMode || this.controls.evolveMode,
+            lighting: state.lighting || this.controls.lighting,
+            sunAzimuth: state.sunAzimuth !== undefined ? state.sunAzimuth : this.controls.sunAzimuth,
+            sunOrbit: state.sunOrbit !== undefined ? state.sunOrbit : this.controls.sunOrbit
         };
         
+        // Custom palettes arrive with the state
+        if (Array.isArray(state.customPalettes)) {
+            this.customPalettes = state.customPalettes;
+        }
+        
+        // Undo/redo availability arrives with the state and after every seed change
+        if (state.canUndo !== undefined) {
+            this.history = { canUndo: state.canUndo, canRedo: state.canRedo };
+        }
+        
         // Update local control state
         this.controls.palette = options.palette;
+        this.controls.algorithm = options.algorithm;
+        this.controls.roughness = options.roughness;
+        this.controls.evolveSpeed = options.evolveSpeed;
+        this.controls.evolveMode = options.evolveMode;
+        this.controls.lighting = options.lighting;
+        this.controls.sunAzimuth = options.sunAzimuth;
+        this.controls.sunOrbit = options.sunOrbit;
         
         // Update parameter display
         this.parameterDisplay.updateAllDisplays(this.controls);
@@ -1,5 +1,6 @@
 // Import FractalLandscape class from the module
 import { FractalLandscape } from './components/FractalLandscape.js';
+import { createSeedPoint } from './utils/SeedUtils.js';
 
 document.addEventListener('DOMContentLoaded', () => {
     // Canvas setup
@@ -70,7 +71,7 @@ document.addEventListener('DOMContentLoaded', () => {
             const value = 0.4 + Math.random() * 0.6;
             
             // Add seed point locally
-            fractal.addSeedPoint(x, y, value);
+            fractal.addSeedPoint(createSeedPoint(x, y, value));
             fractal.render();
             
             // Reset cursor
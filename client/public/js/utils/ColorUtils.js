@@ -1,12 +1,12 @@
 // Color utilities
 
 /**
- * Parses a hex color string into RGB components (private function)
+ * Parses a hex color string into RGB components
  * with enhanced error handling and validation
  * @param {string} hexColor - The hex color string (e.g. '#FF00CC')
  * @returns {Object} Object with r, g, b properties
  */
-const parseHexColor = (hexColor) => {
+export const parseHexColor = (hexColor) => {
     // Default to black for various invalid conditions
     if (typeof hexColor !== 'string') {
         console.warn('ColorUtils: Non-string color value received:', hexColor);
@@ -54,13 +54,13 @@ const parseHexColor = (hexColor) => {
 };
 
 /**
- * Converts RGB values to a hex color string (private function)
+ * Converts RGB values to a hex color string
  * @param {number} r - Red component (0-255)
  * @param {number} g - Green component (0-255)
  * @param {number} b - Blue component (0-255)
  * @returns {string} Hex color string
  */
-const rgbToHex = (r, g, b) => {
+export const rgbToHex = (r, g, b) => {
     // Clamp and round values
     r = Math.min(255, Math.max(0, Math.round(r)));
     g = Math.min(255, Math.max(0, Math.round(g)));
@@ -90,4 +90,175 @@ export const averageColors = (...colors) => {
         console.warn('Error averaging colors:', error);
         return '#000000';
     }
+};
+
+/**
+ * Scales the brightness of a color (used for terrain lighting)
+ * @param {string} hexColor - Hex color string
+ * @param {number} factor - Brightness multiplier (1 leaves the color unchanged)
+ * @returns {string} The lit color as a hex string
+ */
+export const shadeColor = (hexColor, factor) => {
+    const { r, g, b } = parseHexColor(hexColor);
+    return rgbToHex(r * factor, g * factor, b * factor);
+};
+/**
+ * Converts an sRGB channel to linear light (private function)
+ * @param {number} channel - sRGB channel (0-255)
+ * @returns {number} Linear channel (0-1)
+ */
+const srgbToLinear = (channel) => {
+    const c = channel / 255;
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+};
+
+/**
+ * Converts a linear light channel back to sRGB (private function)
+ * @param {number} channel - Linear channel (0-1)
+ * @returns {number} sRGB channel (0-255)
+ */
+const linearToSrgb = (channel) => {
+    const c = Math.min(1, Math.max(0, channel));
+    return 255 * (c <= 0.0031308 ? 12.92 * c : 1.055 * Math.pow(c, 1 / 2.4) - 0.055);
+};
+
+/**
+ * Converts linear RGB to OKLab, a space where equal steps look equally different (private function)
+ * @param {Object} rgb - Linear r, g, b (0-1)
+ * @returns {Object} Object with L, a, b properties
+ */
+const linearToOklab = ({ r, g, b }) => {
+    const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+    const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+    const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+    return {
+        L: 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+        a: 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+        b: 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+    };
+};
+
+/**
+ * Converts OKLab back to linear RGB (private function)
+ * @param {Object} lab - Object with L, a, b properties
+ * @returns {Object} Linear r, g, b (0-1, may fall slightly outside)
+ */
+const oklabToLinear = ({ L, a, b }) => {
+    const l = Math.pow(L + 0.3963377774 * a + 0.2158037573 * b, 3);
+    const m = Math.pow(L - 0.1055613458 * a - 0.0638541728 * b, 3);
+    const s = Math.pow(L - 0.0894841775 * a - 1.2914855480 * b, 3);
+    return {
+        r: 4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+        g: -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+        b: -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s
+    };
+};
+
+/**
+ * Blends two colors, in OKLab for perceptually even steps or in linear RGB for physically mixed light
+ * ('srgb' mixes the stored values directly, as CSS gradients do)
+ * @param {string} colorA - Hex color string at amount 0
+ * @param {string} colorB - Hex color string at amount 1
+ * @param {number} amount - How far to move from colorA towards colorB (0-1)
+ * @param {string} [space='oklab'] - 'oklab', 'linear' or 'srgb'
+ * @returns {string} The blended color as a hex string
+ */
+export const mixColors = (colorA, colorB, amount, space = 'oklab') => {
+    const a = parseHexColor(colorA);
+    const b = parseHexColor(colorB);
+    const mix = (from, to) => from + (to - from) * amount;
+    if (space === 'srgb') {
+        return rgbToHex(mix(a.r, b.r), mix(a.g, b.g), mix(a.b, b.b));
+    }
+    
+    const linearA = { r: srgbToLinear(a.r), g: srgbToLinear(a.g), b: srgbToLinear(a.b) };
+    const linearB = { r: srgbToLinear(b.r), g: srgbToLinear(b.g), b: srgbToLinear(b.b) };
+    
+    let linear;
+    if (space === 'linear') {
+        linear = { r: mix(linearA.r, linearB.r), g: mix(linearA.g, linearB.g), b: mix(linearA.b, linearB.b) };
+    } else {
+        const labA = linearToOklab(linearA);
+        const labB = linearToOklab(linearB);
+        linear = oklabToLinear({ L: mix(labA.L, labB.L), a: mix(labA.a, labB.a), b: mix(labA.b, labB.b) });
+    }
+    
+    return rgbToHex(linearToSrgb(linear.r), linearToSrgb(linear.g), linearToSrgb(linear.b));
+};
+
+// Colour-vision deficiency simulation in linear RGB (Machado, Oliveira & Fernandes 2009, full severity)
+const CVD_MATRICES = {
+    protanopia: [
+        [0.152286, 1.052583, -0.204868],
+        [0.114503, 0.786281, 0.099216],
+        [-0.003882, -0.048116, 1.051998]
+    ],
+    deuteranopia: [
+        [0.367322, 0.860646, -0.227968],
+        [0.280085, 0.672501, 0.047413],
+        [-0.011820, 0.042940, 0.968881]
+    ],
+    tritanopia: [
+        [1.255528, -0.076749, -0.178779],
+        [-0.078411, 0.930809, 0.147602],
+        [0.004733, 0.691367, 0.303900]
+    ]
+};
+
+/**
+ * Shows a color as a viewer with a colour-vision deficiency sees it
+ * @param {string} hexColor - Hex color string
+ * @param {string} type - 'protanopia', 'deuteranopia' or 'tritanopia' (anything else leaves the color unchanged)
+ * @returns {string} The simulated color as a hex string
+ */
+export const simulateColorVision = (hexColor, type) => {
+    const matrix = CVD_MATRICES[type];
+    if (!matrix) return hexColor;
+    
+    const { r, g, b } = parseHexColor(hexColor);
+    const linear = [srgbToLinear(r), srgbToLinear(g), srgbToLinear(b)];
+    const [sr, sg, sb] = matrix.map(row => row[0] * linear[0] + row[1] * linear[1] + row[2] * linear[2]);
+    return rgbToHex(linearToSrgb(sr), linearToSrgb(sg), linearToSrgb(sb));
+};
+
+/**
+ * Measures how different two colors look - the distance between them in OKLab
+ * (about 0.02 is just noticeable; black to white is 1)
+ * @param {string} colorA - Hex color string
+ * @param {string} colorB - Hex color string
+ * @returns {number} Perceptual difference
+ */
+export const colorDifference = (colorA, colorB) => {
+    const toOklab = (hexColor) => {
+        const { r, g, b } = parseHexColor(hexColor);
+        return linearToOklab({ r: srgbToLinear(r), g: srgbToLinear(g), b: srgbToLinear(b) });
+    };
+    const a = toOklab(colorA);
+    const b = toOklab(colorB);
+    return Math.hypot(a.L - b.L, a.a - b.a, a.b - b.b);
+};
+
+/**
+ * Finds palette stops that can be told apart with normal vision but not with a colour-vision
+ * deficiency, so heights they mark would be confused
+ * @param {Array} colors - Palette stops as hex color strings
+ * @param {number} minDifference - Smallest colorDifference that still reads as different
+ * @returns {Array} { type, first, second, difference } for each confused pair of stop indexes
+ */
+export const findConfusedStops = (colors, minDifference) => {
+    const confused = [];
+    for (const type of Object.keys(CVD_MATRICES)) {
+        const simulated = colors.map(color => simulateColorVision(color, type));
+        for (let first = 0; first < colors.length; first++) {
+            for (let second = first + 1; second < colors.length; second++) {
+                if (colorDifference(colors[first], colors[second]) < minDifference) continue;
+                
+                const difference = colorDifference(simulated[first], simulated[second]);
+                if (difference < minDifference) {
+                    confused.push({ type, first, second, difference });
+                }
+            }
+        }
+    }
+    return confused;
 };
\ No newline at end of file
@@ -0,0 +1,424 @@
+// Heightmap file formats - encoders and decoders for PGM, 16-bit RAW and grayscale PNG
+// Heights are plain arrays of 0-1 values, row by row; files store them as 16-bit integers
+
+const MAX_16BIT = 65535;
+
+// PNG files start with this signature
+const PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+
+// Most points an imported image may have - it is held in full while decoding, before being
+// shrunk to HEIGHTMAP.maxSize, so the header is checked before anything is allocated
+const MAX_DECODE_POINTS = 4096 * 4096;
+
+// Largest block a stored (uncompressed) deflate block can hold
+const MAX_STORED_BLOCK = 65535;
+
+// CRC-32 lookup table for PNG chunks
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+const crc32 = (bytes) => {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+};
+
+// Adler-32 checksum that ends a zlib stream
+const adler32 = (bytes) => {
+    let a = 1;
+    let b = 0;
+    for (let i = 0; i < bytes.length; i++) {
+        a = (a + bytes[i]) % 65521;
+        b = (b + a) % 65521;
+    }
+    return ((b << 16) | a) >>> 0;
+};
+
+/**
+ * Converts 0-1 heights to 16-bit integers
+ * @param {ArrayLike<number>} heights - Heights between 0 and 1
+ * @returns {Uint16Array} Quantized heights
+ */
+export const quantizeHeights = (heights) => {
+    const values = new Uint16Array(heights.length);
+    for (let i = 0; i < heights.length; i++) {
+        const height = Math.min(1, Math.max(0, heights[i] || 0));
+        values[i] = Math.round(height * MAX_16BIT);
+    }
+    return values;
+};
+
+/**
+ * Converts 16-bit integers back to 0-1 heights
+ * @param {ArrayLike<number>} values - 16-bit heights
+ * @returns {Float64Array} Heights between 0 and 1
+ */
+export const dequantizeHeights = (values) => Float64Array.from(values, value => value / MAX_16BIT);
+
+/**
+ * Packs heights as 16-bit little-endian integers
+ * @param {ArrayLike<number>} heights - Heights between 0 and 1
+ * @returns {Uint8Array} Raw bytes, two per height
+ */
+export const encodeRaw16 = (heights) => {
+    const values = quantizeHeights(heights);
+    const bytes = new Uint8Array(values.length * 2);
+    const view = new DataView(bytes.buffer);
+    values.forEach((value, i) => view.setUint16(i * 2, value, true));
+    return bytes;
+};
+
+/**
+ * Unpacks 16-bit little-endian integers
+ * @param {ArrayBuffer|Uint8Array} buffer - Raw bytes, two per value
+ * @returns {Uint16Array} Values
+ */
+export const unpackUint16 = (buffer) => {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const values = new Uint16Array(Math.floor(bytes.byteLength / 2));
+    for (let i = 0; i < values.length; i++) {
+        values[i] = view.getUint16(i * 2, true);
+    }
+    return values;
+};
+
+/**
+ * Unpacks 16-bit little-endian integers into heights
+ * @param {ArrayBuffer|Uint8Array} buffer - Raw bytes, two per height
+ * @returns {Float64Array} Heights between 0 and 1
+ */
+export const decodeRaw16 = (buffer) => dequantizeHeights(unpackUint16(buffer));
+
+/**
+ * Encodes heights as a 16-bit binary PGM (P5) image
+ * @param {ArrayLike<number>} heights - Heights between 0 and 1
+ * @param {number} width - Points per row
+ * @param {number} height - Number of rows
+ * @returns {Uint8Array} File contents
+ */
+export const encodePGM = (heights, width, height) => {
+    const header = new TextEncoder().encode(`P5\n${width} ${height}\n${MAX_16BIT}\n`);
+    const values = quantizeHeights(heights);
+    const bytes = new Uint8Array(header.length + values.length * 2);
+    bytes.set(header);
+    
+    // PGM stores 16-bit samples most significant byte first
+    const view = new DataView(bytes.buffer, header.length);
+    values.forEach((value, i) => view.setUint16(i * 2, value, false));
+    return bytes;
+};
+
+/**
+ * Decodes a binary (P5) or ASCII (P2) PGM image
+ * @param {Uint8Array} bytes - File contents
+ * @returns {Object} { width, height, data } with data as 0-1 heights
+ */
+export const decodePGM = (bytes) => {
+    // Header fields are separated by whitespace; '#' starts a comment
+    let offset = 0;
+    const readToken = () => {
+        while (offset < bytes.length) {
+            const char = bytes[offset];
+            if (char === 35) { // '#'
+                while (offset < bytes.length && bytes[offset] !== 10) offset++;
+            } else if (char <= 32) {
+                offset++;
+            } else {
+                break;
+            }
+        }
+        
+        const start = offset;
+        while (offset < bytes.length && bytes[offset] > 32) offset++;
+        return new TextDecoder().decode(bytes.subarray(start, offset));
+    };
+    
+    const magic = readToken();
+    if (magic !== 'P5' && magic !== 'P2') {
+        throw new Error('Not a grayscale PGM image');
+    }
+    
+    const width = parseInt(readToken(), 10);
+    const height = parseInt(readToken(), 10);
+    const maxValue = parseInt(readToken(), 10);
+    if (!(width > 0) || !(height > 0) || !(maxValue > 0) || maxValue > MAX_16BIT) {
+        throw new Error('Invalid PGM header');
+    }
+    if (width * height > MAX_DECODE_POINTS) {
+        throw new Error(`PGM image is too large - at most ${MAX_DECODE_POINTS} points`);
+    }
+    
+    // The samples must fit in what is left: a separator byte then one or two bytes each (P5),
+    // or at least a digit each with separators between them (P2)
+    const bytesPerSample = maxValue > 255 ? 2 : 1;
+    const minimumLength = magic === 'P5' ? 1 + width * height * bytesPerSample : width * height * 2 - 1;
+    if (bytes.length - offset < minimumLength) {
+        throw new Error('PGM image is truncated');
+    }
+    
+    const data = new Float64Array(width * height);
+    
+    if (magic === 'P2') {
+        for (let i = 0; i < data.length; i++) {
+            const value = parseInt(readToken(), 10);
+            if (Number.isNaN(value)) throw new Error('PGM image is truncated');
+            data[i] = value / maxValue;
+        }
+        return { width, height, data };
+    }
+    
+    // A single whitespace byte separates the header from the samples
+    offset++;
+    
+    for (let i = 0; i < data.length; i++) {
+        const value = bytesPerSample === 2
+            ? (bytes[offset + i * 2] << 8) | bytes[offset + i * 2 + 1]
+            : bytes[offset + i];
+        data[i] = value / maxValue;
+    }
+    
+    return { width, height, data };
+};
+
+// Wrap data in a zlib stream of stored deflate blocks - no compression, but no dependencies
+const zlibStore = (bytes) => {
+    const blockCount = Math.max(1, Math.ceil(bytes.length / MAX_STORED_BLOCK));
+    const output = new Uint8Array(2 + bytes.length + blockCount * 5 + 4);
+    const view = new DataView(output.buffer);
+    
+    // zlib header: deflate with a 32K window, no preset dictionary
+    output[0] = 0x78;
+    output[1] = 0x01;
+    let offset = 2;
+    
+    for (let block = 0; block < blockCount; block++) {
+        const start = block * MAX_STORED_BLOCK;
+        const length = Math.min(MAX_STORED_BLOCK, bytes.length - start);
+        output[offset] = block === blockCount - 1 ? 1 : 0;
+        view.setUint16(offset + 1, length, true);
+        view.setUint16(offset + 3, ~length & 0xffff, true);
+        output.set(bytes.subarray(start, start + length), offset + 5);
+        offset += 5 + length;
+    }
+    
+    view.setUint32(offset, adler32(bytes));
+    return output;
+};
+
+// Build a PNG chunk: length, type, data and CRC
+const pngChunk = (type, data) => {
+    const chunk = new Uint8Array(12 + data.length);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    for (let i = 0; i < 4; i++) {
+        chunk[4 + i] = type.charCodeAt(i);
+    }
+    chunk.set(data, 8);
+    view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+    return chunk;
+};
+
+/**
+ * Encodes heights as a 16-bit grayscale PNG image
+ * @param {ArrayLike<number>} heights - Heights between 0 and 1
+ * @param {number} width - Points per row
+ * @param {number} height - Number of rows
+ * @returns {Uint8Array} File contents
+ */
+export const encodePNG = (heights, width, height) => {
+    const header = new Uint8Array(13);
+    const headerView = new DataView(header.buffer);
+    headerView.setUint32(0, width);
+    headerView.setUint32(4, height);
+    header[8] = 16; // Bit depth
+    header[9] = 0;  // Grayscale
+    
+    // Each row starts with its filter type (0 - none); samples are big-endian
+    const values = quantizeHeights(heights);
+    const rowLength = 1 + width * 2;
+    const pixels = new Uint8Array(rowLength * height);
+    const pixelView = new DataView(pixels.buffer);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            pixelView.setUint16(y * rowLength + 1 + x * 2, values[y * width + x]);
+        }
+    }
+    
+    const chunks = [
+        Uint8Array.from(PNG_SIGNATURE),
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', zlibStore(pixels)),
+        pngChunk('IEND', new Uint8Array(0))
+    ];
+    
+    const file = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+    let offset = 0;
+    for (const chunk of chunks) {
+        file.set(chunk, offset);
+        offset += chunk.length;
+    }
+    return file;
+};
+
+/**
+ * Inflates a zlib stream with the browser's built-in decompressor
+ * @param {Uint8Array} bytes - zlib stream (PNG image data, or terrain from the server)
+ * @returns {Promise<Uint8Array>} Decompressed bytes
+ */
+export const inflate = async (bytes) => {
+    if (typeof DecompressionStream === 'undefined') {
+        throw new Error('This browser cannot decompress zlib data');
+    }
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+// Paeth predictor used by PNG filter type 4
+const paeth = (a, b, c) => {
+    const p = a + b - c;
+    const pa = Math.abs(p - a);
+    const pb = Math.abs(p - b);
+    const pc = Math.abs(p - c);
+    if (pa <= pb && pa <= pc) return a;
+    return pb <= pc ? b : c;
+};
+
+// Channels per pixel for the PNG colour types we read (palette images are not supported)
+const PNG_CHANNELS = { 0: 1, 2: 3, 4: 2, 6: 4 };
+
+/**
+ * Decodes a PNG image into heights - grayscale, or the luminance of colour images
+ * Supports 8 and 16-bit, non-interlaced images
+ * @param {Uint8Array} bytes - File contents
+ * @returns {Promise<Object>} { width, height, data } with data as 0-1 heights
+ */
+export const decodePNG = async (bytes) => {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let width = 0;
+    let height = 0;
+    let bitDepth = 0;
+    let colorType = 0;
+    let interlace = 0;
+    const compressed = [];
+    
+    for (let offset = PNG_SIGNATURE.length; offset + 8 <= bytes.length;) {
+        const length = view.getUint32(offset);
+        const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+        const data = bytes.subarray(offset + 8, offset + 8 + length);
+        
+        if (type === 'IHDR') {
+            width = view.getUint32(offset + 8);
+            height = view.getUint32(offset + 12);
+            bitDepth = data[8];
+            colorType = data[9];
+            interlace = data[12];
+        } else if (type === 'IDAT') {
+            compressed.push(data);
+        } else if (type === 'IEND') {
+            break;
+        }
+        offset += 12 + length;
+    }
+    
+    const channels = PNG_CHANNELS[colorType];
+    if (!width || !height || !channels || (bitDepth !== 8 && bitDepth !== 16) || interlace !== 0) {
+        throw new Error('Unsupported PNG - use an 8 or 16-bit, non-interlaced grayscale or RGB image');
+    }
+    if (width * height > MAX_DECODE_POINTS) {
+        throw new Error(`PNG image is too large - at most ${MAX_DECODE_POINTS} points`);
+    }
+    
+    const joined = new Uint8Array(compressed.reduce((total, chunk) => total + chunk.length, 0));
+    let position = 0;
+    for (const chunk of compressed) {
+        joined.set(chunk, position);
+        position += chunk.length;
+    }
+    const raw = await inflate(joined);
+    
+    // Undo the per-row filters
+    const bytesPerPixel = channels * bitDepth / 8;
+    const rowLength = width * bytesPerPixel;
+    if (raw.length < (rowLength + 1) * height) {
+        throw new Error('PNG image is truncated');
+    }
+    
+    const pixels = new Uint8Array(rowLength * height);
+    for (let y = 0; y < height; y++) {
+        const filter = raw[y * (rowLength + 1)];
+        const source = y * (rowLength + 1) + 1;
+        const row = y * rowLength;
+        
+        for (let i = 0; i < rowLength; i++) {
+            const left = i >= bytesPerPixel ? pixels[row + i - bytesPerPixel] : 0;
+            const up = y > 0 ? pixels[row - rowLength + i] : 0;
+            const upLeft = y > 0 && i >= bytesPerPixel ? pixels[row - rowLength + i - bytesPerPixel] : 0;
+            let predictor = 0;
+            
+            switch (filter) {
+                case 1: predictor = left; break;
+                case 2: predictor = up; break;
+                case 3: predictor = (left + up) >> 1; break;
+                case 4: predictor = paeth(left, up, upLeft); break;
+            }
+            pixels[row + i] = (raw[source + i] + predictor) & 0xff;
+        }
+    }
+    
+    // Read the first three channels (or the single gray one) as heights
+    const maxValue = bitDepth === 16 ? MAX_16BIT : 255;
+    const sample = (index) => (bitDepth === 16
+        ? (pixels[index * 2] << 8) | pixels[index * 2 + 1]
+        : pixels[index]) / maxValue;
+    
+    const data = new Float64Array(width * height);
+    for (let i = 0; i < data.length; i++) {
+        const base = i * channels;
+        data[i] = channels >= 3
+            ? 0.2126 * sample(base) + 0.7152 * sample(base + 1) + 0.0722 * sample(base + 2)
+            : sample(base);
+    }
+    
+    return { width, height, data };
+};
+
+/**
+ * Decodes a heightmap file, picking the format from its contents
+ * RAW files have no header, so their size comes from a "WIDTHxHEIGHT" in the file name
+ * or is taken to be square
+ * @param {ArrayBuffer} buffer - File contents
+ * @param {string} [fileName=''] - Original file name
+ * @returns {Promise<Object>} { width, height, data } with data as 0-1 heights
+ */
+export const decodeHeightmap = async (buffer, fileName = '') => {
+    const bytes = new Uint8Array(buffer);
+    
+    if (PNG_SIGNATURE.every((value, i) => bytes[i] === value)) {
+        return decodePNG(bytes);
+    }
+    if (bytes[0] === 80 && (bytes[1] === 53 || bytes[1] === 50)) { // 'P5' or 'P2'
+        return decodePGM(bytes);
+    }
+    
+    const count = Math.floor(bytes.length / 2);
+    const size = fileName.match(/(\d+)x(\d+)/);
+    const width = size ? parseInt(size[1], 10) : Math.round(Math.sqrt(count));
+    const height = size ? parseInt(size[2], 10) : width;
+    if (width * height !== count || width < 2 || height < 2) {
+        throw new Error('Unknown heightmap format - use PNG, PGM or 16-bit RAW');
+    }
+    
+    return { width, height, data: decodeRaw16(bytes) };
+};
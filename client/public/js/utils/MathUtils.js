@@ -21,13 +21,45 @@ export const safeValue = (value, defaultValue) => {
     return isNaN(value) || !isFinite(value) ? defaultValue : value;
 };
 
+/**
+ * Mixes any number of integers into a single unsigned 32-bit seed
+ * @param {...number} values - Values to mix (e.g. base seed and a counter)
+ * @returns {number} The combined seed
+ */
+export const hashSeed = (...values) => {
+    let hash = 0x811c9dc5;
+    for (const value of values) {
+        hash = Math.imul(hash ^ (Math.floor(safeValue(value, 0)) >>> 0), 0x01000193);
+        hash ^= hash >>> 15;
+    }
+    return hash >>> 0;
+};
+
+/**
+ * Creates a seedable pseudo-random number generator (mulberry32)
+ * so every client produces the same sequence for the same seed
+ * @param {number} seed - Integer seed
+ * @returns {Function} Function returning values in the range [0, 1)
+ */
+export const createSeededRandom = (seed) => {
+    let state = hashSeed(seed);
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
 /**
  * Adds a random displacement to a value within a range with safety checks
  * @param {number} value - The base value
  * @param {number} roughness - The roughness factor
+ * @param {Function} [random=Math.random] - Random source returning values in [0, 1)
  * @returns {number} The value with added displacement
  */
-export const randomShift = (value, roughness) => {
+export const randomShift = (value, roughness, random = Math.random) => {
     // Validate inputs
     if (isNaN(value) || !isFinite(value)) {
         console.warn('MathUtils.randomShift: Invalid base value:', value);
@@ -43,21 +75,21 @@ export const randomShift = (value, roughness) => {
     const safeRoughness = Math.min(Math.abs(roughness), 1.0);
     
     // Generate random value with safety check
-    let random;
+    let sample;
     try {
-        random = Math.random();
+        sample = random();
         // Ensure the random value is valid
-        if (isNaN(random) || !isFinite(random)) {
-            console.warn('MathUtils.randomShift: Invalid Math.random() result');
-            random = 0.5; // Use safe default
+        if (isNaN(sample) || !isFinite(sample)) {
+            console.warn('MathUtils.randomShift: Invalid random() result');
+            sample = 0.5; // Use safe default
         }
     } catch (err) {
         console.error('MathUtils.randomShift: Error generating random value:', err);
-        random = 0.5; // Use safe default
+        sample = 0.5; // Use safe default
     }
     
     // Calculate displacement with bounds checking
-    const displacement = (random * 2 - 1) * safeRoughness;
+    const displacement = (sample * 2 - 1) * safeRoughness;
     
     // Return value with displacement, ensuring result is finite
     const result = value + displacement;
@@ -99,4 +131,50 @@ export const weightedAverage = (currentValue, targetValue, weight) => {
  */
 export const exponentialMovingAverage = (currentValue, previousAverage, smoothingFactor) => {
     return (smoothingFactor * currentValue) + ((1 - smoothingFactor) * previousAverage);
-};
\ No newline at end of file
+};
+/**
+ * Samples a row-major grid of values with bilinear interpolation
+ * @param {Array<number>} data - Grid values, row by row
+ * @param {number} width - Number of columns
+ * @param {number} height - Number of rows
+ * @param {number} x - Column position (fractional, clamped to the grid)
+ * @param {number} y - Row position (fractional, clamped to the grid)
+ * @returns {number} The interpolated value
+ */
+export const sampleGrid = (data, width, height, x, y) => {
+    const cx = clamp(x, 0, width - 1);
+    const cy = clamp(y, 0, height - 1);
+    const x0 = Math.floor(cx);
+    const y0 = Math.floor(cy);
+    const x1 = Math.min(x0 + 1, width - 1);
+    const y1 = Math.min(y0 + 1, height - 1);
+    const tx = cx - x0;
+    const ty = cy - y0;
+    
+    const top = data[y0 * width + x0] * (1 - tx) + data[y0 * width + x1] * tx;
+    const bottom = data[y1 * width + x0] * (1 - tx) + data[y1 * width + x1] * tx;
+    return top * (1 - ty) + bottom * ty;
+};
+
+/**
+ * Resamples a row-major grid to new dimensions, keeping its corners aligned
+ * @param {Array<number>} data - Grid values, row by row
+ * @param {number} width - Current number of columns
+ * @param {number} height - Current number of rows
+ * @param {number} newWidth - Number of columns to produce
+ * @param {number} newHeight - Number of rows to produce
+ * @returns {Array<number>} The resampled grid
+ */
+export const resampleGrid = (data, width, height, newWidth, newHeight) => {
+    const result = new Array(newWidth * newHeight);
+    const scaleX = newWidth > 1 ? (width - 1) / (newWidth - 1) : 0;
+    const scaleY = newHeight > 1 ? (height - 1) / (newHeight - 1) : 0;
+    
+    for (let y = 0; y < newHeight; y++) {
+        for (let x = 0; x < newWidth; x++) {
+            result[y * newWidth + x] = sampleGrid(data, width, height, x * scaleX, y * scaleY);
+        }
+    }
+    
+    return result;
+};
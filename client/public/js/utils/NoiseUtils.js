@@ -0,0 +1,123 @@
+// Noise functions for terrain generation - all randomness comes from a seeded source
+// so every client builds the same noise for the same terrain seed
+
+// Gradient directions for 2D Perlin noise
+const GRADIENTS = [
+    [1, 0], [-1, 0], [0, 1], [0, -1],
+    [Math.SQRT1_2, Math.SQRT1_2], [-Math.SQRT1_2, Math.SQRT1_2],
+    [Math.SQRT1_2, -Math.SQRT1_2], [-Math.SQRT1_2, -Math.SQRT1_2]
+];
+
+// Quintic fade curve so the noise has continuous second derivatives
+const fade = (t) => t * t * t * (t * (t * 6 - 15) + 10);
+
+const lerp = (a, b, t) => a + (b - a) * t;
+
+/**
+ * Creates a 2D Perlin gradient noise function
+ * @param {Function} random - Seeded random source returning values in [0, 1)
+ * @returns {Function} noise(x, y) returning values roughly in [-1, 1]
+ */
+export const createGradientNoise = (random) => {
+    // Shuffled permutation table, doubled to avoid wrapping the index
+    const permutation = Array.from({ length: 256 }, (_, i) => i);
+    for (let i = 255; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [permutation[i], permutation[j]] = [permutation[j], permutation[i]];
+    }
+    const perm = new Uint8Array(512);
+    for (let i = 0; i < 512; i++) {
+        perm[i] = permutation[i & 255];
+    }
+    
+    // Dot product of the corner gradient with the offset from that corner
+    const corner = (ix, iy, dx, dy) => {
+        const gradient = GRADIENTS[perm[perm[ix & 255] + (iy & 255)] & 7];
+        return gradient[0] * dx + gradient[1] * dy;
+    };
+    
+    return (x, y) => {
+        const x0 = Math.floor(x);
+        const y0 = Math.floor(y);
+        const dx = x - x0;
+        const dy = y - y0;
+        const u = fade(dx);
+        const v = fade(dy);
+        
+        const top = lerp(corner(x0, y0, dx, dy), corner(x0 + 1, y0, dx - 1, dy), u);
+        const bottom = lerp(corner(x0, y0 + 1, dx, dy - 1), corner(x0 + 1, y0 + 1, dx - 1, dy - 1), u);
+        
+        // Scale so the output uses most of [-1, 1]
+        return lerp(top, bottom, v) * Math.SQRT2;
+    };
+};
+
+/**
+ * Sums octaves of a noise function (fractional Brownian motion)
+ * @param {Function} noise - Noise function of (x, y)
+ * @param {number} x - Sample x coordinate
+ * @param {number} y - Sample y coordinate
+ * @param {Object} [options] - { octaves, lacunarity, gain }
+ * @returns {number} Value roughly in [-1, 1]
+ */
+export const fbm = (noise, x, y, { octaves = 6, lacunarity = 2, gain = 0.5 } = {}) => {
+    let sum = 0;
+    let amplitude = 1;
+    let frequency = 1;
+    let total = 0;
+    
+    for (let i = 0; i < octaves; i++) {
+        sum += noise(x * frequency, y * frequency) * amplitude;
+        total += amplitude;
+        amplitude *= gain;
+        frequency *= lacunarity;
+    }
+    
+    return sum / total;
+};
+
+/**
+ * Creates a 2D Worley (cellular) noise function over the unit square
+ * Each cell holds one feature point; the result gives the distances to the nearest two
+ * @param {Function} random - Seeded random source returning values in [0, 1)
+ * @param {number} cells - Number of cells across the unit square
+ * @param {number} [jitter=1] - How far (0-1) feature points may stray from their cell centre
+ * @returns {Function} noise(x, y) returning { f1, f2 } in cell units
+ */
+export const createCellNoise = (random, cells, jitter = 1) => {
+    // Feature points for every cell, plus a border ring so edge lookups stay in range
+    const span = cells + 2;
+    const points = new Float64Array(span * span * 2);
+    for (let i = 0; i < span * span; i++) {
+        points[i * 2] = 0.5 + (random() - 0.5) * jitter;
+        points[i * 2 + 1] = 0.5 + (random() - 0.5) * jitter;
+    }
+    
+    return (x, y) => {
+        const px = x * cells;
+        const py = y * cells;
+        const cx = Math.floor(px);
+        const cy = Math.floor(py);
+        let f1 = Infinity;
+        let f2 = Infinity;
+        
+        for (let oy = -1; oy <= 1; oy++) {
+            for (let ox = -1; ox <= 1; ox++) {
+                const gx = cx + ox;
+                const gy = cy + oy;
+                if (gx < -1 || gx > cells || gy < -1 || gy > cells) continue;
+                
+                const index = ((gy + 1) * span + (gx + 1)) * 2;
+                const distance = Math.hypot(gx + points[index] - px, gy + points[index + 1] - py);
+                if (distance < f1) {
+                    f2 = f1;
+                    f1 = distance;
+                } else if (distance < f2) {
+                    f2 = distance;
+                }
+            }
+        }
+        
+        return { f1, f2 };
+    };
+};
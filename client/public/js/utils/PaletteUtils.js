@@ -0,0 +1,437 @@
+// Palette file formats - parsers and encoders for GIMP .gpl, Adobe Swatch Exchange (.ase),
+// hex lists (as on Lospec) and CSS linear-gradient strings
+// Palettes are { name, colors } with colors as '#rrggbb' strings, as ColorManager takes them
+import { parseHexColor, rgbToHex, mixColors } from './ColorUtils.js';
+import { PALETTE_FILES } from './constants.js';
+
+// ASE files start with 'ASEF' and use these block types
+const ASE_SIGNATURE = [65, 83, 69, 70];
+const ASE_GROUP_START = 0xc001;
+const ASE_GROUP_END = 0xc002;
+const ASE_COLOR = 0x0001;
+const ASE_NORMAL_COLOR = 2; // Color type: 0 global, 1 spot, 2 normal
+
+// CSS color keywords accepted in gradients (the basic set)
+const CSS_COLOR_NAMES = {
+    black: '#000000', silver: '#c0c0c0', gray: '#808080', grey: '#808080', white: '#ffffff',
+    maroon: '#800000', red: '#ff0000', purple: '#800080', fuchsia: '#ff00ff', magenta: '#ff00ff',
+    green: '#008000', lime: '#00ff00', olive: '#808000', yellow: '#ffff00', navy: '#000080',
+    blue: '#0000ff', teal: '#008080', aqua: '#00ffff', cyan: '#00ffff', orange: '#ffa500'
+};
+
+// Gradients with unevenly placed stops are sampled at this many even steps
+const GRADIENT_SAMPLES = 16;
+
+/**
+ * Parses a GIMP palette (.gpl)
+ * @param {string} text - File contents
+ * @returns {Object} { name, colors } - name is null when the file has none
+ */
+export const parseGPL = (text) => {
+    // Blank lines before the header are skipped, as decodePalette does when detecting the format
+    const lines = text.trimStart().split(/\r?\n/);
+    if (!lines[0].trim().startsWith('GIMP Palette')) {
+        throw new Error('Not a GIMP palette');
+    }
+    
+    let name = null;
+    const colors = [];
+    for (const line of lines.slice(1)) {
+        const trimmed = line.trim();
+        if (!trimmed || trimmed.startsWith('#')) continue;
+        
+        const header = trimmed.match(/^(\w+):\s*(.*)$/);
+        if (header) {
+            if (header[1] === 'Name') name = header[2].trim() || null;
+            continue;
+        }
+        
+        // "R G B name", channels 0-255
+        const channels = trimmed.split(/\s+/).slice(0, 3).map(Number);
+        if (channels.length === 3 && channels.every(c => Number.isInteger(c) && c >= 0 && c <= 255)) {
+            colors.push(rgbToHex(...channels));
+        }
+    }
+    return { name, colors };
+};
+
+/**
+ * Encodes a palette as a GIMP palette (.gpl)
+ * @param {Object} palette - { name, colors }
+ * @returns {string} File contents
+ */
+export const encodeGPL = ({ name, colors }) => {
+    const rows = colors.map(color => {
+        const { r, g, b } = parseHexColor(color);
+        return `${String(r).padStart(3)} ${String(g).padStart(3)} ${String(b).padStart(3)}\t${color}`;
+    });
+    return `GIMP Palette\nName: ${name}\nColumns: ${colors.length}\n#\n${rows.join('\n')}\n`;
+};
+
+/**
+ * Converts an ASE color entry to hex (RGB, grayscale, CMYK or Lab)
+ * @param {string} model - Four-character color model
+ * @param {Array} values - Channel values as stored (0-1, Lab L in 0-1 and a/b in -128-127)
+ * @returns {string|null} Hex color string, or null for an unknown model
+ */
+const aseColorToHex = (model, values) => {
+    switch (model) {
+        case 'RGB ':
+            return rgbToHex(values[0] * 255, values[1] * 255, values[2] * 255);
+        case 'Gray':
+            return rgbToHex(values[0] * 255, values[0] * 255, values[0] * 255);
+        case 'CMYK': {
+            const [c, m, y, k] = values;
+            return rgbToHex(255 * (1 - c) * (1 - k), 255 * (1 - m) * (1 - k), 255 * (1 - y) * (1 - k));
+        }
+        case 'LAB ': {
+            // CIE Lab (D50) to XYZ, adapted to D65 and converted to sRGB
+            const L = values[0] * 100;
+            const fy = (L + 16) / 116;
+            const fx = fy + values[1] / 500;
+            const fz = fy - values[2] / 200;
+            const inverse = (f) => (f > 6 / 29 ? f * f * f : 3 * (6 / 29) ** 2 * (f - 4 / 29));
+            const x = 0.9642 * inverse(fx);
+            const y = inverse(fy);
+            const z = 0.8251 * inverse(fz);
+            const linear = [
+                3.1339 * x - 1.6169 * y - 0.4906 * z,
+                -0.9788 * x + 1.9161 * y + 0.0335 * z,
+                0.0719 * x - 0.2290 * y + 1.4052 * z
+            ].map(c => Math.min(1, Math.max(0, c)));
+            const toSrgb = (c) => 255 * (c <= 0.0031308 ? 12.92 * c : 1.055 * Math.pow(c, 1 / 2.4) - 0.055);
+            return rgbToHex(...linear.map(toSrgb));
+        }
+        default:
+            return null;
+    }
+};
+
+/**
+ * Parses an Adobe Swatch Exchange file (.ase)
+ * @param {Uint8Array} bytes - File contents
+ * @returns {Object} { name, colors } - name is the first group's, or null
+ */
+export const parseASE = (bytes) => {
+    if (!ASE_SIGNATURE.every((value, i) => bytes[i] === value)) {
+        throw new Error('Not an Adobe Swatch Exchange file');
+    }
+    
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const blockCount = view.getUint32(8, false);
+    const readName = (offset) => {
+        // Length in UTF-16 code units, including the terminating zero
+        const length = view.getUint16(offset, false);
+        let name = '';
+        for (let i = 0; i < length - 1; i++) {
+            name += String.fromCharCode(view.getUint16(offset + 2 + i * 2, false));
+        }
+        return { name, end: offset + 2 + length * 2 };
+    };
+    
+    let name = null;
+    const colors = [];
+    let offset = 12;
+    for (let block = 0; block < blockCount && offset + 6 <= bytes.length; block++) {
+        const type = view.getUint16(offset, false);
+        const length = view.getUint32(offset + 2, false);
+        const body = offset + 6;
+        if (body + length > bytes.length) {
+            throw new Error('Swatch file is truncated');
+        }
+        
+        if (type === ASE_GROUP_START && name === null) {
+            name = readName(body).name || null;
+        } else if (type === ASE_COLOR) {
+            const modelStart = readName(body).end;
+            const model = String.fromCharCode(...bytes.subarray(modelStart, modelStart + 4));
+            const channelCount = { 'RGB ': 3, 'LAB ': 3, CMYK: 4, Gray: 1 }[model] || 0;
+            const values = [];
+            for (let i = 0; i < channelCount; i++) {
+                values.push(view.getFloat32(modelStart + 4 + i * 4, false));
+            }
+            const color = aseColorToHex(model, values);
+            if (color) colors.push(color);
+        }
+        offset = body + length;
+    }
+    return { name, colors };
+};
+
+/**
+ * Encodes a palette as an Adobe Swatch Exchange file (.ase) - one group of RGB swatches
+ * @param {Object} palette - { name, colors }
+ * @returns {Uint8Array} File contents
+ */
+export const encodeASE = ({ name, colors }) => {
+    const nameBytes = (text) => 2 + (text.length + 1) * 2;
+    const groupLength = nameBytes(name);
+    const colorLengths = colors.map(color => nameBytes(color) + 4 + 12 + 2);
+    const size = 12 + (6 + groupLength) + colorLengths.reduce((sum, length) => sum + 6 + length, 0) + 6;
+    
+    const bytes = new Uint8Array(size);
+    const view = new DataView(bytes.buffer);
+    let offset = 0;
+    const writeName = (text) => {
+        view.setUint16(offset, text.length + 1, false);
+        offset += 2;
+        for (let i = 0; i < text.length; i++, offset += 2) {
+            view.setUint16(offset, text.charCodeAt(i), false);
+        }
+        offset += 2; // Terminating zero
+    };
+    
+    bytes.set(ASE_SIGNATURE);
+    view.setUint16(4, 1, false); // Version 1.0
+    view.setUint16(6, 0, false);
+    view.setUint32(8, colors.length + 2, false);
+    offset = 12;
+    
+    view.setUint16(offset, ASE_GROUP_START, false);
+    view.setUint32(offset + 2, groupLength, false);
+    offset += 6;
+    writeName(name);
+    
+    colors.forEach((color, i) => {
+        view.setUint16(offset, ASE_COLOR, false);
+        view.setUint32(offset + 2, colorLengths[i], false);
+        offset += 6;
+        writeName(color);
+        bytes.set([82, 71, 66, 32], offset); // 'RGB '
+        offset += 4;
+        const { r, g, b } = parseHexColor(color);
+        for (const channel of [r, g, b]) {
+            view.setFloat32(offset, channel / 255, false);
+            offset += 4;
+        }
+        view.setUint16(offset, ASE_NORMAL_COLOR, false);
+        offset += 2;
+    });
+    
+    view.setUint16(offset, ASE_GROUP_END, false);
+    view.setUint32(offset + 2, 0, false);
+    return bytes;
+};
+
+/**
+ * Parses a list of hex colors, one per line as in Lospec .hex files ('#' optional,
+ * blank lines and ';' or '//' comments skipped)
+ * @param {string} text - File contents
+ * @returns {Object} { name, colors } - name is always null
+ */
+export const parseHexList = (text) => {
+    const colors = [];
+    for (const line of text.split(/\r?\n/)) {
+        const trimmed = line.trim();
+        if (!trimmed || trimmed.startsWith(';') || trimmed.startsWith('//')) continue;
+        
+        const match = trimmed.match(/^#?([0-9a-f]{6})$/i);
+        if (!match) {
+            throw new Error(`Not a hex color: ${trimmed.slice(0, 20)}`);
+        }
+        colors.push(`#${match[1].toLowerCase()}`);
+    }
+    return { name: null, colors };
+};
+
+/**
+ * Encodes a palette as a hex list (Lospec .hex)
+ * @param {Object} palette - { name, colors }
+ * @returns {string} File contents
+ */
+export const encodeHexList = ({ colors }) => `${colors.map(color => color.slice(1)).join('\n')}\n`;
+
+/**
+ * Splits a CSS argument list on the commas that are not inside parentheses
+ * @param {string} text - Arguments without the outer parentheses
+ * @returns {Array} Trimmed arguments
+ */
+const splitArguments = (text) => {
+    const parts = [];
+    let depth = 0;
+    let start = 0;
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '(') depth++;
+        else if (text[i] === ')') depth--;
+        else if (text[i] === ',' && depth === 0) {
+            parts.push(text.slice(start, i).trim());
+            start = i + 1;
+        }
+    }
+    parts.push(text.slice(start).trim());
+    return parts;
+};
+
+/**
+ * Parses a CSS color: hex (#rgb, #rgba, #rrggbb, #rrggbbaa), rgb()/rgba(), hsl()/hsla()
+ * or a basic keyword - alpha is ignored
+ * @param {string} text - CSS color
+ * @returns {string|null} Hex color string, or null if it is not a supported color
+ */
+const parseCSSColor = (text) => {
+    const value = text.trim().toLowerCase();
+    if (CSS_COLOR_NAMES[value]) return CSS_COLOR_NAMES[value];
+    
+    const hex = value.match(/^#([0-9a-f]{3,8})$/);
+    if (hex) {
+        const digits = hex[1];
+        if (digits.length === 3 || digits.length === 4) {
+            return `#${digits[0]}${digits[0]}${digits[1]}${digits[1]}${digits[2]}${digits[2]}`;
+        }
+        return digits.length === 6 || digits.length === 8 ? `#${digits.slice(0, 6)}` : null;
+    }
+    
+    const functional = value.match(/^(rgba?|hsla?)\((.*)\)$/);
+    if (!functional) return null;
+    
+    // Commas or spaces between channels, with alpha after a '/' or as a fourth value
+    const channels = functional[2].split(/[\s,/]+/).filter(Boolean).slice(0, 3);
+    if (channels.length < 3) return null;
+    const number = (channel, scale) => (channel.endsWith('%') ? parseFloat(channel) / 100 * scale : parseFloat(channel));
+    
+    if (functional[1].startsWith('rgb')) {
+        const [r, g, b] = channels.map(channel => number(channel, 255));
+        return [r, g, b].every(Number.isFinite) ? rgbToHex(r, g, b) : null;
+    }
+    
+    const hue = ((parseFloat(channels[0]) % 360) + 360) % 360;
+    const saturation = number(channels[1], 100) / 100;
+    const lightness = number(channels[2], 100) / 100;
+    if (![hue, saturation, lightness].every(Number.isFinite)) return null;
+    const chroma = (1 - Math.abs(2 * lightness - 1)) * saturation;
+    const channel = (n) => {
+        const k = (n + hue / 30) % 12;
+        return 255 * (lightness - chroma / 2 * Math.max(-1, Math.min(k - 3, 9 - k, 1)));
+    };
+    return rgbToHex(channel(0), channel(8), channel(4));
+};
+
+/**
+ * Parses the first CSS linear-gradient() in some text, e.g. a copied 'background' rule
+ * Evenly spaced stops become the palette colors; otherwise the gradient is sampled
+ * @param {string} text - Text holding a linear-gradient
+ * @returns {Object} { name, colors } - name is always null
+ */
+export const parseCSSGradient = (text) => {
+    const start = text.search(/linear-gradient\s*\(/i);
+    if (start === -1) {
+        throw new Error('No CSS linear-gradient found');
+    }
+    
+    // Find the closing parenthesis of the gradient
+    const open = text.indexOf('(', start);
+    let depth = 0;
+    let close = -1;
+    for (let i = open; i < text.length && close === -1; i++) {
+        if (text[i] === '(') depth++;
+        else if (text[i] === ')' && --depth === 0) close = i;
+    }
+    if (close === -1) {
+        throw new Error('Unterminated CSS linear-gradient');
+    }
+    
+    // Stops are "color [position [position]]" - directions, interpolation spaces and hints are skipped
+    const stops = [];
+    for (const part of splitArguments(text.slice(open + 1, close))) {
+        const match = part.match(/^((?:[a-z-]+\([^)]*\))|#[0-9a-f]+|[a-z]+)\s*(.*)$/i);
+        const color = match && parseCSSColor(match[1]);
+        if (!color) continue;
+        
+        const positions = match[2].split(/\s+/).filter(position => position.endsWith('%')).map(parseFloat);
+        if (positions.length === 0) {
+            stops.push({ color, position: null });
+        }
+        for (const position of positions.slice(0, 2)) {
+            stops.push({ color, position: position / 100 });
+        }
+    }
+    if (stops.length < 2) {
+        throw new Error('CSS gradient needs at least two colors');
+    }
+    
+    // Missing positions: the ends go to 0 and 1, the rest are spread between their neighbours
+    // and each position is at least the one before it (as in CSS)
+    if (stops[0].position === null) stops[0].position = 0;
+    if (stops[stops.length - 1].position === null) stops[stops.length - 1].position = 1;
+    for (let i = 1; i < stops.length; i++) {
+        if (stops[i].position === null) {
+            let next = i;
+            while (stops[next].position === null) next++;
+            const from = stops[i - 1].position;
+            const step = (stops[next].position - from) / (next - i + 1);
+            for (let j = i; j < next; j++) {
+                stops[j].position = from + step * (j - i + 1);
+            }
+        }
+        stops[i].position = Math.max(stops[i].position, stops[i - 1].position);
+    }
+    
+    const count = stops.length;
+    const isEven = stops.every((stop, i) => Math.abs(stop.position - i / (count - 1)) < 0.005);
+    if (isEven) {
+        return { name: null, colors: stops.map(stop => stop.color) };
+    }
+    
+    // Sample the gradient as the browser draws it - flat beyond the ends, mixed in sRGB between stops
+    const colors = [];
+    for (let i = 0; i < GRADIENT_SAMPLES; i++) {
+        const position = i / (GRADIENT_SAMPLES - 1);
+        const after = stops.findIndex(stop => stop.position >= position);
+        if (after === -1) {
+            colors.push(stops[count - 1].color);
+        } else if (after === 0 || stops[after].position === stops[after - 1].position) {
+            colors.push(stops[after].color);
+        } else {
+            const before = stops[after - 1];
+            const amount = (position - before.position) / (stops[after].position - before.position);
+            colors.push(mixColors(before.color, stops[after].color, amount, 'srgb'));
+        }
+    }
+    return { name: null, colors };
+};
+
+/**
+ * Encodes a palette as a CSS rule with an evenly spaced linear-gradient
+ * @param {Object} palette - { name, colors }
+ * @returns {string} File contents
+ */
+export const encodeCSSGradient = ({ name, colors }) => {
+    const className = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'palette';
+    return `/* ${name} */\n.${className} {\n    background: linear-gradient(to right, ${colors.join(', ')});\n}\n`;
+};
+
+/**
+ * Decodes a palette file, picking the format from its contents
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {Object} { name, colors } - name is null when the file has none
+ */
+export const decodePalette = (buffer) => {
+    const bytes = new Uint8Array(buffer);
+    if (ASE_SIGNATURE.every((value, i) => bytes[i] === value)) {
+        return parseASE(bytes);
+    }
+    
+    const text = new TextDecoder().decode(bytes);
+    if (text.trimStart().startsWith('GIMP Palette')) {
+        return parseGPL(text);
+    }
+    if (/linear-gradient\s*\(/i.test(text)) {
+        return parseCSSGradient(text);
+    }
+    
+    try {
+        return parseHexList(text);
+    } catch (err) {
+        throw new Error('Unknown palette format - use .gpl, .ase, a hex list or a CSS linear-gradient');
+    }
+};
+
+/**
+ * Checks whether a dropped file is a palette (by extension) rather than a heightmap
+ * @param {string} fileName - File name
+ * @returns {boolean} True for palette file extensions
+ */
+export const isPaletteFileName = (fileName) => {
+    const extension = fileName.split('.').pop().toLowerCase();
+    return fileName.includes('.') && PALETTE_FILES.extensions.includes(extension);
+};
\ No newline at end of file
@@ -0,0 +1,75 @@
+// Seed point utilities
+import { clamp, safeValue } from './MathUtils.js';
+import { SEED } from './constants.js';
+
+/**
+ * Weight of a seed's influence at a normalized distance from its centre
+ * @param {string} falloff - Falloff curve ('linear', 'gaussian' or 'plateau')
+ * @param {number} t - Distance divided by the seed radius (0 at the centre, 1 at the edge)
+ * @returns {number} Weight between 0 and 1
+ */
+export const falloffWeight = (falloff, t) => {
+    if (t >= 1) return 0;
+    
+    switch (falloff) {
+        case 'linear':
+            return 1 - t;
+        case 'plateau': {
+            // Flat top, then a smooth shoulder over the outer 40%
+            if (t <= 0.6) return 1;
+            const s = (t - 0.6) / 0.4;
+            return 1 - s * s * (3 - 2 * s);
+        }
+        case 'gaussian':
+        default:
+            return Math.exp(-4.5 * t * t);
+    }
+};
+
+/**
+ * Normalize a seed point, filling in defaults and converting older seeds
+ * Older seeds only had { x, y, value } where value was a target height - heights
+ * above 0.5 become additive seeds and heights below become subtractive ones
+ * @param {Object} seed - Seed point (any format)
+ * @returns {Object} Seed with x, y, value, radius, falloff and mode
+ */
+export const normalizeSeedPoint = (seed) => {
+    const x = clamp(safeValue(seed.x, 0.5), 0, 1);
+    const y = clamp(safeValue(seed.y, 0.5), 0, 1);
+    let value = clamp(safeValue(seed.value, 0.5), 0, 1);
+    let mode = seed.mode;
+    
+    if (!SEED.modes.includes(mode)) {
+        mode = value >= 0.5 ? 'add' : 'subtract';
+        value = Math.abs(value - 0.5) * 2;
+    }
+    
+    return {
+        ...seed,
+        x,
+        y,
+        value,
+        radius: clamp(safeValue(seed.radius, SEED.defaultRadius), SEED.minRadius, SEED.maxRadius),
+        falloff: SEED.falloffs.includes(seed.falloff) ? seed.falloff : SEED.defaultFalloff,
+        mode
+    };
+};
+
+/**
+ * Create a seed point from a target height, as chosen by the user
+ * @param {number} x - Terrain x coordinate (0-1)
+ * @param {number} y - Terrain y coordinate (0-1)
+ * @param {number} height - Height 0-1; above 0.5 raises a mountain, below carves a basin
+ * @param {Object} [shape] - Optional { radius, falloff }
+ * @returns {Object} Normalized seed point
+ */
+export const createSeedPoint = (x, y, height, shape = {}) => {
+    return normalizeSeedPoint({
+        x,
+        y,
+        value: Math.abs(height - 0.5) * 2,
+        mode: height >= 0.5 ? 'add' : 'subtract',
+        radius: shape.radius,
+        falloff: shape.falloff
+    });
+};
\ No newline at end of file
@@ -11,11 +11,77 @@ export const PALETTES = {
     earth: ['#0f5e9c', '#2389da', '#1fab89', '#6cca78', '#bef992', '#eeeebb', '#d6ae96', '#b8763e', '#7f5a3d', '#ffffff'],
     ocean: ['#000033', '#000066', '#0000aa', '#0066cc', '#00aaff', '#33ccff', '#66ffff', '#99ffff', '#ccffff', '#ffffff'],
     fire: ['#000000', '#1f0000', '#3f0000', '#6f0000', '#af0000', '#df3f00', '#ff7f00', '#ffbf00', '#ffff00', '#ffffff'],
-    forest: ['#071a07', '#0f2f0f', '#174f17', '#1f6f1f', '#278f27', '#2faf2f', '#37cf37', '#8fef8f', '#b7f7b7', '#ffffff']
+    forest: ['#071a07', '#0f2f0f', '#174f17', '#1f6f1f', '#278f27', '#2faf2f', '#37cf37', '#8fef8f', '#b7f7b7', '#ffffff'],
+    // Readable with colour-vision deficiencies (see findConfusedStops in ColorUtils)
+    viridis: ['#440154', '#482878', '#3e4989', '#31688e', '#26828e', '#1f9e89', '#35b779', '#6ece58', '#b5de2b', '#fde725'],
+    cividis: ['#00204c', '#00336f', '#39486b', '#575c6d', '#707173', '#8a8779', '#a69d75', '#c4b56c', '#e4cf5b', '#ffea46'],
+    okabe: ['#000000', '#0072b2', '#cc79a7', '#009e73', '#d55e00', '#56b4e9', '#e69f00', '#f0e442', '#ffffff']
 };
 
 // List of palette names in order
-export const PALETTE_NAMES = ['cosmic', 'neon', 'candy', 'sunset', 'lava', 'rainbow', 'earth', 'ocean', 'fire', 'forest'];
+export const PALETTE_NAMES = ['cosmic', 'neon', 'candy', 'sunset', 'lava', 'rainbow', 'earth', 'ocean', 'fire', 'forest', 'viridis', 'cividis', 'okabe'];
+
+// Ways of coloring heights from a palette in order, with their display names
+// Banded uses each palette color as a flat band; the others blend between them
+export const COLOR_MODE_NAMES = ['banded', 'oklab', 'linear'];
+export const COLOR_MODE_LABELS = {
+    banded: 'banded',
+    oklab: 'smooth',
+    linear: 'linear RGB'
+};
+
+// Colour-vision simulations for previewing the landscape, with their display names
+export const VISION_MODE_NAMES = ['off', 'protanopia', 'deuteranopia', 'tritanopia'];
+export const VISION_MODE_LABELS = {
+    off: 'normal',
+    protanopia: 'protanopia',
+    deuteranopia: 'deuteranopia',
+    tritanopia: 'tritanopia'
+};
+
+// Terrain algorithms in order, with their display names
+export const TERRAIN_ALGORITHM_NAMES = ['diamondSquare', 'fbm', 'ridged', 'worley', 'domainWarp'];
+export const TERRAIN_ALGORITHM_LABELS = {
+    diamondSquare: 'diamond-square',
+    fbm: 'fBm noise',
+    ridged: 'ridged',
+    worley: 'cells',
+    domainWarp: 'warped'
+};
+
+// Ways the terrain evolves on each evolve tick, with their display names
+export const EVOLVE_MODE_NAMES = ['noise', 'erosion', 'waves', 'flow', 'automata'];
+export const EVOLVE_MODE_LABELS = {
+    noise: 'jitter',
+    erosion: 'erosion',
+    waves: 'waves',
+    flow: 'flow field',
+    automata: 'automata'
+};
+
+// Lighting modes in order, with their display names
+export const LIGHTING_MODE_NAMES = ['off', 'hillshade', 'occlusion'];
+export const LIGHTING_MODE_LABELS = {
+    off: 'off',
+    hillshade: 'hillshade',
+    occlusion: 'shade + AO'
+};
+
+// Ways of viewing the landscape in order, with their display names
+export const PROJECTION_MODE_NAMES = ['topDown', 'isometric', 'perspective'];
+export const PROJECTION_MODE_LABELS = {
+    topDown: 'top-down',
+    isometric: 'isometric',
+    perspective: 'perspective'
+};
+
+// Contour line modes in order, with their display names
+export const CONTOUR_MODE_NAMES = ['off', 'overlay', 'map'];
+export const CONTOUR_MODE_LABELS = {
+    off: 'off',
+    overlay: 'overlay',
+    map: 'topo map'
+};
 
 // Performance thresholds
 export const PERFORMANCE = {
@@ -29,19 +95,218 @@ export const PERFORMANCE = {
 export const DEFAULT_OPTIONS = {
     roughness: 0.5,
     palette: 'cosmic',
+    customPalettes: [],
+    colorMode: 'oklab',
+    visionSimulation: 'off',
+    algorithm: 'diamondSquare',
+    resolution: 129,
+    evolveMode: 'noise',
+    evolveSpeed: 5,
+    lighting: 'hillshade',
+    sunAzimuth: 315,
+    sunOrbit: false,
+    projection: 'topDown',
+    cameraYaw: 0,
+    cameraPitch: 45,
+    heightScale: 1,
+    contours: 'off',
+    contourInterval: 0.05,
+    contourLabels: true,
     seedPoints: [],
     useServerSync: true
 };
 
+// Adjustable numeric parameters - stepped by keyboard and click/right-click
+export const PARAMETER_RANGES = {
+    roughness: { min: 0, max: 1, step: 0.05 },
+    evolveSpeed: { min: 1, max: 10, step: 1 },
+    seedIntensity: { min: 0.1, max: 0.6, step: 0.1 },
+    seedRadius: { min: 0.02, max: 0.3, step: 0.02 },
+    cameraPitch: { min: 15, max: 75, step: 5 },
+    heightScale: { min: 0.25, max: 3, step: 0.25 }
+};
+
+// Terrain parameters
+export const TERRAIN = {
+    defaultAlgorithm: 'diamondSquare',
+    // Grid points along the longer side of the canvas
+    resolutions: [65, 129, 257, 513],
+    defaultResolution: 129,
+    // Noise-based algorithms are stretched to fill this height range
+    heightRange: [0.05, 0.95],
+    // Oldest seed points are dropped beyond this (matches the server limit)
+    maxSeedPoints: 500
+};
+
+// Heightmap export formats and import limits
+export const HEIGHTMAP = {
+    formats: ['png', 'pgm', 'raw'],
+    defaultFormat: 'png',
+    mimeTypes: {
+        png: 'image/png',
+        pgm: 'image/x-portable-graymap',
+        raw: 'application/octet-stream'
+    },
+    // Imports are shrunk to at most this many points along each side (matches the server limit)
+    maxSize: 513
+};
+
+// Shaded-relief lighting
+export const LIGHTING = {
+    sunElevation: 40,           // Degrees above the horizon for a fixed sun
+    azimuthStep: 15,            // Degrees per sun rotation step
+    ambient: 0.45,              // Light that reaches every slope (and all of the terrain at night)
+    verticalScale: 0.3,         // Height of the 0-1 range relative to the map width
+    dayLength: 120,             // Server time units for a full orbit of the sun
+    refreshInterval: 100,       // ms between shading updates
+    occlusion: {
+        directions: 8,
+        distances: [1, 2, 4, 8, 16], // Cells scanned at the reference resolution
+        referenceResolution: 129,
+        strength: 0.8,
+        refreshInterval: 2000   // ms between horizon scans
+    }
+};
+
+// Isometric and perspective views
+export const PROJECTION = {
+    yawStep: 15,                // Degrees per camera rotation step (isometric turns in quarters)
+    isometricPitch: 35.264,     // Degrees - the angle at which all three axes shrink equally
+    verticalScale: 0.25,        // Height of the 0-1 range relative to the map width, before exaggeration
+    cameraDistance: 1.5,        // Perspective camera distance from the centre, in map diagonals
+    margin: 0.92                // Fraction of the canvas the landscape is fitted into
+};
+
+// Contour lines and topographic map
+export const CONTOURS = {
+    intervals: [0.02, 0.05, 0.1],   // Height between contours, finest first
+    indexEvery: 5,                  // Every nth contour is an index contour (thicker and labelled)
+    lineWidth: 1,
+    indexLineWidth: 2.5,
+    overlayShade: 0.45,             // Brightness of the surface color used for lines over the terrain
+    labelFont: '11px sans-serif',
+    labelSpacing: 0.15,             // Minimum distance between labels, in map widths
+    depthBias: 0.02,                // Draws lines just after the terrain they lie on in 3D views
+    refreshInterval: 150            // ms between contour traces
+};
+
+// Erosion evolve mode
+export const EROSION = {
+    // Droplets per tick at evolve speed 1 on a referenceResolution-square grid
+    dropletsPerStrength: 30,
+    referenceResolution: 129,
+    droplet: {
+        inertia: 0.3,       // How much a droplet keeps its direction (0-1)
+        capacity: 2,        // Sediment carried per unit of slope, speed and water
+        minCapacity: 0.01,  // Keeps droplets on flat ground carrying a little
+        erodeRate: 0.3,
+        depositRate: 0.3,
+        evaporation: 0.02,
+        gravity: 4,
+        lifetime: 40        // Maximum steps per droplet
+    },
+    // Height difference across the whole map above which slopes slump
+    talusSlope: 3,
+    slumpRate: 0.1
+};
+
+// Wave, flow-field and cellular automaton evolve modes
+export const EVOLUTION = {
+    referenceResolution: 129,
+    waves: {
+        waveCount: 2,
+        minWavelength: 0.3,     // In map widths
+        maxWavelength: 0.8,
+        rippleWavelength: 0.15,
+        rippleSpeed: 0.1,       // Rings per unit of server time
+        amplitude: 5            // Wave height per unit of evolve rate
+    },
+    flow: {
+        fieldScale: 2,          // Swirls across the map
+        rotationRate: 0.01,     // Field rotation (radians) per unit of server time
+        cellsPerTick: 0.5       // Distance moved per tick at the reference resolution
+    },
+    automata: {
+        bands: 8,               // Height bands the rules work on
+        threshold: 5,           // Neighbours in another band needed to grow or wear
+        growthScale: 1,         // Height change per unit of evolve rate
+        terraceRate: 0.1,       // Pull towards the band centre when no rule fires
+        mutationChance: 0.002   // Cells per tick that jump a band, keeping the pattern alive
+    }
+};
+
+// Seed point shapes
+export const SEED = {
+    modes: ['add', 'subtract'],
+    falloffs: ['gaussian', 'linear', 'plateau'],
+    defaultFalloff: 'gaussian',
+    defaultRadius: 0.06,   // Fraction of the terrain width
+    minRadius: 0.005,
+    maxRadius: 0.5,
+    strength: 0.5          // Height change of a full-strength seed at its centre
+};
+
+// Smooth palette gradients
+export const GRADIENT = {
+    steps: 256              // Precomputed colors across the height range
+};
+
+// Crossfade between palettes
+export const PALETTE_FADE = {
+    duration: 2,            // Server time units (about seconds) for a full fade
+    minStep: 0.02           // Smallest change in fade progress worth recoloring for
+};
+
+// Custom palettes made in the editor (keep in sync with LIMITS in server/validation.js)
+export const PALETTE_EDITOR = {
+    minStops: 2,
+    maxStops: 16,
+    maxNameLength: 24,
+    maxPalettes: 20,            // Per room
+    namePattern: /^[A-Za-z0-9][A-Za-z0-9 _-]*$/,
+    newStopColor: '#ffffff',
+    // Stops closer than this (OKLab distance) for a colour-blind viewer are flagged
+    minStopDifference: 0.05
+};
+
+// Palette files for import (dropped anywhere on the page) and export from the editor
+export const PALETTE_FILES = {
+    formats: ['gpl', 'ase', 'hex', 'css'],
+    mimeTypes: {
+        gpl: 'text/plain',
+        ase: 'application/octet-stream',
+        hex: 'text/plain',
+        css: 'text/css'
+    },
+    // Extensions treated as palettes rather than heightmaps when dropped
+    extensions: ['gpl', 'ase', 'hex', 'txt', 'css']
+};
+
 // Animation parameters
 export const ANIMATION = {
+    serverTimeRate: 1,      // Server globalTime units per second
     colorShiftRate: 0.0002,
     evolutionRate: 0.0003,
     globalTimeRate: 0.0005,
     throttleTime: 200
 };
 
+// NTP-style clock sync: pings measure the round trip and offset to the server's globalTime
+export const CLOCK_SYNC = {
+    pingInterval: 5000,     // ms between pings once synced
+    burstInterval: 500,     // ms between the first pings after connecting
+    burstCount: 4,          // Pings sent quickly after connecting
+    sampleCount: 8,         // Recent samples kept - the lowest round trip sets the offset
+    minRateSpan: 10,        // Seconds of samples needed before estimating the server clock rate
+    maxRateError: 0.05,     // Estimated rate stays within this fraction of serverTimeRate
+    slewGain: 0.5,          // Fraction of the remaining error corrected per second
+    maxSlew: 0.1,           // Largest correction in server time units per second
+    maxSlewError: 1         // Larger errors (joining, a hidden tab, a server restart) are stepped over
+};
+
 // UI parameters
 export const UI = {
-    highlightTime: 500
+    highlightTime: 500,
+    // Pixels of vertical drag that cover the full seed height range
+    seedDragRange: 200
 };
\ No newline at end of file
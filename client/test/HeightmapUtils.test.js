@@ -0,0 +1,22 @@
+// Heightmap decoders must reject oversized or truncated files before allocating for them
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodePGM, encodePGM } from '../public/js/utils/HeightmapUtils.js';
+
+const encode = (text) => new TextEncoder().encode(text);
+
+test('decodePGM rejects a header larger than any import', () => {
+    assert.throws(() => decodePGM(encode('P5 100000 100000 255\n')), /too large/);
+});
+
+test('decodePGM rejects samples missing from P5 and P2 files', () => {
+    assert.throws(() => decodePGM(encode('P5 4 4 255\nabc')), /truncated/);
+    assert.throws(() => decodePGM(encode('P2 3 1 255\n1 2')), /truncated/);
+});
+
+test('decodePGM reads back what encodePGM wrote', () => {
+    const { width, height, data } = decodePGM(encodePGM([0, 0.5, 1, 0.25], 2, 2));
+    assert.equal(width, 2);
+    assert.equal(height, 2);
+    [0, 0.5, 1, 0.25].forEach((value, i) => assert.ok(Math.abs(data[i] - value) < 1e-4));
+});
@@ -0,0 +1,41 @@
+// Erosion must leave seed points removable - only its own change may reach the base terrain
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import TerrainGenerator from '../public/js/components/TerrainGenerator.js';
+import TerrainErosion from '../public/js/components/TerrainErosion.js';
+import { createSeededRandom } from '../public/js/utils/MathUtils.js';
+
+// Flat base terrain with one seed point at its centre
+function createSeededTerrain(baseHeight, seed) {
+    const terrain = new TerrainGenerator(0.5, [], 1);
+    terrain.setResolution(33, 1);
+    terrain.terrainMap.fill(baseHeight);
+    terrain.addSeedPoint({ id: 1, x: 0.5, y: 0.5, radius: 0.2, falloff: 'smooth', ...seed });
+    return terrain;
+}
+
+// Erode once, then remove the seed, returning the base before and after and the erosion's change
+function erodeAndRemoveSeed(terrain) {
+    const base = Float64Array.from(terrain.terrainMap);
+    const surface = base.map((height, i) => height + terrain.seedLayer[i]);
+    
+    new TerrainErosion(terrain).erode(5, createSeededRandom(7));
+    const change = surface.map((height, i) => terrain.terrainMap[i] + terrain.seedLayer[i] - height);
+    
+    assert.equal(terrain.removeSeedPoint(1), true);
+    return { base, change, after: terrain.terrainMap };
+}
+
+for (const [name, baseHeight, seed] of [
+    ['an add seed above the top of the range', 0.8, { value: 1, mode: 'add' }],
+    ['a subtract seed below the bottom of the range', 0.2, { value: 1, mode: 'subtract' }]
+]) {
+    test(`erosion under ${name} leaves the base unchanged once the seed is removed`, () => {
+        const { base, change, after } = erodeAndRemoveSeed(createSeededTerrain(baseHeight, seed));
+        
+        for (let i = 0; i < base.length; i++) {
+            assert.ok(Math.abs(after[i] - (base[i] + change[i])) < 1e-9, `cell ${i}: ${after[i]} vs ${base[i] + change[i]}`);
+            assert.ok(Math.abs(change[i]) < 0.1, `cell ${i} changed by ${change[i]}`);
+        }
+    });
+}
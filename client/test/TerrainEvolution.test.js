@@ -0,0 +1,20 @@
+// Evolve modes must leave seed points removable - only their own change may reach the base terrain
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import TerrainGenerator from '../public/js/components/TerrainGenerator.js';
+
+test('automata under a subtract seed below the bottom of the range keep the base once the seed is removed', () => {
+    const terrain = new TerrainGenerator(0.5, [], 1);
+    terrain.setResolution(33, 1);
+    terrain.terrainMap.fill(0.2);
+    terrain.addSeedPoint({ id: 1, x: 0.5, y: 0.5, value: 1, radius: 0.2, mode: 'subtract' });
+    
+    terrain.reseed(2, 1);
+    terrain.evolveModes.automata.apply({ rate: 0.01 });
+    assert.equal(terrain.removeSeedPoint(1), true);
+    
+    // One tick moves a cell by at most one band
+    for (const height of terrain.terrainMap) {
+        assert.ok(Math.abs(height - 0.2) < 0.2, `base height ${height}`);
+    }
+});
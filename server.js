@@ -3,15 +3,16 @@ const http = require('http');
 const { Server } = require('socket.io');
 const path = require('path');
 const cors = require('cors');
-const { 
-    setupStateManagement, 
-    setupAnimationSync, 
-    setupEvolutionTimers 
-} = require('./server/stateManager.js');
 const { 
     handleConnection, 
     handleDisconnection 
 } = require('./server/connectionManager.js');
+const {
+    resolveRoomId,
+    createRoomRegistry
+} = require('./server/roomManager.js');
+const { DEFAULT_STATE_DIR } = require('./server/persistenceManager.js');
+const { createRateLimiter } = require('./server/rateLimiter.js');
 
 // Create Express app
 const app = express();
@@ -25,40 +26,38 @@ app.use(express.static(path.join(__dirname, 'client/public')));
 // Create HTTP server
 const server = http.createServer(app);
 
-// Create Socket.IO server
-const io = new Server(server);
+// Largest socket message accepted from a client (bytes) - room for a 513x513 16-bit heightmap
+const MAX_MESSAGE_SIZE = 1024 * 1024;
 
-// Initialize shared state
-const state = {
-    roughness: 0.5,
-    palette: 'cosmic',
-    seedPoints: [],
-    evolveSpeed: 5,
-    // Animation state for synchronized visuals
-    globalTime: 0,
-    colorShift: 0
-};
+// Create Socket.IO server
+const io = new Server(server, {
+    maxHttpBufferSize: MAX_MESSAGE_SIZE
+});
 
-// Connected users
-let connectedUsers = 0;
+// Rooms - each has its own shared state, timers and user count,
+// restored from disk when first joined
+const rooms = createRoomRegistry(io, process.env.STATE_DIR || DEFAULT_STATE_DIR);
 
-// Setup state management subsystems
-setupStateManagement(io, state);
-setupAnimationSync(io, state);
-const evolutionInterval = setupEvolutionTimers(io, state);
+// Per-socket and per-IP limits on client events
+const rateLimiter = createRateLimiter();
 
 // Socket connection handling
 io.on('connection', (socket) => {
+    // Join the room requested by the client (from its /r/:roomId URL)
+    const room = rooms.getRoom(resolveRoomId(socket.handshake.query.room));
+    
     // Handle new connection
-    connectedUsers = handleConnection(socket, io, state, connectedUsers);
+    handleConnection(socket, io, room, rateLimiter);
     
     // Handle disconnection
     socket.on('disconnect', () => {
-        connectedUsers = handleDisconnection(socket, io, connectedUsers, evolutionInterval);
+        handleDisconnection(socket, io, room);
+        rateLimiter.release(socket);
+        rooms.releaseRoom(room);
     });
 });
 
-// Catch-all route to serve the frontend
+// Catch-all route to serve the frontend (including /r/:roomId)
 app.get('*', (req, res) => {
     res.sendFile(path.join(__dirname, 'client/public/index.html'));
 });
@@ -67,4 +66,13 @@ app.get('*', (req, res) => {
 const PORT = process.env.PORT || 3000;
 server.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
+});
+
+// Save every room before shutting down
+['SIGINT', 'SIGTERM'].forEach((signal) => {
+    process.on(signal, () => {
+        console.log(`Received ${signal} - saving rooms and shutting down`);
+        rooms.closeAll();
+        process.exit(0);
+    });
 });
\ No newline at end of file
@@ -1,67 +1,152 @@
 // Connection management functions for the server
+const {
+    validateOptionUpdate,
+    validateSeedPoint,
+    validateEvolveSpeed,
+    validateSeedId,
+    validateHeightmap,
+    validatePalette,
+    validateCustomPaletteName,
+    validateTerrainVersion,
+    validateTimePing,
+    rejectMessage,
+    PALETTE_NAMES,
+    LIMITS
+} = require('./validation.js');
+const seedHistory = require('./seedHistory.js');
 
 /**
  * Handle new client connection
  * @param {Object} socket - Socket.io socket for the client
  * @param {Object} io - Socket.io server instance
- * @param {Object} state - Shared state object
- * @param {number} connectedUsers - Current number of connected users
- * @returns {number} Updated count of connected users
+ * @param {Object} room - Room the client joins (state, user count, persistence)
+ * @param {Object} rateLimiter - Shared rate limiter for client events
+ * @returns {number} Updated count of users in the room
  */
-function handleConnection(socket, io, state, connectedUsers) {
-    const newCount = connectedUsers + 1;
-    console.log(`User connected [id: ${socket.id}] - Total users: ${newCount}`);
+function handleConnection(socket, io, room, rateLimiter) {
+    socket.join(room.id);
+    room.userCount++;
+    console.log(`User connected [id: ${socket.id}, room: ${room.id}] - Users in room: ${room.userCount}`);
+    
+    // Resume evolution when someone is watching again
+    if (!room.evolution.isRunning()) {
+        room.evolution.start();
+    }
     
     // Broadcast updated user count
-    io.emit('userCount', newCount);
-    console.log(`Sent 'userCount' to all clients: ${newCount}`);
+    io.to(room.id).emit('userCount', room.userCount);
+    console.log(`Sent 'userCount' to room ${room.id}: ${room.userCount}`);
     
     // Set up event handlers for this client
-    setupClientEventHandlers(socket, io, state);
+    setupClientEventHandlers(socket, io, room, rateLimiter);
     
-    return newCount;
+    return room.userCount;
 }
 
 /**
  * Handle client disconnection
  * @param {Object} socket - Socket.io socket for the client
  * @param {Object} io - Socket.io server instance
- * @param {number} connectedUsers - Current number of connected users
- * @param {Object} evolutionInterval - Reference to the evolution interval
- * @returns {number} Updated count of connected users
+ * @param {Object} room - Room the client was in
+ * @returns {number} Updated count of users in the room
  */
-function handleDisconnection(socket, io, connectedUsers, evolutionInterval) {
-    const newCount = connectedUsers - 1;
-    console.log(`User disconnected [id: ${socket.id}] - Remaining users: ${newCount}`);
+function handleDisconnection(socket, io, room) {
+    room.userCount = Math.max(0, room.userCount - 1);
+    console.log(`User disconnected [id: ${socket.id}, room: ${room.id}] - Remaining users: ${room.userCount}`);
     
     // Broadcast updated user count
-    io.emit('userCount', newCount);
-    console.log(`Sent 'userCount' to all clients: ${newCount}`);
+    io.to(room.id).emit('userCount', room.userCount);
+    console.log(`Sent 'userCount' to room ${room.id}: ${room.userCount}`);
+    
+    // If no users left, pause evolution until someone returns
+    if (room.userCount === 0) {
+        room.evolution.stop();
+        console.log(`No users left in room ${room.id} - Evolution paused`);
+    }
     
-    // If no users left, clear the evolution interval
-    if (newCount === 0 && evolutionInterval) {
-        clearInterval(evolutionInterval);
-        console.log('No users left - Evolution interval cleared');
+    return room.userCount;
+}
+
+/**
+ * Get the state sent to clients - the seed history stays on the server, and an imported
+ * heightmap and the terrain are sent separately (see sendHeightmap and terrainManager)
+ * @param {Object} state - Room state
+ * @returns {Object} State with canUndo/canRedo and hasHeightmap in place of those
+ */
+function getPublicState(state) {
+    const { seedHistory: history, historyIndex, nextSeedId, heightmap, terrain, ...publicState } = state;
+    return { ...publicState, ...seedHistory.getHistoryStatus(state), hasHeightmap: heightmap !== null };
+}
+
+/**
+ * Send the room's imported heightmap as binary
+ * @param {Object} target - Socket or room broadcast operator to emit on
+ * @param {Object} state - Room state with a heightmap
+ * @returns {void}
+ */
+function sendHeightmap(target, state) {
+    const { width, height, data } = state.heightmap;
+    target.emit('heightmap', { width, height, data: Buffer.from(data, 'base64') });
+}
+
+/**
+ * Broadcast seed changes to everyone in the room, including the sender
+ * @param {Object} io - Socket.io server instance
+ * @param {Object} room - Room the changes happened in
+ * @param {Array} changes - Changes from seedHistory ({ type: 'added', seed } or { type: 'removed', id })
+ * @returns {void}
+ */
+function broadcastSeedChanges(io, room, changes) {
+    for (const change of changes) {
+        if (change.type === 'added') {
+            io.to(room.id).emit('newSeed', change.seed);
+        } else {
+            io.to(room.id).emit('seedRemoved', { id: change.id });
+        }
+        console.log(`Broadcast seed change to room ${room.id}: ${JSON.stringify(change)}`);
     }
     
-    return newCount;
+    io.to(room.id).emit('historyState', seedHistory.getHistoryStatus(room.state));
+    
+    // Erosion on the server's terrain works around the seeds, as it does on the clients
+    room.terrain.setSeedPoints(room.state.seedPoints);
 }
 
 /**
  * Set up event handlers for a client
  * @param {Object} socket - Socket.io socket for the client
  * @param {Object} io - Socket.io server instance
- * @param {Object} state - Shared state object
+ * @param {Object} room - Room the client is in
+ * @param {Object} rateLimiter - Shared rate limiter for client events
  * @returns {void}
  */
-function setupClientEventHandlers(socket, io, state) {
+function setupClientEventHandlers(socket, io, room, rateLimiter) {
+    const { state } = room;
+    const onStateChange = room.persistence.markDirty;
+    
+    // Register a handler that only runs while the client is within its rate limits
+    const on = (event, handler) => {
+        socket.on(event, (...args) => {
+            if (rateLimiter.check(socket, event)) {
+                handler(...args);
+            }
+        });
+    };
+    
     // Get current state
-    socket.on('getState', () => {
+    on('getState', () => {
         console.log(`Received 'getState' request from client [id: ${socket.id}]`);
         
         // Send full state
-        socket.emit('state', state);
-        console.log(`Sent 'state' to client [id: ${socket.id}]: ${JSON.stringify(state)}`);
+        const publicState = getPublicState(state);
+        socket.emit('state', publicState);
+        console.log(`Sent 'state' to client [id: ${socket.id}]: ${JSON.stringify(publicState)}`);
+        
+        // The imported base terrain follows the state it belongs to
+        if (state.heightmap) {
+            sendHeightmap(socket, state);
+            console.log(`Sent 'heightmap' to client [id: ${socket.id}]: ${state.heightmap.width}x${state.heightmap.height}`);
+        }
         
         // Also send an immediate sync checkpoint to align animations
         const sharedSeed = Math.floor(state.globalTime * 1000) % 10000;
@@ -74,38 +159,219 @@ function setupClientEventHandlers(socket, io, state) {
         console.log(`Sent initial sync checkpoint to client [id: ${socket.id}]`);
     });
     
+    // Bring the client's terrain up to date from the version it holds (null when joining)
+    on('syncTerrain', (version) => {
+        console.log(`Received 'syncTerrain' from client [id: ${socket.id}]: ${JSON.stringify(version)}`);
+        
+        const { valid, value, errors } = validateTerrainVersion(version);
+        if (!valid) {
+            rejectMessage(socket, 'syncTerrain', errors);
+            return;
+        }
+        
+        room.terrain.sync(socket, value);
+    });
+    
+    // Answer clock sync pings with the server's globalTime, echoing the client's send time
+    // so it can measure the round trip (not logged - clients ping every few seconds)
+    on('timePing', (clientTime) => {
+        const { valid, value, errors } = validateTimePing(clientTime);
+        if (!valid) {
+            rejectMessage(socket, 'timePing', errors);
+            return;
+        }
+        
+        socket.emit('timePong', { clientTime: value, serverTime: state.globalTime });
+    });
+    
     // Handle option updates
-    socket.on('updateOption', (option) => {
+    on('updateOption', (option) => {
         console.log(`Received 'updateOption' from client [id: ${socket.id}]: ${JSON.stringify(option)}`);
         
+        // Only whitelisted options with valid values may change shared state
+        const { valid, value, errors } = validateOptionUpdate(option, state);
+        if (!valid) {
+            rejectMessage(socket, 'updateOption', errors);
+            return;
+        }
+        
+        // Evolution speed goes through the scheduler so the interval is restarted
+        if (value.evolveSpeed !== undefined) {
+            room.evolution.setSpeed(value.evolveSpeed);
+            delete value.evolveSpeed;
+        }
+        
+        // A new algorithm or roughness regenerates the terrain, replacing any imported heightmap
+        const regenerate = (value.algorithm !== undefined && value.algorithm !== state.algorithm) ||
+            (value.roughness !== undefined && value.roughness !== state.roughness);
+        if (regenerate) {
+            state.heightmap = null;
+        }
+        
+        // A new palette fades in from now on every client
+        if (value.palette !== undefined && value.palette !== state.palette) {
+            state.paletteChangedAt = state.globalTime;
+        }
+        
         // Update state with the new option
-        Object.assign(state, option);
+        Object.assign(state, value);
+        onStateChange();
+        
+        // Broadcast to all other clients in the room
+        const publicState = getPublicState(state);
+        socket.to(room.id).emit('state', publicState);
+        console.log(`Broadcast 'state' to room ${room.id}: ${JSON.stringify(publicState)}`);
         
-        // Broadcast to all other clients
-        socket.broadcast.emit('state', state);
-        console.log(`Broadcast 'state' to all other clients: ${JSON.stringify(state)}`);
+        // Everyone, including the sender, gets the new terrain from the server
+        if (regenerate) {
+            room.terrain.regenerate();
+        }
     });
     
     // Handle new seed points
-    socket.on('addSeed', (seedPoint) => {
+    on('addSeed', (seedPoint) => {
         console.log(`Received 'addSeed' from client [id: ${socket.id}]: ${JSON.stringify(seedPoint)}`);
         
-        // Add to state
-        state.seedPoints.push(seedPoint);
+        const { valid, value, errors } = validateSeedPoint(seedPoint);
+        if (!valid) {
+            rejectMessage(socket, 'addSeed', errors);
+            return;
+        }
+        
+        // Record in the room history; the sender also gets the seed back with its id
+        const changes = seedHistory.addSeed(state, value, socket.id);
+        onStateChange();
+        broadcastSeedChanges(io, room, changes);
+    });
+    
+    // Handle seed point removal
+    on('removeSeed', (id) => {
+        console.log(`Received 'removeSeed' from client [id: ${socket.id}]: ${JSON.stringify(id)}`);
+        
+        const { valid, value, errors } = validateSeedId(id);
+        if (!valid) {
+            rejectMessage(socket, 'removeSeed', errors);
+            return;
+        }
+        
+        // The seed may already be gone if someone else removed it first
+        const changes = seedHistory.removeSeed(state, value);
+        if (changes.length === 0) return;
+        
+        onStateChange();
+        broadcastSeedChanges(io, room, changes);
+    });
+    
+    // Handle undo/redo - the history is shared by everyone in the room
+    for (const action of ['undo', 'redo']) {
+        on(action, () => {
+            console.log(`Received '${action}' from client [id: ${socket.id}]`);
+            
+            // Nothing to undo/redo; an operation on an evicted seed still moves the history
+            const historyIndex = state.historyIndex;
+            const changes = seedHistory[action](state);
+            if (state.historyIndex === historyIndex) return;
+            
+            onStateChange();
+            broadcastSeedChanges(io, room, changes);
+        });
+    }
+    
+    // Handle an uploaded heightmap - it becomes the room's base terrain
+    on('importHeightmap', (heightmap) => {
+        console.log(`Received 'importHeightmap' from client [id: ${socket.id}]`);
+        
+        const { valid, value, errors } = validateHeightmap(heightmap);
+        if (!valid) {
+            rejectMessage(socket, 'importHeightmap', errors);
+            return;
+        }
         
-        // Broadcast to all other clients
-        socket.broadcast.emit('newSeed', seedPoint);
-        console.log(`Broadcast 'newSeed' to all other clients: ${JSON.stringify(seedPoint)}`);
+        // Stored as base64 so it survives the JSON snapshot
+        state.heightmap = { width: value.width, height: value.height, data: value.data.toString('base64') };
+        onStateChange();
+        
+        // Everyone, including the sender, switches to the imported terrain
+        sendHeightmap(io.to(room.id), state);
+        console.log(`Broadcast 'heightmap' to room ${room.id}: ${value.width}x${value.height}`);
+        
+        room.terrain.regenerate();
+    });
+    
+    // Handle a custom palette being saved - added, or replacing the one with the same name
+    on('savePalette', (palette) => {
+        console.log(`Received 'savePalette' from client [id: ${socket.id}]: ${JSON.stringify(palette)}`);
+        
+        const { valid, value, errors } = validatePalette(palette);
+        if (!valid) {
+            rejectMessage(socket, 'savePalette', errors);
+            return;
+        }
+        
+        const index = state.customPalettes.findIndex(custom => custom.name === value.name);
+        if (index === -1 && state.customPalettes.length >= LIMITS.maxCustomPalettes) {
+            rejectMessage(socket, 'savePalette', [{ field: null, reason: `room already has ${LIMITS.maxCustomPalettes} custom palettes` }]);
+            return;
+        }
+        
+        if (index === -1) {
+            state.customPalettes.push(value);
+        } else {
+            state.customPalettes[index] = value;
+        }
+        
+        // The room switches to the saved palette
+        if (state.palette !== value.name) {
+            state.palette = value.name;
+            state.paletteChangedAt = state.globalTime;
+        }
+        onStateChange();
+        
+        // Everyone, including the sender, gets the new palette list
+        const publicState = getPublicState(state);
+        io.to(room.id).emit('state', publicState);
+        console.log(`Broadcast 'state' to room ${room.id}: ${JSON.stringify(publicState)}`);
+    });
+    
+    // Handle a custom palette being deleted
+    on('deletePalette', (name) => {
+        console.log(`Received 'deletePalette' from client [id: ${socket.id}]: ${JSON.stringify(name)}`);
+        
+        const { valid, value, errors } = validateCustomPaletteName(name, state.customPalettes);
+        if (!valid) {
+            rejectMessage(socket, 'deletePalette', errors);
+            return;
+        }
+        
+        state.customPalettes = state.customPalettes.filter(custom => custom.name !== value);
+        
+        // A room showing the deleted palette falls back to the first built-in one
+        if (state.palette === value) {
+            state.palette = PALETTE_NAMES[0];
+            state.paletteChangedAt = state.globalTime;
+        }
+        onStateChange();
+        
+        const publicState = getPublicState(state);
+        io.to(room.id).emit('state', publicState);
+        console.log(`Broadcast 'state' to room ${room.id}: ${JSON.stringify(publicState)}`);
     });
     
     // Handle evolution speed changes
-    socket.on('setEvolveSpeed', (speed) => {
+    on('setEvolveSpeed', (speed) => {
         console.log(`Received 'setEvolveSpeed' from client [id: ${socket.id}]: ${speed}`);
         
-        state.evolveSpeed = speed;
+        const { valid, value, errors } = validateEvolveSpeed(speed);
+        if (!valid) {
+            rejectMessage(socket, 'setEvolveSpeed', errors);
+            return;
+        }
+        
+        // Restart the evolution interval at the new speed and broadcast it
+        room.evolution.setSpeed(value);
+        onStateChange();
         
-        // The interval will be restarted by the caller if needed
-        console.log(`Evolution speed updated to ${speed}`);
+        console.log(`Evolution speed updated to ${value}`);
     });
 }
 
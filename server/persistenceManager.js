@@ -0,0 +1,163 @@
+// State persistence functions for the server
+const fs = require('fs');
+const path = require('path');
+
+// Default directory for room state snapshots (overridable with STATE_DIR)
+const DEFAULT_STATE_DIR = path.join(__dirname, '..', 'data', 'rooms');
+
+// Timer values for snapshots
+const SAVE_DEBOUNCE = 1000;    // ms - delay after a change before writing
+const SAVE_INTERVAL = 30000;   // ms - periodic snapshot (captures animation time)
+
+/**
+ * Get the snapshot path for a room
+ * @param {string} roomId - Room identifier (already validated)
+ * @param {string} [stateDir=DEFAULT_STATE_DIR] - Directory holding room snapshots
+ * @returns {string} Path to the room's snapshot file
+ */
+function getStateFile(roomId, stateDir = DEFAULT_STATE_DIR) {
+    return path.join(stateDir, `${roomId}.json`);
+}
+
+/**
+ * Read and parse a JSON snapshot file
+ * @param {string} filePath - Path to the snapshot
+ * @returns {Object|null} Parsed object, or null if missing or corrupted
+ */
+function readSnapshot(filePath) {
+    let contents;
+    try {
+        contents = fs.readFileSync(filePath, 'utf8');
+    } catch (err) {
+        if (err.code !== 'ENOENT') {
+            console.warn(`Could not read state file ${filePath}: ${err.message}`);
+        }
+        return null;
+    }
+    
+    try {
+        const parsed = JSON.parse(contents);
+        if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+            console.warn(`State file ${filePath} does not contain an object - ignoring`);
+            return null;
+        }
+        return parsed;
+    } catch (err) {
+        console.warn(`State file ${filePath} is corrupted - ignoring: ${err.message}`);
+        return null;
+    }
+}
+
+/**
+ * Merge a loaded snapshot into the default state, keeping only known keys of the right type
+ * @param {Object} defaults - Default state object
+ * @param {Object} snapshot - Loaded snapshot
+ * @returns {Object} Restored state
+ */
+function mergeSnapshot(defaults, snapshot) {
+    const restored = { ...defaults };
+    
+    for (const key of Object.keys(defaults)) {
+        const value = snapshot[key];
+        const expected = defaults[key];
+        
+        if (Array.isArray(expected)) {
+            if (Array.isArray(value)) {
+                restored[key] = value;
+            }
+        } else if (typeof value === typeof expected) {
+            // Reject NaN/Infinity that may come from a damaged file
+            if (typeof value === 'number' && !Number.isFinite(value)) continue;
+            restored[key] = value;
+        }
+    }
+    
+    return restored;
+}
+
+/**
+ * Load saved state from disk, falling back to the backup file and then the defaults
+ * @param {Object} defaults - Default state object
+ * @param {string} filePath - Path to the snapshot
+ * @returns {Object} State to start the room with
+ */
+function loadState(defaults, filePath) {
+    for (const candidate of [filePath, `${filePath}.bak`]) {
+        const snapshot = readSnapshot(candidate);
+        if (snapshot) {
+            console.log(`Restored saved state from ${candidate}`);
+            return mergeSnapshot(defaults, snapshot);
+        }
+    }
+    
+    console.log('No saved state found - starting with default state');
+    return { ...defaults };
+}
+
+/**
+ * Write state to disk atomically (temp file + rename), keeping the previous snapshot as a backup
+ * @param {Object} state - State to save
+ * @param {string} filePath - Path to the snapshot
+ * @returns {boolean} True if the snapshot was written
+ */
+function saveState(state, filePath) {
+    const tempPath = `${filePath}.tmp`;
+    
+    try {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(tempPath, JSON.stringify(state));
+        
+        if (fs.existsSync(filePath)) {
+            fs.copyFileSync(filePath, `${filePath}.bak`);
+        }
+        fs.renameSync(tempPath, filePath);
+        return true;
+    } catch (err) {
+        console.error(`Failed to save state to ${filePath}: ${err.message}`);
+        return false;
+    }
+}
+
+/**
+ * Setup periodic and change-driven snapshots of the shared state
+ * @param {Object} state - Shared state object
+ * @param {string} filePath - Path to the snapshot
+ * @returns {Object} Persistence controls: markDirty(), flush() and stop()
+ */
+function setupPersistence(state, filePath) {
+    let debounceTimer = null;
+    
+    // Write immediately and cancel any pending write
+    function flush() {
+        if (debounceTimer) {
+            clearTimeout(debounceTimer);
+            debounceTimer = null;
+        }
+        return saveState(state, filePath);
+    }
+    
+    // Schedule a write shortly after a change, coalescing bursts of changes
+    function markDirty() {
+        if (debounceTimer) return;
+        debounceTimer = setTimeout(flush, SAVE_DEBOUNCE);
+    }
+    
+    // Regular snapshot so animation time and evolve steps survive a restart
+    const interval = setInterval(flush, SAVE_INTERVAL);
+    
+    // Stop all timers, writing a final snapshot
+    function stop() {
+        clearInterval(interval);
+        flush();
+    }
+    
+    return { markDirty, flush, stop };
+}
+
+module.exports = {
+    DEFAULT_STATE_DIR,
+    getStateFile,
+    loadState,
+    saveState,
+    setupPersistence
+};
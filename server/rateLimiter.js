@@ -0,0 +1,216 @@
+// Rate limiting and abuse protection for client socket events
+
+// Token bucket sizes per event: capacity is the allowed burst, refill is tokens per second
+const RATE_LIMITS = {
+    addSeed: { capacity: 10, refill: 5 },
+    removeSeed: { capacity: 10, refill: 5 },
+    undo: { capacity: 10, refill: 5 },
+    redo: { capacity: 10, refill: 5 },
+    importHeightmap: { capacity: 2, refill: 0.1 },
+    savePalette: { capacity: 3, refill: 0.5 },
+    deletePalette: { capacity: 3, refill: 0.5 },
+    updateOption: { capacity: 10, refill: 5 },
+    setEvolveSpeed: { capacity: 5, refill: 1 },
+    getState: { capacity: 3, refill: 0.5 },
+    syncTerrain: { capacity: 3, refill: 0.5 },
+    timePing: { capacity: 5, refill: 1 }
+};
+
+// Several tabs or users can share an IP, so its buckets are larger
+const IP_LIMIT_MULTIPLIER = 4;
+
+// Escalation for sockets that keep hitting the limits
+const VIOLATION_WINDOW = 10000; // ms - violations older than this are forgotten
+const MUTE_THRESHOLD = 10;      // violations within the window before muting
+const MUTE_DURATION = 30000;    // ms - how long a muted socket is ignored
+const KICK_THRESHOLD = 3;       // mutes before the socket is disconnected
+
+// IP state is kept after its last socket leaves so reconnecting does not reset limits or mutes
+const IP_RETENTION = 60000;     // ms
+
+/**
+ * Create a token bucket
+ * @param {number} capacity - Maximum number of tokens (burst size)
+ * @param {number} refill - Tokens added per second
+ * @returns {Object} Bucket with a take(now) method
+ */
+function createTokenBucket(capacity, refill) {
+    let tokens = capacity;
+    let lastRefill = Date.now();
+    
+    return {
+        // Take one token, returning false when the bucket is empty
+        take(now = Date.now()) {
+            tokens = Math.min(capacity, tokens + ((now - lastRefill) / 1000) * refill);
+            lastRefill = now;
+            
+            if (tokens < 1) {
+                return false;
+            }
+            tokens -= 1;
+            return true;
+        }
+    };
+}
+
+/**
+ * Create a set of token buckets, one per rate-limited event
+ * @param {number} [multiplier=1] - Scale applied to each bucket's capacity and refill
+ * @returns {Object} Map of event name to bucket
+ */
+function createBuckets(multiplier = 1) {
+    const buckets = {};
+    for (const [event, limit] of Object.entries(RATE_LIMITS)) {
+        buckets[event] = createTokenBucket(limit.capacity * multiplier, limit.refill * multiplier);
+    }
+    return buckets;
+}
+
+/**
+ * Get the client IP for a socket, honouring X-Forwarded-For when behind a trusted proxy
+ * @param {Object} socket - Socket.io socket for the client
+ * @returns {string} Client IP address
+ */
+function getClientIp(socket) {
+    const forwarded = socket.handshake.headers['x-forwarded-for'];
+    if (process.env.TRUST_PROXY && typeof forwarded === 'string') {
+        return forwarded.split(',')[0].trim();
+    }
+    return socket.handshake.address;
+}
+
+/**
+ * Create a rate limiter tracking buckets per socket and per IP
+ * @returns {Object} Limiter with check(), mute(), kick() and release() methods
+ */
+function createRateLimiter() {
+    const sockets = new Map(); // socket id -> { ip, buckets, violations, mutedUntil, muteCount }
+    const ips = new Map();     // ip -> { buckets, socketCount, mutedUntil, muteCount, releasedAt }
+    
+    // Forget IPs that have had no sockets for a while
+    function pruneIps(now) {
+        for (const [ip, ipEntry] of ips) {
+            if (ipEntry.socketCount === 0 && now - ipEntry.releasedAt > IP_RETENTION) {
+                ips.delete(ip);
+            }
+        }
+    }
+    
+    // Get (or start) tracking for a socket and its IP
+    function track(socket) {
+        let entry = sockets.get(socket.id);
+        if (entry) return entry;
+        
+        pruneIps(Date.now());
+        
+        const ip = getClientIp(socket);
+        let ipEntry = ips.get(ip);
+        if (!ipEntry) {
+            ipEntry = {
+                buckets: createBuckets(IP_LIMIT_MULTIPLIER),
+                socketCount: 0,
+                mutedUntil: 0,
+                muteCount: 0,
+                releasedAt: 0
+            };
+            ips.set(ip, ipEntry);
+        }
+        ipEntry.socketCount++;
+        
+        // New sockets inherit a mute on their IP
+        entry = {
+            ip,
+            buckets: createBuckets(),
+            violations: [],
+            mutedUntil: ipEntry.mutedUntil,
+            muteCount: ipEntry.muteCount
+        };
+        sockets.set(socket.id, entry);
+        return entry;
+    }
+    
+    // Temporarily ignore all rate-limited events from a socket
+    function mute(socket, duration = MUTE_DURATION) {
+        const entry = track(socket);
+        const ipEntry = ips.get(entry.ip);
+        entry.mutedUntil = Date.now() + duration;
+        entry.muteCount++;
+        entry.violations = [];
+        ipEntry.mutedUntil = entry.mutedUntil;
+        ipEntry.muteCount = Math.max(ipEntry.muteCount, entry.muteCount);
+        
+        socket.emit('rateLimited', { muted: true, retryAfter: duration });
+        console.warn(`Muted client [id: ${socket.id}, ip: ${entry.ip}] for ${duration}ms (mute ${entry.muteCount})`);
+        
+        if (entry.muteCount >= KICK_THRESHOLD) {
+            kick(socket, 'repeated rate limit violations');
+        }
+    }
+    
+    // Disconnect an abusive socket
+    function kick(socket, reason) {
+        console.warn(`Kicking client [id: ${socket.id}]: ${reason}`);
+        socket.emit('kicked', { reason });
+        socket.disconnect(true);
+    }
+    
+    // Record a violation, muting the socket if it keeps happening
+    function recordViolation(socket, entry, now) {
+        entry.violations = entry.violations.filter(time => now - time < VIOLATION_WINDOW);
+        entry.violations.push(now);
+        
+        if (entry.violations.length >= MUTE_THRESHOLD) {
+            mute(socket);
+        }
+    }
+    
+    /**
+     * Check whether an event from a socket is allowed, consuming a token if so
+     * @param {Object} socket - Socket.io socket for the client
+     * @param {string} event - Event name
+     * @returns {boolean} True if the event may be processed
+     */
+    function check(socket, event) {
+        const entry = track(socket);
+        const now = Date.now();
+        
+        if (entry.mutedUntil > now) {
+            return false;
+        }
+        
+        const socketBucket = entry.buckets[event];
+        const ipBucket = ips.get(entry.ip).buckets[event];
+        if (!socketBucket || !ipBucket) {
+            return true; // Event is not rate limited
+        }
+        
+        if (socketBucket.take(now) && ipBucket.take(now)) {
+            return true;
+        }
+        
+        socket.emit('rateLimited', { event, muted: false });
+        console.warn(`Rate limited '${event}' from client [id: ${socket.id}, ip: ${entry.ip}]`);
+        recordViolation(socket, entry, now);
+        return false;
+    }
+    
+    // Stop tracking a socket after it disconnects
+    function release(socket) {
+        const entry = sockets.get(socket.id);
+        if (!entry) return;
+        
+        sockets.delete(socket.id);
+        const ipEntry = ips.get(entry.ip);
+        if (ipEntry && --ipEntry.socketCount <= 0) {
+            ipEntry.socketCount = 0;
+            ipEntry.releasedAt = Date.now();
+        }
+    }
+    
+    return { check, mute, kick, release };
+}
+
+module.exports = {
+    RATE_LIMITS,
+    createRateLimiter
+};
@@ -0,0 +1,278 @@
+// Room management functions for the server
+const {
+    setupStateManagement,
+    setupAnimationSync,
+    createEvolutionScheduler,
+    stopTimers
+} = require('./stateManager.js');
+const {
+    DEFAULT_STATE_DIR,
+    getStateFile,
+    loadState,
+    setupPersistence
+} = require('./persistenceManager.js');
+const { ensureSeedIds } = require('./seedHistory.js');
+const { createTerrainManager } = require('./terrainManager.js');
+const { validateHeightmap, validatePalette, validateSeedPoint, PALETTE_NAMES, LIMITS } = require('./validation.js');
+
+// Room used when a client does not ask for one (or asks for an invalid one)
+const DEFAULT_ROOM = 'main';
+
+// Room names are used in file paths and URLs, so keep them simple
+const ROOM_ID_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+
+// How long an empty room is kept before its timers are torn down
+const ROOM_IDLE_TIMEOUT = 30000; // ms - survives page reloads
+
+/**
+ * Create the default shared state for a new room
+ * @returns {Object} Fresh state object
+ */
+function createDefaultState() {
+    return {
+        roughness: 0.5,
+        palette: 'cosmic',
+        // Server globalTime of the last palette change, so clients crossfade in step
+        paletteChangedAt: 0,
+        // Palettes made in the editor, shared by the room: { name, colors }
+        customPalettes: [],
+        algorithm: 'diamondSquare',
+        seedPoints: [],
+        evolveSpeed: 5,
+        evolveMode: 'noise',
+        // Shaded-relief lighting: mode, sun direction (degrees clockwise from north) and day/night orbit
+        lighting: 'hillshade',
+        sunAzimuth: 315,
+        sunOrbit: false,
+        // Shared terrain seed and evolve step so every client generates the same landscape
+        terrainSeed: Math.floor(Math.random() * 0xffffffff),
+        evolveCount: 0,
+        // Shared seed point history for undo/redo (see seedHistory)
+        seedHistory: [],
+        historyIndex: 0,
+        nextSeedId: 1,
+        // Imported base terrain in place of the algorithm: { width, height, data } with
+        // data holding base64 16-bit little-endian heights, or null
+        heightmap: null,
+        // Latest authoritative terrain sent to clients (see terrainManager): { version, evolveCount,
+        // width, height, data } with data holding base64 deflated 16-bit heights, or null
+        terrain: null,
+        // Width/height of the authoritative terrain's grid - clients show it at this shape whatever
+        // their window, so evolving it locally matches the server
+        terrainAspect: 16 / 9,
+        // Animation state for synchronized visuals
+        globalTime: 0,
+        colorShift: 0
+    };
+}
+
+/**
+ * Drop a saved heightmap that is damaged or no longer within the limits
+ * @param {Object} state - Room state restored from disk
+ * @returns {void}
+ */
+function checkSavedHeightmap(state) {
+    const { heightmap } = state;
+    if (heightmap === null) return;
+    
+    const valid = heightmap !== undefined && typeof heightmap.data === 'string' && validateHeightmap({
+        width: heightmap.width,
+        height: heightmap.height,
+        data: Buffer.from(heightmap.data, 'base64')
+    }).valid;
+    
+    if (!valid) {
+        console.warn('Saved heightmap is invalid - falling back to the terrain algorithm');
+        state.heightmap = null;
+    }
+}
+
+/**
+ * Check a saved seed point, keeping its id and author
+ * @param {*} saved - Seed point restored from disk
+ * @returns {Object|null} Clean seed point, or null if it is damaged
+ */
+function readSavedSeed(saved) {
+    if (!saved || typeof saved !== 'object') return null;
+    
+    const { id, author, ...fields } = saved;
+    const { value } = validateSeedPoint(fields);
+    if (!value) return null;
+    
+    const seed = { ...value };
+    if (Number.isInteger(id) && id > 0) seed.id = id;
+    if (typeof author === 'string') seed.author = author;
+    return seed;
+}
+
+/**
+ * Drop saved seed points and history operations that are damaged, and bring the history
+ * position and next seed id back in range
+ * @param {Object} state - Room state restored from disk
+ * @returns {void}
+ */
+function checkSavedSeeds(state) {
+    const seedPoints = state.seedPoints.map(readSavedSeed).filter(Boolean);
+    if (seedPoints.length !== state.seedPoints.length) {
+        console.warn(`Dropped ${state.seedPoints.length - seedPoints.length} damaged saved seed point(s)`);
+    }
+    state.seedPoints = seedPoints.slice(-LIMITS.maxSeedPoints);
+    
+    // Operations are undone by seed id, so one without a valid seed and id cannot be kept;
+    // the history position moves back by the operations dropped before it
+    const historyIndex = Number.isInteger(state.historyIndex)
+        ? Math.min(Math.max(state.historyIndex, 0), state.seedHistory.length)
+        : state.seedHistory.length;
+    const history = [];
+    let keptBeforeIndex = 0;
+    state.seedHistory.forEach((operation, index) => {
+        const seed = operation && (operation.type === 'add' || operation.type === 'remove')
+            ? readSavedSeed(operation.seed)
+            : null;
+        if (!seed || seed.id === undefined) return;
+        
+        history.push({ type: operation.type, seed });
+        if (index < historyIndex) keptBeforeIndex++;
+    });
+    if (history.length !== state.seedHistory.length) {
+        console.warn(`Dropped ${state.seedHistory.length - history.length} damaged seed history operation(s)`);
+    }
+    state.seedHistory = history;
+    state.historyIndex = keptBeforeIndex;
+    
+    // New ids must not collide with any seed that exists or can be brought back
+    const ids = [...state.seedPoints, ...history.map(operation => operation.seed)]
+        .map(seed => seed.id)
+        .filter(id => id !== undefined);
+    const nextSeedId = Number.isInteger(state.nextSeedId) ? state.nextSeedId : 1;
+    state.nextSeedId = Math.max(nextSeedId, ...ids.map(id => id + 1), 1);
+}
+
+/**
+ * Drop saved custom palettes that are damaged or no longer within the limits
+ * @param {Object} state - Room state restored from disk
+ * @returns {void}
+ */
+function checkSavedPalettes(state) {
+    const palettes = [];
+    for (const saved of state.customPalettes) {
+        const { value } = validatePalette(saved);
+        if (value && palettes.length < LIMITS.maxCustomPalettes && !palettes.some(palette => palette.name === value.name)) {
+            palettes.push(value);
+        }
+    }
+    state.customPalettes = palettes;
+    
+    // The room's palette may have been one of those dropped
+    if (!PALETTE_NAMES.includes(state.palette) && !palettes.some(palette => palette.name === state.palette)) {
+        console.warn(`Saved palette '${state.palette}' is unknown - falling back to ${PALETTE_NAMES[0]}`);
+        state.palette = PALETTE_NAMES[0];
+    }
+}
+
+/**
+ * Normalize a requested room name
+ * @param {*} roomId - Room name from the client
+ * @returns {string} A valid room id
+ */
+function resolveRoomId(roomId) {
+    if (typeof roomId === 'string' && ROOM_ID_PATTERN.test(roomId)) {
+        return roomId.toLowerCase();
+    }
+    return DEFAULT_ROOM;
+}
+
+/**
+ * Create a registry of rooms, each with its own state, timers and user count
+ * @param {Object} io - Socket.io server instance
+ * @param {string} [stateDir=DEFAULT_STATE_DIR] - Directory holding room snapshots
+ * @returns {Object} Room registry: getRoom(), releaseRoom() and closeAll()
+ */
+function createRoomRegistry(io, stateDir = DEFAULT_STATE_DIR) {
+    const rooms = new Map();
+    
+    // Create a room, restoring its saved state and starting its timers
+    function createRoom(roomId) {
+        const stateFile = getStateFile(roomId, stateDir);
+        const state = loadState(createDefaultState(), stateFile);
+        checkSavedSeeds(state);
+        ensureSeedIds(state);
+        checkSavedHeightmap(state);
+        checkSavedPalettes(state);
+        const emitter = io.to(roomId);
+        
+        setupStateManagement(emitter, state);
+        const persistence = setupPersistence(state, stateFile);
+        const terrain = createTerrainManager(emitter, state, persistence.markDirty);
+        
+        const room = {
+            id: roomId,
+            state,
+            userCount: 0,
+            emitter,
+            terrain,
+            persistence,
+            animationTimers: setupAnimationSync(emitter, state, terrain),
+            // Started when the first user joins (see connectionManager)
+            evolution: createEvolutionScheduler(emitter, state, terrain),
+            idleTimer: null
+        };
+        
+        rooms.set(roomId, room);
+        console.log(`Room created [room: ${roomId}] - Total rooms: ${rooms.size}`);
+        return room;
+    }
+    
+    // Stop a room's timers, save its state and forget it
+    function destroyRoom(room) {
+        if (room.idleTimer) {
+            clearTimeout(room.idleTimer);
+            room.idleTimer = null;
+        }
+        stopTimers(room.animationTimers);
+        room.evolution.stop();
+        room.persistence.stop();
+        rooms.delete(room.id);
+        console.log(`Room closed [room: ${room.id}] - Total rooms: ${rooms.size}`);
+    }
+    
+    // Get an existing room or create it, cancelling any pending teardown
+    function getRoom(roomId) {
+        const room = rooms.get(roomId) || createRoom(roomId);
+        
+        if (room.idleTimer) {
+            clearTimeout(room.idleTimer);
+            room.idleTimer = null;
+        }
+        
+        return room;
+    }
+    
+    // Schedule teardown of a room once its last user has left
+    function releaseRoom(room) {
+        if (room.userCount > 0 || room.idleTimer) return;
+        
+        console.log(`Room empty [room: ${room.id}] - closing in ${ROOM_IDLE_TIMEOUT}ms`);
+        room.idleTimer = setTimeout(() => {
+            room.idleTimer = null;
+            if (room.userCount === 0) {
+                destroyRoom(room);
+            }
+        }, ROOM_IDLE_TIMEOUT);
+    }
+    
+    // Close every room (used on shutdown)
+    function closeAll() {
+        for (const room of [...rooms.values()]) {
+            destroyRoom(room);
+        }
+    }
+    
+    return { getRoom, releaseRoom, closeAll, rooms };
+}
+
+module.exports = {
+    DEFAULT_ROOM,
+    resolveRoomId,
+    createRoomRegistry
+};
@@ -0,0 +1,151 @@
+// Seed point history for the server - shared add/remove/undo/redo per room
+const { LIMITS } = require('./validation.js');
+
+// Oldest operations are forgotten beyond this
+const HISTORY_LIMIT = 200;
+
+/**
+ * Give every seed point an id (seeds saved before ids existed have none)
+ * @param {Object} state - Room state
+ * @returns {void}
+ */
+function ensureSeedIds(state) {
+    for (const seed of state.seedPoints) {
+        if (!Number.isInteger(seed.id)) {
+            seed.id = state.nextSeedId++;
+        }
+    }
+}
+
+/**
+ * Insert a seed, evicting the oldest ones beyond the cap
+ * @param {Object} state - Room state
+ * @param {Object} seed - Seed point with id
+ * @returns {Array} Changes: [{ type: 'added', seed }]
+ */
+function insertSeed(state, seed) {
+    const changes = [{ type: 'added', seed }];
+    state.seedPoints.push(seed);
+    
+    // Clients apply the same rule, so evictions are not broadcast
+    if (state.seedPoints.length > LIMITS.maxSeedPoints) {
+        state.seedPoints.splice(0, state.seedPoints.length - LIMITS.maxSeedPoints);
+    }
+    
+    return changes;
+}
+
+/**
+ * Remove a seed by id
+ * @param {Object} state - Room state
+ * @param {number} id - Seed id
+ * @returns {Array} Changes (empty if the seed no longer exists)
+ */
+function deleteSeed(state, id) {
+    const index = state.seedPoints.findIndex(seed => seed.id === id);
+    if (index === -1) return [];
+    
+    state.seedPoints.splice(index, 1);
+    return [{ type: 'removed', id }];
+}
+
+/**
+ * Record a new operation, discarding any undone operations after the current position
+ * @param {Object} state - Room state
+ * @param {Object} operation - { type: 'add' | 'remove', seed }
+ * @returns {void}
+ */
+function recordOperation(state, operation) {
+    state.seedHistory.splice(state.historyIndex);
+    state.seedHistory.push(operation);
+    
+    if (state.seedHistory.length > HISTORY_LIMIT) {
+        state.seedHistory.splice(0, state.seedHistory.length - HISTORY_LIMIT);
+    }
+    state.historyIndex = state.seedHistory.length;
+}
+
+/**
+ * Apply an operation forwards (do/redo) or backwards (undo)
+ * @param {Object} state - Room state
+ * @param {Object} operation - { type: 'add' | 'remove', seed }
+ * @param {boolean} forwards - True to apply, false to revert
+ * @returns {Array} Changes
+ */
+function applyOperation(state, operation, forwards) {
+    const adds = (operation.type === 'add') === forwards;
+    return adds ? insertSeed(state, { ...operation.seed }) : deleteSeed(state, operation.seed.id);
+}
+
+/**
+ * Add a seed point, assigning its id and author
+ * @param {Object} state - Room state
+ * @param {Object} seedPoint - Validated seed point
+ * @param {string} author - Socket id of the user adding it
+ * @returns {Array} Changes
+ */
+function addSeed(state, seedPoint, author) {
+    const seed = { ...seedPoint, id: state.nextSeedId++, author };
+    recordOperation(state, { type: 'add', seed });
+    return insertSeed(state, { ...seed });
+}
+
+/**
+ * Remove a seed point by id
+ * @param {Object} state - Room state
+ * @param {number} id - Seed id
+ * @returns {Array} Changes (empty if there is no such seed)
+ */
+function removeSeed(state, id) {
+    const seed = state.seedPoints.find(s => s.id === id);
+    if (!seed) return [];
+    
+    recordOperation(state, { type: 'remove', seed: { ...seed } });
+    return deleteSeed(state, id);
+}
+
+/**
+ * Undo the most recent operation in the room
+ * @param {Object} state - Room state
+ * @returns {Array} Changes (empty if there is nothing to undo)
+ */
+function undo(state) {
+    if (state.historyIndex <= 0) return [];
+    
+    state.historyIndex--;
+    return applyOperation(state, state.seedHistory[state.historyIndex], false);
+}
+
+/**
+ * Redo the most recently undone operation in the room
+ * @param {Object} state - Room state
+ * @returns {Array} Changes (empty if there is nothing to redo)
+ */
+function redo(state) {
+    if (state.historyIndex >= state.seedHistory.length) return [];
+    
+    const operation = state.seedHistory[state.historyIndex];
+    state.historyIndex++;
+    return applyOperation(state, operation, true);
+}
+
+/**
+ * Describe whether undo and redo are currently possible
+ * @param {Object} state - Room state
+ * @returns {Object} { canUndo, canRedo }
+ */
+function getHistoryStatus(state) {
+    return {
+        canUndo: state.historyIndex > 0,
+        canRedo: state.historyIndex < state.seedHistory.length
+    };
+}
+
+module.exports = {
+    ensureSeedIds,
+    addSeed,
+    removeSeed,
+    undo,
+    redo,
+    getHistoryStatus
+};
\ No newline at end of file
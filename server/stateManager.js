@@ -11,60 +11,97 @@ const COLOR_DELTA = 0.016 * 0.0002;  // Color shift increment per frame
 
 /**
  * Setup animation state synchronization
- * @param {Object} io - Socket.io server instance 
+ * @param {Object} emitter - Socket.io server or room broadcast operator to emit on
  * @param {Object} state - Shared state object
- * @returns {void}
+ * @param {Object} terrain - Room terrain (see terrainManager), micro-evolved along with the clients
+ * @returns {Array} Interval references (clear with stopTimers)
  */
-function setupAnimationSync(io, state) {
+function setupAnimationSync(emitter, state, terrain) {
     // Continuous internal animation state updates (faster than broadcast)
-    setInterval(() => {
+    const updateInterval = setInterval(() => {
         // Update time-based animation parameters at constant rates
         state.globalTime += TIME_DELTA;
         state.colorShift = (state.colorShift + COLOR_DELTA) % 1;
     }, INTERNAL_UPDATE_INTERVAL);
 
     // Seed updates for shared randomness - lightweight
-    setInterval(() => {
+    const seedInterval = setInterval(() => {
         // Create shared random seed for determinism
         const sharedSeed = Math.floor(state.globalTime * 1000) % 10000;
         
         // Broadcast only seed data - no visual state changes
-        io.emit('animationState', {
+        emitter.emit('animationState', {
             sharedSeed: sharedSeed
         });
     }, SEED_UPDATE_INTERVAL);
 
     // Regular heartbeat sync to keep clients aligned
     let syncCounter = 0;
-    setInterval(() => {
+    const heartbeatInterval = setInterval(() => {
         syncCounter++;
         // Create shared random seed for determinism
         const sharedSeed = Math.floor(state.globalTime * 1000) % 10000;
+        const microEvolve = syncCounter % 3 === 0;
         
         // Broadcast full animation state to all clients at regular intervals
-        io.emit('animationState', {
+        emitter.emit('animationState', {
             globalTime: state.globalTime,
             colorShift: state.colorShift,
             sharedSeed: sharedSeed,
             // Flag this as a sync checkpoint
             isSyncCheckpoint: true,
             // Add occasional microEvolve
-            microEvolve: (syncCounter % 3 === 0)
+            microEvolve
         });
+        
+        // Clients only micro-evolve alongside jitter, keyed to the shared seed
+        if (microEvolve && state.evolveMode === 'noise') {
+            terrain.microEvolve(sharedSeed);
+        }
     }, HEARTBEAT_INTERVAL);
+    
+    return [updateInterval, seedInterval, heartbeatInterval];
 }
 
 /**
- * Setup evolution timers
- * @param {Object} io - Socket.io server instance
+ * Create the evolution scheduler that periodically tells clients to evolve the terrain
+ * @param {Object} emitter - Socket.io server or room broadcast operator to emit on
  * @param {Object} state - Shared state object
- * @returns {Object} Evolution interval reference
+ * @param {Object} terrain - Room terrain (see terrainManager), evolved along with the clients
+ * @returns {Object} Scheduler with start(), stop(), setSpeed() and isRunning()
  */
-function setupEvolutionTimers(io, state) {
+function createEvolutionScheduler(emitter, state, terrain) {
     let evolutionInterval = null;
+    let lastTickTime = null;
     
-    // Start evolution interval
-    function startEvolutionInterval() {
+    // Advance the shared evolve step and tell clients to evolve
+    function tick() {
+        // Advance the shared evolve step so clients seed their generators identically
+        state.evolveCount++;
+        
+        // Time-driven modes (waves, flow) move by the time since the previous tick
+        const previousTime = lastTickTime === null ? state.globalTime : lastTickTime;
+        lastTickTime = state.globalTime;
+        
+        // Emit evolve event to all clients - mode, speed and time travel with the step
+        // so every client applies the same evolution to it
+        const evolveState = {
+            evolveCount: state.evolveCount,
+            terrainSeed: state.terrainSeed,
+            evolveMode: state.evolveMode,
+            evolveSpeed: state.evolveSpeed,
+            globalTime: state.globalTime,
+            previousTime
+        };
+        emitter.emit('evolve', evolveState);
+        console.log(`Sent 'evolve' event to all clients (step ${state.evolveCount})`);
+        
+        // The server's terrain takes the same step (and now and then goes out as a delta)
+        terrain.evolve(evolveState);
+    }
+    
+    // Start (or restart) the evolution interval at the current speed
+    function start() {
         // Clear any existing interval
         if (evolutionInterval) {
             clearInterval(evolutionInterval);
@@ -75,27 +112,59 @@ function setupEvolutionTimers(io, state) {
         const intervalTime = 10000 / state.evolveSpeed; // 1 to 10 seconds
         console.log(`Setting up evolution interval: ${intervalTime}ms (speed: ${state.evolveSpeed})`);
         
-        // Set up new interval
-        evolutionInterval = setInterval(() => {
-            // Emit evolve event to all clients
-            io.emit('evolve');
-            console.log(`Sent 'evolve' event to all clients`);
-        }, intervalTime);
+        evolutionInterval = setInterval(tick, intervalTime);
+    }
+    
+    // Stop evolving (e.g. while nobody is watching)
+    function stop() {
+        if (evolutionInterval) {
+            clearInterval(evolutionInterval);
+            evolutionInterval = null;
+            console.log('Evolution interval cleared');
+        }
+    }
+    
+    // Change the evolution speed, restarting the interval if it is running
+    function setSpeed(speed) {
+        state.evolveSpeed = speed;
         
-        return evolutionInterval;
+        if (evolutionInterval) {
+            start();
+        }
+        
+        // Let clients show the new speed
+        emitter.emit('evolveSpeed', speed);
+        console.log(`Sent 'evolveSpeed' to all clients: ${speed}`);
+    }
+    
+    // Whether the evolution interval is active
+    function isRunning() {
+        return evolutionInterval !== null;
     }
     
-    // Initialize evolution
-    return startEvolutionInterval();
+    return { start, stop, setSpeed, isRunning };
+}
+
+/**
+ * Stop a set of timers created by the setup functions
+ * @param {Array} timers - Interval references
+ * @returns {void}
+ */
+function stopTimers(timers) {
+    for (const timer of timers) {
+        if (timer) {
+            clearInterval(timer);
+        }
+    }
 }
 
 /**
  * Setup state management handlers
- * @param {Object} io - Socket.io server instance
+ * @param {Object} emitter - Socket.io server or room broadcast operator to emit on
  * @param {Object} state - Shared state object
  * @returns {void}
  */
-function setupStateManagement(io, state) {
+function setupStateManagement(emitter, state) {
     // Socket event handlers are set up in connectionManager.js
     // This function can be used for future state management features
 }
@@ -103,5 +172,6 @@ function setupStateManagement(io, state) {
 module.exports = {
     setupStateManagement,
     setupAnimationSync,
-    setupEvolutionTimers
+    createEvolutionScheduler,
+    stopTimers
 };
\ No newline at end of file
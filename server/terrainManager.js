@@ -0,0 +1,282 @@
+// Authoritative terrain for the server - evolves each room's base terrain with the same code and
+// steps as the clients, and sends it to them as compressed snapshots and deltas
+const path = require('path');
+const zlib = require('zlib');
+const { pathToFileURL } = require('url');
+
+// The terrain code is shared with the client (ES modules), so it is loaded with import()
+const CLIENT_JS_DIR = path.join(__dirname, '..', 'client', 'public', 'js');
+const TERRAIN_GENERATOR_PATH = path.join(CLIENT_JS_DIR, 'components', 'TerrainGenerator.js');
+const HEIGHTMAP_UTILS_PATH = path.join(CLIENT_JS_DIR, 'utils', 'HeightmapUtils.js');
+
+// Grid points along the longer side - the clients' default resolution; the shorter side follows
+// the room's terrainAspect and clients resample to their own resolution
+const TERRAIN_RESOLUTION = 129;
+
+// Timer values for publishing
+const PUBLISH_INTERVAL = 10000; // ms - a delta goes out on the first evolve tick after this
+
+// Published versions kept so a client that missed some can catch up with a delta
+const HISTORY_LENGTH = 4;
+
+// Rates the clients evolve with on server ticks and heartbeats
+const EVOLVE_RATE = 0.01;
+const MICRO_EVOLVE_RATE = 0.0003;
+
+let terrainModules = null;
+
+/**
+ * Load the shared terrain code (once)
+ * @returns {Promise<Object>} { TerrainGenerator, heightmapUtils } - the class and the HeightmapUtils module
+ */
+function loadTerrainModules() {
+    if (!terrainModules) {
+        terrainModules = Promise.all([
+            import(pathToFileURL(TERRAIN_GENERATOR_PATH).href),
+            import(pathToFileURL(HEIGHTMAP_UTILS_PATH).href)
+        ]).then(([generatorModule, heightmapUtils]) => ({ TerrainGenerator: generatorModule.default, heightmapUtils }));
+    }
+    return terrainModules;
+}
+
+/**
+ * Pack 16-bit values little-endian and deflate them
+ * @param {Uint16Array} values - Values to pack
+ * @returns {Buffer} zlib stream
+ */
+function packValues(values) {
+    const bytes = Buffer.alloc(values.length * 2);
+    values.forEach((value, i) => bytes.writeUInt16LE(value, i * 2));
+    return zlib.deflateSync(bytes);
+}
+
+/**
+ * Decode the room's imported heightmap for the generator
+ * @param {Object|null} heightmap - { width, height, data } with base64 16-bit little-endian heights
+ * @param {Object} heightmapUtils - Shared HeightmapUtils module
+ * @returns {Object|null} { width, height, data } with 0-1 heights, or null
+ */
+function decodeHeightmap(heightmap, heightmapUtils) {
+    if (!heightmap) return null;
+    
+    const data = heightmapUtils.decodeRaw16(Buffer.from(heightmap.data, 'base64'));
+    return { width: heightmap.width, height: heightmap.height, data };
+}
+
+/**
+ * Read the terrain saved with the room, if it is intact and on the current grid
+ * @param {Object|null} saved - state.terrain: { version, evolveCount, width, height, data } with
+ *   data holding base64 deflated 16-bit heights
+ * @param {Object} grid - { width, height } of the terrain grid
+ * @param {Object} heightmapUtils - Shared HeightmapUtils module
+ * @returns {Object|null} { version, evolveCount, values }, or null
+ */
+function readSavedTerrain(saved, grid, heightmapUtils) {
+    if (!saved) return null;
+    
+    const { version, evolveCount, width, height, data } = saved;
+    if (!Number.isInteger(version) || version < 1 || !Number.isInteger(evolveCount) ||
+        width !== grid.width || height !== grid.height || typeof data !== 'string') {
+        console.warn('Saved terrain is invalid or on another grid - generating it again');
+        return null;
+    }
+    
+    let values = null;
+    try {
+        values = heightmapUtils.unpackUint16(zlib.inflateSync(Buffer.from(data, 'base64')));
+    } catch (err) {
+        console.warn(`Saved terrain could not be read: ${err.message}`);
+    }
+    if (!values || values.length !== width * height) {
+        console.warn('Saved terrain is damaged - generating it again');
+        return null;
+    }
+    return { version, evolveCount, values };
+}
+
+/**
+ * Create the authoritative terrain for a room
+ * Clients follow it by version: a full snapshot when they join (or are too far behind) and
+ * XOR deltas between published versions after that. The latest version is kept in state.terrain
+ * so it survives a restart; versions are numbered within an epoch picked for each manager, so
+ * a version number held from before a restart is never mistaken for the same terrain.
+ * @param {Object} emitter - Socket.io room broadcast operator to emit on
+ * @param {Object} state - Room state
+ * @param {Function} onStateChange - Called when state.terrain changes (to persist it)
+ * @returns {Object} Terrain with evolve(), microEvolve(), regenerate(), setSeedPoints(), sync() and ready
+ */
+function createTerrainManager(emitter, state, onStateChange) {
+    const epoch = Math.floor(Math.random() * 0xffffffff);
+    let generator = null;
+    let heightmapUtils = null;
+    
+    // Published versions, oldest first: { version, evolveCount, values }
+    const history = [];
+    let lastPublishTime = 0;
+    
+    // Build the generator once the shared code has loaded, restoring the saved terrain if possible
+    const ready = loadTerrainModules().then((modules) => {
+        heightmapUtils = modules.heightmapUtils;
+        generator = new modules.TerrainGenerator(state.roughness, state.seedPoints, state.terrainSeed, state.algorithm);
+        generator.setResolution(TERRAIN_RESOLUTION, state.terrainAspect);
+        generator.setHeightmap(decodeHeightmap(state.heightmap, heightmapUtils));
+        generator.setSeed(state.terrainSeed, state.evolveCount);
+        generator.initTerrain();
+        
+        const grid = { width: generator.gridWidth, height: generator.gridHeight };
+        const saved = readSavedTerrain(state.terrain, grid, heightmapUtils);
+        if (saved) {
+            generator.setBaseTerrain({ ...grid, data: heightmapUtils.dequantizeHeights(saved.values) }, saved.evolveCount);
+            history.push(saved);
+            lastPublishTime = Date.now();
+            
+            // The evolve count may have been saved after the terrain was - step on from the
+            // terrain's count so the versions and the ticks sent to clients agree
+            if (state.evolveCount !== saved.evolveCount) {
+                console.log(`Evolve count reset from ${state.evolveCount} to ${saved.evolveCount} to match the saved terrain`);
+                state.evolveCount = saved.evolveCount;
+                onStateChange();
+            }
+            console.log(`Restored terrain version ${saved.version}`);
+        } else {
+            publish();
+        }
+    }).catch((err) => {
+        console.error(`Could not load the terrain generator - clients will generate terrain themselves: ${err.message}`);
+    });
+    
+    // Run action once the generator has been built - calls made while the shared code is
+    // still loading wait for it (in order) rather than being dropped
+    function whenReady(action) {
+        ready.then(() => {
+            if (generator) {
+                action();
+            }
+        });
+    }
+    
+    // Message taking a client from a published version to the latest one
+    function createDelta(base, latest) {
+        const values = latest.values.map((value, i) => value ^ base.values[i]);
+        return {
+            epoch,
+            fromVersion: base.version,
+            version: latest.version,
+            evolveCount: latest.evolveCount,
+            width: generator.gridWidth,
+            height: generator.gridHeight,
+            data: packValues(values)
+        };
+    }
+    
+    // Message with the whole of a published version
+    function createSnapshot(latest) {
+        return {
+            epoch,
+            version: latest.version,
+            evolveCount: latest.evolveCount,
+            width: generator.gridWidth,
+            height: generator.gridHeight,
+            data: packValues(latest.values)
+        };
+    }
+    
+    // Publish the terrain as a new version if it changed, sending the delta to target
+    function publish(target = emitter) {
+        if (!generator) return false;
+        lastPublishTime = Date.now();
+        
+        const values = heightmapUtils.quantizeHeights(generator.terrainMap);
+        const previous = history[history.length - 1];
+        if (previous && values.every((value, i) => value === previous.values[i])) return false;
+        
+        const latest = { version: previous ? previous.version + 1 : 1, evolveCount: state.evolveCount, values };
+        history.push(latest);
+        if (history.length > HISTORY_LENGTH) {
+            history.shift();
+        }
+        
+        // Saved with the room (stored as base64 so it survives the JSON snapshot)
+        state.terrain = {
+            version: latest.version,
+            evolveCount: latest.evolveCount,
+            width: generator.gridWidth,
+            height: generator.gridHeight,
+            data: packValues(values).toString('base64')
+        };
+        onStateChange();
+        
+        // Clients that have not had a version yet ask for a snapshot
+        if (previous) {
+            target.emit('terrainDelta', createDelta(previous, latest));
+        }
+        return true;
+    }
+    
+    // Apply an evolve tick (as sent to clients), publishing if it is time
+    function evolve({ evolveCount, evolveMode, evolveSpeed, globalTime, previousTime }) {
+        whenReady(() => {
+            generator.evolve(EVOLVE_RATE, evolveCount, {
+                mode: evolveMode,
+                speed: evolveSpeed,
+                time: globalTime,
+                previousTime
+            });
+            
+            if (Date.now() - lastPublishTime >= PUBLISH_INTERVAL) {
+                publish();
+            }
+        });
+    }
+    
+    // Apply a heartbeat's micro-evolve step (keyed to the shared seed, as on the clients)
+    function microEvolve(step) {
+        whenReady(() => generator.microEvolve(MICRO_EVOLVE_RATE, step));
+    }
+    
+    // Rebuild the base terrain after the algorithm, roughness or imported heightmap changed,
+    // sending it to everyone straight away
+    function regenerate() {
+        whenReady(() => {
+            generator.setAlgorithm(state.algorithm);
+            generator.setRoughness(state.roughness);
+            generator.setHeightmap(decodeHeightmap(state.heightmap, heightmapUtils));
+            generator.setSeed(state.terrainSeed, state.evolveCount);
+            generator.initTerrain();
+            publish();
+        });
+    }
+    
+    // Follow the room's seed points - erosion works on the terrain as shown, seeds included
+    function setSeedPoints(seedPoints) {
+        whenReady(() => generator.setSeedPoints(seedPoints));
+    }
+    
+    // Bring a client from the terrain it holds ({ epoch, version }, null for none) to the current
+    // one: a delta when that version is from this epoch and still in the history, a snapshot otherwise
+    function sync(socket, held) {
+        const version = held && held.epoch === epoch ? held.version : null;
+        
+        whenReady(() => {
+            // Let the rest of the room catch up first, so the client gets the terrain as of now
+            publish(emitter.except(socket.id));
+            
+            const latest = history[history.length - 1];
+            if (version === latest.version) return;
+            
+            const base = history.find(entry => entry.version === version);
+            if (base) {
+                socket.emit('terrainDelta', createDelta(base, latest));
+            } else {
+                socket.emit('terrainSnapshot', createSnapshot(latest));
+            }
+            console.log(`Sent terrain version ${latest.version} to client [id: ${socket.id}] ${base ? `as a delta from ${version}` : 'as a snapshot'}`);
+        });
+    }
+    
+    return { evolve, microEvolve, regenerate, setSeedPoints, sync, ready };
+}
+
+module.exports = {
+    createTerrainManager
+};
@@ -0,0 +1,436 @@
+// Validation of client messages before they touch shared state
+
+// Palette names the client knows about (keep in sync with client/public/js/utils/constants.js)
+const PALETTE_NAMES = ['cosmic', 'neon', 'candy', 'sunset', 'lava', 'rainbow', 'earth', 'ocean', 'fire', 'forest', 'viridis', 'cividis', 'okabe'];
+
+// Terrain algorithms the client knows about (keep in sync with TERRAIN_ALGORITHM_NAMES on the client)
+const TERRAIN_ALGORITHM_NAMES = ['diamondSquare', 'fbm', 'ridged', 'worley', 'domainWarp'];
+
+// Evolve modes the client knows about (keep in sync with EVOLVE_MODE_NAMES on the client)
+const EVOLVE_MODE_NAMES = ['noise', 'erosion', 'waves', 'flow', 'automata'];
+
+// Terrain lighting modes (keep in sync with LIGHTING_MODE_NAMES on the client)
+const LIGHTING_MODE_NAMES = ['off', 'hillshade', 'occlusion'];
+
+// Seed point shapes (keep in sync with SEED in client/public/js/utils/constants.js)
+const SEED_FALLOFFS = ['gaussian', 'linear', 'plateau']; // First is the default
+const SEED_MODES = ['add', 'subtract'];
+const DEFAULT_SEED_RADIUS = 0.06;
+
+// Allowed ranges for numeric values
+const LIMITS = {
+    roughness: { min: 0, max: 1 },
+    evolveSpeed: { min: 1, max: 10 },
+    seedCoordinate: { min: 0, max: 1 },
+    seedValue: { min: 0, max: 1 },
+    seedRadius: { min: 0.005, max: 0.5 },
+    sunAzimuth: { min: 0, max: 360 },
+    // Oldest seed points are evicted beyond this (keep in sync with TERRAIN.maxSeedPoints on the client)
+    maxSeedPoints: 500,
+    // Imported heightmap sides in points (the upper limit matches the finest client resolution)
+    heightmapSize: { min: 2, max: 513 },
+    // Custom palettes (keep in sync with PALETTE_EDITOR on the client)
+    paletteStops: { min: 2, max: 16 },
+    paletteNameLength: 24,
+    maxCustomPalettes: 20,
+    // Client clock readings (performance.now() milliseconds) echoed back by 'timePong'
+    clientTime: { min: 0, max: Number.MAX_SAFE_INTEGER }
+};
+
+// Custom palette names are shown in the parameter overlay, so keep them short and plain
+const PALETTE_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9 _-]*$/;
+
+// Palette stop colors as sent by <input type="color">
+const HEX_COLOR_PATTERN = /^#[0-9a-f]{6}$/;
+
+// Keys a client may change through 'updateOption' and how to check each one
+// Rules get the room state too, for checks that depend on it
+const OPTION_RULES = {
+    palette: (value, state) => validatePaletteName(value, state.customPalettes),
+    algorithm: (value) => validateAlgorithmName(value),
+    evolveMode: (value) => validateEvolveModeName(value),
+    lighting: (value) => validateLightingModeName(value),
+    sunAzimuth: (value) => validateNumber(value, LIMITS.sunAzimuth),
+    sunOrbit: (value) => (typeof value === 'boolean' ? null : 'must be true or false'),
+    roughness: (value) => validateNumber(value, LIMITS.roughness),
+    evolveSpeed: (value) => validateNumber(value, LIMITS.evolveSpeed)
+};
+
+// Error code sent back to the client with rejected messages
+const VALIDATION_ERROR = 'INVALID_PAYLOAD';
+
+/**
+ * Check that an object has a key of its own, not one inherited from Object.prototype
+ * @param {Object} object - Object to look in
+ * @param {string} key - Key from a client payload
+ * @returns {boolean} True if the object itself has the key
+ */
+function hasOwn(object, key) {
+    return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+/**
+ * Check that a value is a finite number within a range
+ * @param {*} value - Value to check
+ * @param {Object} range - Object with min and max properties
+ * @returns {string|null} Reason for rejection, or null if valid
+ */
+function validateNumber(value, range) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return 'must be a finite number';
+    }
+    if (value < range.min || value > range.max) {
+        return `must be between ${range.min} and ${range.max}`;
+    }
+    return null;
+}
+
+/**
+ * Check that a value is a known palette name - built in or one of the room's custom palettes
+ * @param {*} value - Value to check
+ * @param {Array} [customPalettes=[]] - The room's custom palettes
+ * @returns {string|null} Reason for rejection, or null if valid
+ */
+function validatePaletteName(value, customPalettes = []) {
+    const names = [...PALETTE_NAMES, ...customPalettes.map(palette => palette.name)];
+    if (typeof value !== 'string' || !names.includes(value)) {
+        return `must be one of: ${names.join(', ')}`;
+    }
+    return null;
+}
+
+/**
+ * Check that a value is a known terrain algorithm name
+ * @param {*} value - Value to check
+ * @returns {string|null} Reason for rejection, or null if valid
+ */
+function validateAlgorithmName(value) {
+    if (typeof value !== 'string' || !TERRAIN_ALGORITHM_NAMES.includes(value)) {
+        return `must be one of: ${TERRAIN_ALGORITHM_NAMES.join(', ')}`;
+    }
+    return null;
+}
+
+/**
+ * Check that a value is a known evolve mode name
+ * @param {*} value - Value to check
+ * @returns {string|null} Reason for rejection, or null if valid
+ */
+function validateEvolveModeName(value) {
+    if (typeof value !== 'string' || !EVOLVE_MODE_NAMES.includes(value)) {
+        return `must be one of: ${EVOLVE_MODE_NAMES.join(', ')}`;
+    }
+    return null;
+}
+
+/**
+ * Check that a value is a known lighting mode
+ * @param {*} value - Value to check
+ * @returns {string|null} Reason for rejection, or null if valid
+ */
+function validateLightingModeName(value) {
+    if (typeof value !== 'string' || !LIGHTING_MODE_NAMES.includes(value)) {
+        return `must be one of: ${LIGHTING_MODE_NAMES.join(', ')}`;
+    }
+    return null;
+}
+
+/**
+ * Check that a payload is a plain object
+ * @param {*} payload - Payload to check
+ * @returns {boolean} True for non-null, non-array objects
+ */
+function isPlainObject(payload) {
+    return payload !== null && typeof payload === 'object' && !Array.isArray(payload);
+}
+
+/**
+ * Validate an 'updateOption' payload against the whitelist of client-editable options
+ * @param {*} option - Payload from the client
+ * @param {Object} state - Room state the option would change
+ * @returns {Object} { valid, value, errors } - value holds only the accepted keys
+ */
+function validateOptionUpdate(option, state) {
+    if (!isPlainObject(option)) {
+        return { valid: false, value: null, errors: [{ field: null, reason: 'must be an object' }] };
+    }
+    
+    const keys = Object.keys(option);
+    if (keys.length === 0) {
+        return { valid: false, value: null, errors: [{ field: null, reason: 'must contain at least one option' }] };
+    }
+    
+    const errors = [];
+    const value = {};
+    
+    for (const key of keys) {
+        // Own keys only - names like 'constructor' or 'valueOf' are inherited by every object
+        const rule = hasOwn(OPTION_RULES, key) ? OPTION_RULES[key] : null;
+        if (!rule) {
+            errors.push({ field: key, reason: 'is not an editable option' });
+            continue;
+        }
+        
+        const reason = rule(option[key], state);
+        if (reason) {
+            errors.push({ field: key, reason });
+        } else {
+            value[key] = option[key];
+        }
+    }
+    
+    return { valid: errors.length === 0, value: errors.length === 0 ? value : null, errors };
+}
+
+/**
+ * Validate an 'addSeed' payload
+ * Older clients send { x, y, value } with value as a target height; these are
+ * converted to additive (above 0.5) or subtractive (below 0.5) seeds
+ * @param {*} seedPoint - Payload from the client
+ * @returns {Object} { valid, value, errors } - value is a clean, fully specified seed point
+ */
+function validateSeedPoint(seedPoint) {
+    if (!isPlainObject(seedPoint)) {
+        return { valid: false, value: null, errors: [{ field: null, reason: 'must be an object' }] };
+    }
+    
+    const errors = [];
+    const checks = {
+        x: (value) => validateNumber(value, LIMITS.seedCoordinate),
+        y: (value) => validateNumber(value, LIMITS.seedCoordinate),
+        value: (value) => validateNumber(value, LIMITS.seedValue),
+        radius: (value) => (value === undefined ? null : validateNumber(value, LIMITS.seedRadius)),
+        falloff: (value) => (value === undefined || SEED_FALLOFFS.includes(value)
+            ? null
+            : `must be one of: ${SEED_FALLOFFS.join(', ')}`),
+        mode: (value) => (value === undefined || SEED_MODES.includes(value)
+            ? null
+            : `must be one of: ${SEED_MODES.join(', ')}`)
+    };
+    
+    for (const [field, check] of Object.entries(checks)) {
+        const reason = check(seedPoint[field]);
+        if (reason) {
+            errors.push({ field, reason });
+        }
+    }
+    
+    for (const key of Object.keys(seedPoint)) {
+        if (!hasOwn(checks, key)) {
+            errors.push({ field: key, reason: 'is not a seed point field' });
+        }
+    }
+    
+    if (errors.length > 0) {
+        return { valid: false, value: null, errors };
+    }
+    
+    // Convert older target-height seeds
+    let { value, mode } = seedPoint;
+    if (mode === undefined) {
+        mode = value >= 0.5 ? 'add' : 'subtract';
+        value = Math.abs(value - 0.5) * 2;
+    }
+    
+    return {
+        valid: true,
+        value: {
+            x: seedPoint.x,
+            y: seedPoint.y,
+            value,
+            radius: seedPoint.radius !== undefined ? seedPoint.radius : DEFAULT_SEED_RADIUS,
+            falloff: seedPoint.falloff || SEED_FALLOFFS[0],
+            mode
+        },
+        errors
+    };
+}
+
+/**
+ * Validate a 'setEvolveSpeed' payload
+ * @param {*} speed - Payload from the client
+ * @returns {Object} { valid, value, errors }
+ */
+function validateEvolveSpeed(speed) {
+    const reason = validateNumber(speed, LIMITS.evolveSpeed);
+    if (reason) {
+        return { valid: false, value: null, errors: [{ field: 'speed', reason }] };
+    }
+    return { valid: true, value: speed, errors: [] };
+}
+
+/**
+ * Validate a 'removeSeed' payload
+ * @param {*} id - Seed id from the client
+ * @returns {Object} { valid, value, errors }
+ */
+function validateSeedId(id) {
+    if (!Number.isInteger(id) || id < 1) {
+        return { valid: false, value: null, errors: [{ field: 'id', reason: 'must be a positive integer' }] };
+    }
+    return { valid: true, value: id, errors: [] };
+}
+
+/**
+ * Validate an 'importHeightmap' payload - 16-bit little-endian heights, row by row
+ * @param {*} heightmap - Payload from the client: { width, height, data }
+ * @returns {Object} { valid, value, errors } - value.data is a Buffer
+ */
+function validateHeightmap(heightmap) {
+    if (!isPlainObject(heightmap)) {
+        return { valid: false, value: null, errors: [{ field: null, reason: 'must be an object' }] };
+    }
+    
+    const { width, height, data } = heightmap;
+    const { min, max } = LIMITS.heightmapSize;
+    const errors = [];
+    
+    for (const [field, value] of [['width', width], ['height', height]]) {
+        if (!Number.isInteger(value) || value < min || value > max) {
+            errors.push({ field, reason: `must be an integer between ${min} and ${max}` });
+        }
+    }
+    
+    // Socket.IO delivers binary attachments as Buffers
+    if (!Buffer.isBuffer(data)) {
+        errors.push({ field: 'data', reason: 'must be binary' });
+    } else if (errors.length === 0 && data.length !== width * height * 2) {
+        errors.push({ field: 'data', reason: `must hold ${width * height} 16-bit heights` });
+    }
+    
+    if (errors.length > 0) {
+        return { valid: false, value: null, errors };
+    }
+    return { valid: true, value: { width, height, data }, errors };
+}
+
+/**
+ * Validate a 'savePalette' payload - a custom palette for the room
+ * @param {*} palette - Payload from the client: { name, colors } with colors as '#rrggbb' stops
+ * @returns {Object} { valid, value, errors } - value has the trimmed name and lowercase colors
+ */
+function validatePalette(palette) {
+    if (!isPlainObject(palette)) {
+        return { valid: false, value: null, errors: [{ field: null, reason: 'must be an object' }] };
+    }
+    
+    const errors = [];
+    const name = typeof palette.name === 'string' ? palette.name.trim() : null;
+    if (!name || name.length > LIMITS.paletteNameLength || !PALETTE_NAME_PATTERN.test(name)) {
+        errors.push({ field: 'name', reason: `must be 1-${LIMITS.paletteNameLength} letters, digits, spaces, - or _` });
+    } else if (PALETTE_NAMES.includes(name)) {
+        errors.push({ field: 'name', reason: 'must not be a built-in palette name' });
+    }
+    
+    const { min, max } = LIMITS.paletteStops;
+    const { colors } = palette;
+    if (!Array.isArray(colors) || colors.length < min || colors.length > max) {
+        errors.push({ field: 'colors', reason: `must be a list of ${min}-${max} colors` });
+    } else if (!colors.every(color => typeof color === 'string' && HEX_COLOR_PATTERN.test(color.toLowerCase()))) {
+        errors.push({ field: 'colors', reason: 'must all be #rrggbb colors' });
+    }
+    
+    for (const key of Object.keys(palette)) {
+        if (key !== 'name' && key !== 'colors') {
+            errors.push({ field: key, reason: 'is not a palette field' });
+        }
+    }
+    
+    if (errors.length > 0) {
+        return { valid: false, value: null, errors };
+    }
+    return { valid: true, value: { name, colors: colors.map(color => color.toLowerCase()) }, errors };
+}
+
+/**
+ * Validate a 'deletePalette' payload
+ * @param {*} name - Custom palette name from the client
+ * @param {Array} customPalettes - The room's custom palettes
+ * @returns {Object} { valid, value, errors }
+ */
+function validateCustomPaletteName(name, customPalettes) {
+    if (typeof name !== 'string' || !customPalettes.some(palette => palette.name === name)) {
+        return { valid: false, value: null, errors: [{ field: 'name', reason: 'must be a custom palette in this room' }] };
+    }
+    return { valid: true, value: name, errors: [] };
+}
+
+/**
+ * Validate a 'syncTerrain' payload
+ * @param {*} held - Terrain the client holds ({ epoch, version }), or null for none
+ * @returns {Object} { valid, value, errors }
+ */
+function validateTerrainVersion(held) {
+    if (held === null) {
+        return { valid: true, value: null, errors: [] };
+    }
+    if (!isPlainObject(held)) {
+        return { valid: false, value: null, errors: [{ field: null, reason: 'must be an object or null' }] };
+    }
+    
+    const errors = [];
+    if (!Number.isInteger(held.epoch) || held.epoch < 0 || held.epoch > 0xffffffff) {
+        errors.push({ field: 'epoch', reason: 'must be a 32-bit unsigned integer' });
+    }
+    if (!Number.isInteger(held.version) || held.version < 1) {
+        errors.push({ field: 'version', reason: 'must be a positive integer' });
+    }
+    for (const key of Object.keys(held)) {
+        if (key !== 'epoch' && key !== 'version') {
+            errors.push({ field: key, reason: 'is not a terrain version field' });
+        }
+    }
+    
+    if (errors.length > 0) {
+        return { valid: false, value: null, errors };
+    }
+    return { valid: true, value: { epoch: held.epoch, version: held.version }, errors };
+}
+
+/**
+ * Validate a 'timePing' payload
+ * @param {*} clientTime - Client clock reading in milliseconds, echoed back unchanged
+ * @returns {Object} { valid, value, errors }
+ */
+function validateTimePing(clientTime) {
+    const reason = validateNumber(clientTime, LIMITS.clientTime);
+    if (reason) {
+        return { valid: false, value: null, errors: [{ field: 'clientTime', reason }] };
+    }
+    return { valid: true, value: clientTime, errors: [] };
+}
+
+/**
+ * Send a structured validation error back to the client that sent a rejected message
+ * @param {Object} socket - Socket.io socket for the client
+ * @param {string} event - Name of the rejected event
+ * @param {Array} errors - List of { field, reason } objects
+ * @returns {void}
+ */
+function rejectMessage(socket, event, errors) {
+    socket.emit('validationError', {
+        event,
+        code: VALIDATION_ERROR,
+        message: `Rejected '${event}': ${errors.map(e => (e.field ? `${e.field} ${e.reason}` : e.reason)).join('; ')}`,
+        errors
+    });
+    console.warn(`Rejected '${event}' from client [id: ${socket.id}]: ${JSON.stringify(errors)}`);
+}
+
+module.exports = {
+    PALETTE_NAMES,
+    TERRAIN_ALGORITHM_NAMES,
+    EVOLVE_MODE_NAMES,
+    LIGHTING_MODE_NAMES,
+    LIMITS,
+    validateOptionUpdate,
+    validateSeedPoint,
+    validateEvolveSpeed,
+    validateSeedId,
+    validateHeightmap,
+    validatePalette,
+    validateCustomPaletteName,
+    validateTerrainVersion,
+    validateTimePing,
+    rejectMessage
+};